@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { amountJsonReplacer, toDisplayAmount } = require('../utils/amountUtils');
+
+// Helper to serialize like Express does with app.set('json replacer', amountJsonReplacer)
+function serialize(value) {
+  return JSON.parse(JSON.stringify(value, amountJsonReplacer));
+}
+
+describe('amountJsonReplacer', () => {
+  test('turns Decimal128 amounts into display numbers', () => {
+    const body = serialize({ normalizedAmount: mongoose.Types.Decimal128.fromString('12.5') });
+
+    expect(body.normalizedAmount).toBe(12.5);
+  });
+
+  test('keeps fields ending in Raw as exact strings', () => {
+    const body = serialize({
+      amountRaw: mongoose.Types.Decimal128.fromString('123456789012345678901234567890'),
+      totalVolumeRaw: mongoose.Types.Decimal128.fromString('1000000000000000000')
+    });
+
+    expect(body).toEqual({
+      amountRaw: '123456789012345678901234567890',
+      totalVolumeRaw: '1000000000000000000'
+    });
+  });
+
+  test('applies inside nested objects and arrays', () => {
+    const body = serialize({
+      orders: [{ orderId: '1', normalizedAmount: mongoose.Types.Decimal128.fromString('0.000001'), amountRaw: mongoose.Types.Decimal128.fromString('1') }]
+    });
+
+    expect(body.orders[0]).toEqual({ orderId: '1', normalizedAmount: 0.000001, amountRaw: '1' });
+  });
+
+  test('leaves other values alone', () => {
+    const body = serialize({ usdValue: 10.25, status: 'pending', processedAt: null });
+
+    expect(body).toEqual({ usdValue: 10.25, status: 'pending', processedAt: null });
+  });
+});
+
+describe('toDisplayAmount', () => {
+  test('reads Decimal128 values and plain numbers', () => {
+    expect(toDisplayAmount(mongoose.Types.Decimal128.fromString('2.75'))).toBe(2.75);
+    expect(toDisplayAmount(3)).toBe(3);
+  });
+
+  test('treats missing amounts as zero', () => {
+    expect(toDisplayAmount(null)).toBe(0);
+    expect(toDisplayAmount(undefined)).toBe(0);
+  });
+});
@@ -0,0 +1,75 @@
+const http = require('http');
+const { ethers } = require('ethers');
+const contractService = require('../services/contractService');
+const { BatchNotSupportedError } = require('../services/rpcErrors');
+
+describe('contractService block header batches', () => {
+  let server;
+  let request;
+  let reply;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => reply(JSON.parse(body), res));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    request = new ethers.FetchRequest(`http://127.0.0.1:${server.address().port}`);
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const block = number => ({ number: ethers.toQuantity(number), hash: `0x${'ab'.repeat(32)}`, timestamp: '0x1' });
+
+  test('returns batch results in request order', async () => {
+    reply = (payloads, res) => {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify(payloads.reverse().map(payload => ({ jsonrpc: '2.0', id: payload.id, result: block(parseInt(payload.params[0], 16)) }))));
+    };
+
+    const blocks = await contractService.sendBlockBatch(request, [10, 11, 12]);
+    expect(blocks.map(item => item.number)).toEqual(['0xa', '0xb', '0xc']);
+  });
+
+  test('treats an HTTP 4xx or a single-object reply as no batch support', async () => {
+    reply = (payloads, res) => {
+      res.statusCode = 405;
+      res.end('batch requests are not allowed');
+    };
+    await expect(contractService.sendBlockBatch(request, [10, 11])).rejects.toBeInstanceOf(BatchNotSupportedError);
+
+    reply = (payloads, res) => {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid request' } }));
+    };
+    await expect(contractService.sendBlockBatch(request, [10, 11])).rejects.toBeInstanceOf(BatchNotSupportedError);
+
+    // Not retried or failed over, so the caller can fall back straight away
+    expect(new BatchNotSupportedError().retryable).toBe(false);
+  });
+
+  test('falls back to one request per block at once and remembers it', async () => {
+    reply = (payloads, res) => {
+      res.statusCode = 400;
+      res.end();
+    };
+    const chain = { batchSupported: true, config: { name: 'Base' } };
+    const getBlock = jest.fn(async number => block(number));
+    jest.spyOn(contractService, 'getChain').mockReturnValue(chain);
+    const executeRpcCall = jest.spyOn(contractService, 'executeRpcCall').mockImplementation((chainId, fn) => fn({ request, provider: { getBlock } }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const headers = await contractService.fetchBlockHeaders(8453, [10, 11]);
+
+    expect(headers.map(header => header.number)).toEqual([10, 11]);
+    expect(chain.batchSupported).toBe(false);
+    expect(getBlock).toHaveBeenCalledTimes(2);
+    // One rejected batch, then one call per block
+    expect(executeRpcCall).toHaveBeenCalledTimes(3);
+  });
+});
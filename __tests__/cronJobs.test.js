@@ -0,0 +1,51 @@
+const Order = require('../models/Order');
+const PendingOrderOutcome = require('../models/PendingOrderOutcome');
+const contractService = require('../services/contractService');
+const { applyOrderStatusUpdates } = require('../jobs/cronJobs');
+
+describe('applyOrderStatusUpdates', () => {
+  const createdAt = new Date('2025-03-10T10:00:00Z');
+  const outcome = {
+    chainId: 8453,
+    orderId: '42',
+    status: 'successful',
+    processedBlockNumber: 1000,
+    processedTxnHash: '0xtx',
+    processedBlockHash: '0xblock',
+    processedAt: new Date('2025-03-10T10:00:30Z')
+  };
+
+  const mockFindOne = (order) => jest.spyOn(Order, 'findOne').mockReturnValue({ select: () => Promise.resolve(order) });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('takes latency from the event block time and the stored order, without reading the contract', async () => {
+    mockFindOne({ _id: 'a', timestamp: createdAt, status: 'pending' });
+    const updateOne = jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const getOrder = jest.spyOn(contractService, 'getOrder');
+
+    await expect(applyOrderStatusUpdates([{ ...outcome }])).resolves.toBe(1);
+
+    expect(getOrder).not.toHaveBeenCalled();
+    const [, { $set }] = updateOne.mock.calls[0];
+    expect($set).toMatchObject({ status: 'successful', processedAt: outcome.processedAt, latencySeconds: 30 });
+    expect($set.statusUpdatedAt).toBeInstanceOf(Date);
+  });
+
+  test('holds outcomes for orders that are not stored yet', async () => {
+    mockFindOne(null);
+    const hold = jest.spyOn(PendingOrderOutcome, 'hold').mockResolvedValue();
+    const updateOne = jest.spyOn(Order, 'updateOne');
+
+    await expect(applyOrderStatusUpdates([{ ...outcome }])).resolves.toBe(0);
+
+    expect(hold).toHaveBeenCalledWith(outcome);
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,63 @@
+const { getNextRunAt, isValidCronExpression } = require('../utils/cronUtils');
+
+// Cron expressions and getNextRunAt use server local time, so build dates in local time too
+function localDate(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+describe('isValidCronExpression', () => {
+  test('accepts five and six field expressions', () => {
+    expect(isValidCronExpression('*/15 * * * *')).toBe(true);
+    expect(isValidCronExpression('0 30 3 * * *')).toBe(true);
+  });
+
+  test('rejects invalid expressions and non-strings', () => {
+    expect(isValidCronExpression('not a cron')).toBe(false);
+    expect(isValidCronExpression('61 * * * *')).toBe(false);
+    expect(isValidCronExpression(null)).toBe(false);
+  });
+});
+
+describe('getNextRunAt', () => {
+  test('finds the next step of a minute interval', () => {
+    expect(getNextRunAt('*/15 * * * *', localDate(2025, 3, 10, 10, 7, 30))).toEqual(localDate(2025, 3, 10, 10, 15));
+  });
+
+  test('is strictly after the given time', () => {
+    expect(getNextRunAt('*/15 * * * *', localDate(2025, 3, 10, 10, 15))).toEqual(localDate(2025, 3, 10, 10, 30));
+  });
+
+  test('rolls over to the next day', () => {
+    expect(getNextRunAt('30 3 * * *', localDate(2025, 3, 10, 4, 0))).toEqual(localDate(2025, 3, 11, 3, 30));
+  });
+
+  test('handles hour steps', () => {
+    expect(getNextRunAt('15 */6 * * *', localDate(2025, 3, 10, 6, 20))).toEqual(localDate(2025, 3, 10, 12, 15));
+  });
+
+  test('matches weekdays', () => {
+    // 10 March 2025 is a Monday; 0 is Sunday
+    expect(getNextRunAt('0 9 * * 0', localDate(2025, 3, 10, 12, 0))).toEqual(localDate(2025, 3, 16, 9, 0));
+  });
+
+  test('rolls over months and years', () => {
+    expect(getNextRunAt('0 0 1 1 *', localDate(2025, 3, 10))).toEqual(localDate(2026, 1, 1));
+  });
+
+  test('expands ranges, lists and names', () => {
+    expect(getNextRunAt('0 9-17/4 * * mon-fri', localDate(2025, 3, 14, 18, 0))).toEqual(localDate(2025, 3, 17, 9, 0));
+    expect(getNextRunAt('0 0 1 jan,jul *', localDate(2025, 3, 10))).toEqual(localDate(2025, 7, 1));
+  });
+
+  test('treats weekday 7 as Sunday', () => {
+    expect(getNextRunAt('0 9 * * 7', localDate(2025, 3, 10, 12, 0))).toEqual(localDate(2025, 3, 16, 9, 0));
+  });
+
+  test('honours a seconds field', () => {
+    expect(getNextRunAt('*/20 * * * * *', localDate(2025, 3, 10, 10, 0, 5))).toEqual(localDate(2025, 3, 10, 10, 0, 20));
+  });
+
+  test('returns null for invalid expressions', () => {
+    expect(getNextRunAt('nope')).toBeNull();
+  });
+});
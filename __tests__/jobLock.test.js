@@ -0,0 +1,138 @@
+const JobLock = require('../models/JobLock');
+const { acquireJobLock, JobLockLostError } = require('../services/jobLock');
+
+describe('JobLock.acquire', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('takes a free or expired lease for the new owner', async () => {
+    const lease = { name: 'orders:8453', owner: 'a' };
+    const spy = jest.spyOn(JobLock, 'findOneAndUpdate').mockResolvedValue(lease);
+
+    await expect(JobLock.acquire('orders:8453', 'a', 60000)).resolves.toBe(lease);
+
+    const [filter, update, options] = spy.mock.calls[0];
+    expect(filter.name).toBe('orders:8453');
+    expect(filter.expiresAt.$lte).toBeInstanceOf(Date);
+    expect(update.$set.owner).toBe('a');
+    expect(update.$set.expiresAt.getTime() - update.$set.acquiredAt.getTime()).toBe(60000);
+    expect(options).toMatchObject({ upsert: true });
+  });
+
+  test('returns null when another owner holds the lease', async () => {
+    jest.spyOn(JobLock, 'findOneAndUpdate').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(JobLock.acquire('orders:8453', 'b', 60000)).resolves.toBeNull();
+  });
+
+  test('rethrows other errors', async () => {
+    jest.spyOn(JobLock, 'findOneAndUpdate').mockRejectedValue(new Error('connection closed'));
+
+    await expect(JobLock.acquire('orders:8453', 'b', 60000)).rejects.toThrow('connection closed');
+  });
+});
+
+describe('JobLock.renew', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('extends the lease only for its owner', async () => {
+    const spy = jest.spyOn(JobLock, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await expect(JobLock.renew('prices', 'a', 60000)).resolves.toBe(true);
+    expect(spy.mock.calls[0][0]).toEqual({ name: 'prices', owner: 'a' });
+  });
+
+  test('reports a lease that now belongs to someone else', async () => {
+    jest.spyOn(JobLock, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(JobLock.renew('prices', 'a', 60000)).resolves.toBe(false);
+  });
+});
+
+describe('acquireJobLock', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(JobLock, 'release').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('returns null when the lease is held elsewhere', async () => {
+    jest.spyOn(JobLock, 'acquire').mockResolvedValue(null);
+
+    await expect(acquireJobLock('prices')).resolves.toBeNull();
+  });
+
+  test('gives every acquisition its own owner', async () => {
+    const acquire = jest.spyOn(JobLock, 'acquire').mockResolvedValue({});
+
+    const first = await acquireJobLock('prices');
+    const second = await acquireJobLock('volume');
+
+    expect(first.owner).not.toBe(second.owner);
+    expect(acquire.mock.calls[0][1]).toBe(first.owner);
+    await first.release();
+    await second.release();
+  });
+
+  test('renews the lease on a heartbeat while it is held', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(JobLock, 'acquire').mockResolvedValue({});
+    const renew = jest.spyOn(JobLock, 'renew').mockResolvedValue(true);
+
+    const lease = await acquireJobLock('prices');
+    await jest.advanceTimersByTimeAsync(120 * 1000);
+
+    expect(renew).toHaveBeenCalledWith('prices', lease.owner, 120 * 1000);
+    expect(lease.lost).toBe(false);
+
+    await lease.release();
+    renew.mockClear();
+    await jest.advanceTimersByTimeAsync(120 * 1000);
+    expect(renew).not.toHaveBeenCalled();
+  });
+
+  test('marks the lease lost when a renewal fails and stops renewing', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(JobLock, 'acquire').mockResolvedValue({});
+    const renew = jest.spyOn(JobLock, 'renew').mockResolvedValue(false);
+
+    const lease = await acquireJobLock('prices');
+    await jest.advanceTimersByTimeAsync(40 * 1000);
+
+    expect(lease.lost).toBe(true);
+    await jest.advanceTimersByTimeAsync(120 * 1000);
+    expect(renew).toHaveBeenCalledTimes(1);
+    await lease.release();
+  });
+
+  test('keeps the lease when a renewal errors, it is retried on the next beat', async () => {
+    jest.spyOn(JobLock, 'acquire').mockResolvedValue({});
+    jest.spyOn(JobLock, 'renew').mockRejectedValue(new Error('connection closed'));
+
+    const lease = await acquireJobLock('prices');
+    await lease.renew();
+
+    expect(lease.lost).toBe(false);
+    await lease.release();
+  });
+
+  test('ensureHeld renews now and throws once the lease is lost', async () => {
+    jest.spyOn(JobLock, 'acquire').mockResolvedValue({});
+    const renew = jest.spyOn(JobLock, 'renew').mockResolvedValue(true);
+
+    const lease = await acquireJobLock('orders:8453');
+    await expect(lease.ensureHeld()).resolves.toBeUndefined();
+
+    renew.mockResolvedValue(false);
+    await expect(lease.ensureHeld()).rejects.toThrow(JobLockLostError);
+    await lease.release();
+  });
+});
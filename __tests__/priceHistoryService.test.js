@@ -0,0 +1,36 @@
+const priceHistoryService = require('../services/priceHistoryService');
+const priceService = require('../services/priceService');
+const tokenRegistryService = require('../services/tokenRegistryService');
+const PriceSnapshot = require('../models/PriceSnapshot');
+
+describe('priceHistoryService.captureSnapshot', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stamps snapshots with the capture time, not the provider price time', async () => {
+    const loadedAt = new Date('2025-03-10T08:00:00Z');
+    jest.spyOn(tokenRegistryService, 'getPriceSourceIds').mockResolvedValue(['celo-dollar']);
+    jest.spyOn(priceService, 'fetchPrices').mockResolvedValue({
+      'celo-dollar': { usd: 1, ngn: 1550, provider: 'static', updatedAt: loadedAt }
+    });
+    const bulkWrite = jest.spyOn(PriceSnapshot, 'bulkWrite').mockResolvedValue({ upsertedCount: 1 });
+
+    const before = Date.now();
+    await expect(priceHistoryService.captureSnapshot()).resolves.toBe(1);
+
+    const [{ updateOne }] = bulkWrite.mock.calls[0][0];
+    expect(updateOne.filter.capturedAt.getTime()).toBeGreaterThanOrEqual(before);
+    expect(updateOne.update.$setOnInsert).toMatchObject({ provider: 'static', priceUpdatedAt: loadedAt });
+  });
+
+  test('skips prices without both usd and ngn', async () => {
+    jest.spyOn(tokenRegistryService, 'getPriceSourceIds').mockResolvedValue(['celo-dollar']);
+    jest.spyOn(priceService, 'fetchPrices').mockResolvedValue({ 'celo-dollar': { usd: 1 } });
+    const bulkWrite = jest.spyOn(PriceSnapshot, 'bulkWrite');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await expect(priceHistoryService.captureSnapshot()).resolves.toBe(0);
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const priceService = require('../services/priceService');
+const FixturePriceProvider = require('../services/priceProviders/fixturePriceProvider');
+const StaticPriceProvider = require('../services/priceProviders/staticPriceProvider');
+
+const FIXTURE_PATH = path.join(__dirname, '..', 'fixtures', 'prices.json');
+const MISSING_PATH = path.join(os.tmpdir(), 'paycrypt-missing-prices.json');
+
+// Helper to build a fixture provider under its own name, e.g. to tell two apart in results
+function fixtureProvider(name, filePath = FIXTURE_PATH) {
+  return new FixturePriceProvider({ name, path: filePath });
+}
+
+describe('priceService.fetchPrices', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    priceService.clearCache();
+  });
+
+  test('asks providers in order, each only for the ids the ones before it missed', async () => {
+    const first = new StaticPriceProvider({ name: 'static', prices: { tether: { usd: 1.01, ngn: 1555 } } });
+    const second = fixtureProvider('fixture');
+    const secondSpy = jest.spyOn(second, 'fetchPrices');
+    priceService.providers = [first, second];
+
+    const prices = await priceService.fetchPrices(['tether', 'celo']);
+
+    expect(secondSpy).toHaveBeenCalledWith(['celo']);
+    expect(prices.tether).toMatchObject({ usd: 1.01, ngn: 1555, provider: 'static' });
+    expect(prices.celo).toMatchObject({ usd: 0.65, ngn: 1001, provider: 'fixture' });
+  });
+
+  test('falls through to the next provider when one fails', async () => {
+    priceService.providers = [fixtureProvider('broken', MISSING_PATH), fixtureProvider('fixture')];
+
+    const prices = await priceService.fetchPrices(['bitcoin']);
+
+    expect(prices.bitcoin).toMatchObject({ usd: 95000, provider: 'fixture' });
+  });
+
+  test('leaves out ids no provider knows', async () => {
+    priceService.providers = [fixtureProvider('fixture')];
+
+    const prices = await priceService.fetchPrices(['tether', 'not-a-token']);
+
+    expect(Object.keys(prices)).toEqual(['tether']);
+  });
+
+  test('throws when every provider fails and nothing is cached', async () => {
+    priceService.providers = [fixtureProvider('broken', MISSING_PATH), fixtureProvider('also-broken', MISSING_PATH)];
+
+    await expect(priceService.fetchPrices(['tether'])).rejects.toThrow('All price providers failed (broken, also-broken)');
+  });
+
+  test('serves fresh cached prices without asking the providers again', async () => {
+    const provider = fixtureProvider('fixture');
+    const spy = jest.spyOn(provider, 'fetchPrices');
+    priceService.providers = [provider];
+
+    await priceService.fetchPrices(['tether']);
+    const prices = await priceService.fetchPrices(['tether']);
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(prices.tether.provider).toBe('fixture');
+  });
+
+  test('falls back to a stale cached price when every provider fails', async () => {
+    priceService.providers = [fixtureProvider('fixture')];
+    await priceService.fetchPrices(['celo']);
+
+    // Age the cache entry past its expiry, then take the provider away
+    const cached = priceService.priceCache.get('celo');
+    cached.fetchedAt -= priceService.cacheExpiry + 1000;
+    priceService.providers = [fixtureProvider('broken', MISSING_PATH)];
+
+    const prices = await priceService.fetchPrices(['celo']);
+
+    expect(prices.celo).toMatchObject({ usd: 0.65, ngn: 1001, provider: 'fixture' });
+  });
+
+  test('reports each price\'s age from when its provider set it', async () => {
+    const updatedAt = new Date(Date.now() - 300 * 1000);
+    priceService.providers = [new StaticPriceProvider({ prices: { tether: { usd: 1, ngn: 1540, updatedAt: updatedAt.toISOString() } } })];
+
+    const prices = await priceService.fetchPrices(['tether']);
+
+    expect(prices.tether.updatedAt).toEqual(updatedAt);
+    expect(prices.tether.ageSeconds).toBeGreaterThanOrEqual(300);
+    expect(prices.tether.ageSeconds).toBeLessThan(310);
+  });
+
+  test('dates fixture prices without an updatedAt by the file\'s modification time', async () => {
+    priceService.providers = [fixtureProvider('fixture')];
+
+    const prices = await priceService.fetchPrices(['ethereum']);
+
+    expect(prices.ethereum.updatedAt).toEqual(fs.statSync(FIXTURE_PATH).mtime);
+    expect(typeof prices.ethereum.ageSeconds).toBe('number');
+  });
+});
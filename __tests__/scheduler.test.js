@@ -0,0 +1,71 @@
+const JobDefinition = require('../models/JobDefinition');
+const { JOB_CATALOG, runDefinedJob } = require('../jobs/scheduler');
+const { skipped, summarizeChainResults } = require('../jobs/jobOutcome');
+
+describe('runDefinedJob', () => {
+  let definition;
+
+  beforeEach(() => {
+    definition = { chainIds: [], recordResult: jest.fn().mockResolvedValue() };
+    jest.spyOn(JobDefinition, 'findOne').mockResolvedValue(definition);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records completed with the returned summary', async () => {
+    jest.spyOn(JOB_CATALOG.prices, 'run').mockResolvedValue({ snapshots: 2, ordersValued: 5 });
+
+    await expect(runDefinedJob('prices')).resolves.toEqual({ snapshots: 2, ordersValued: 5 });
+    expect(definition.recordResult).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'completed',
+      summary: { snapshots: 2, ordersValued: 5 },
+      error: null
+    }));
+  });
+
+  test('records skipped when the job did no work', async () => {
+    jest.spyOn(JOB_CATALOG.prices, 'run').mockResolvedValue(skipped('Price snapshot already running'));
+
+    await runDefinedJob('prices');
+    expect(definition.recordResult).toHaveBeenCalledWith(expect.objectContaining({ status: 'skipped' }));
+  });
+
+  test('records failed and rethrows when the job throws', async () => {
+    jest.spyOn(JOB_CATALOG.prices, 'run').mockRejectedValue(new Error('price API down'));
+
+    await expect(runDefinedJob('prices')).rejects.toThrow('price API down');
+    expect(definition.recordResult).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failed',
+      error: 'price API down'
+    }));
+  });
+
+  test('rejects unknown jobs', async () => {
+    await expect(runDefinedJob('nope')).rejects.toThrow('Unknown job: nope');
+  });
+});
+
+describe('summarizeChainResults', () => {
+  test('returns the results when every chain ran', () => {
+    const results = [{ chainId: 8453, inserted: 3 }, { chainId: 42220, ...skipped('Order sync already running') }];
+    expect(summarizeChainResults(results)).toBe(results);
+  });
+
+  test('is skipped when every chain was skipped', () => {
+    expect(summarizeChainResults([{ chainId: 8453, ...skipped('Order sync already running') }]))
+      .toEqual({ status: 'skipped', reason: 'chainId 8453: Order sync already running' });
+  });
+
+  test('throws with the results as summary when a chain failed', () => {
+    const results = [{ chainId: 8453, inserted: 3 }, { chainId: 42220, error: 'RPC timeout' }];
+    expect(() => summarizeChainResults(results)).toThrow('chainId 42220: RPC timeout');
+
+    try {
+      summarizeChainResults(results);
+    } catch (error) {
+      expect(error.summary).toBe(results);
+    }
+  });
+});
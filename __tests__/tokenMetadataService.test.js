@@ -0,0 +1,29 @@
+const tokenMetadataService = require('../services/tokenMetadataService');
+const tokenRegistryService = require('../services/tokenRegistryService');
+const contractService = require('../services/contractService');
+
+describe('tokenMetadataService.getDecimals', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    tokenMetadataService.decimalsCache.clear();
+  });
+
+  test('reads registered tokens through the registry every time, so edits apply', async () => {
+    const getToken = jest.spyOn(tokenRegistryService, 'getToken').mockResolvedValue({ decimals: 6 });
+    const getTokenDetails = jest.spyOn(contractService, 'getTokenDetails');
+
+    await expect(tokenMetadataService.getDecimals(8453, '0xAbC')).resolves.toBe(6);
+    getToken.mockResolvedValue({ decimals: 18 });
+    await expect(tokenMetadataService.getDecimals(8453, '0xAbC')).resolves.toBe(18);
+    expect(getTokenDetails).not.toHaveBeenCalled();
+  });
+
+  test('reads unregistered tokens from the contract once', async () => {
+    jest.spyOn(tokenRegistryService, 'getToken').mockResolvedValue(null);
+    const getTokenDetails = jest.spyOn(contractService, 'getTokenDetails').mockResolvedValue({ tokenAddress: '0x0000000000000000000000000000000000000001', decimals: 8n });
+
+    await expect(tokenMetadataService.getDecimals(8453, '0xdef')).resolves.toBe(8);
+    await expect(tokenMetadataService.getDecimals(8453, '0xDEF')).resolves.toBe(8);
+    expect(getTokenDetails).toHaveBeenCalledTimes(1);
+  });
+});
@@ -5,24 +5,55 @@ const CONTRACTS = {
     name: 'Base',
     address: '0x0574A0941Ca659D01CF7370E37492bd2DF43128d',
     explorer: 'https://basescan.org',
-    rpcUrl: process.env.BASE_RPC_URL || `https://base-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`
+    rpcUrl: process.env.BASE_RPC_URL || `https://base-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
+    rpcUrls: parseRpcUrls(process.env.BASE_RPC_URLS), // Weighted failover endpoints "url|weight|rps,...", replaces rpcUrl when set
+    wsUrl: process.env.BASE_WS_URL || null, // WebSocket endpoint for live mode log subscriptions (falls back to head polling)
+    rpcRequestsPerSecond: parseFloat(process.env.BASE_RPC_RPS) || 5, // Chain-wide RPC rate limit (token bucket refill rate)
+    rpcBurst: parseInt(process.env.BASE_RPC_BURST) || 10, // Calls allowed back to back before the rate applies
+    deploymentBlock: parseInt(process.env.BASE_DEPLOYMENT_BLOCK) || 0, // Block the contract was deployed at, where full history starts (0 = not configured)
+    pendingSlaMinutes: parseInt(process.env.BASE_PENDING_SLA_MINUTES) || 30, // Orders pending longer than this are SLA breaches
+    confirmations: parseInt(process.env.BASE_CONFIRMATIONS) || 12, // Only index blocks this far behind head
+    reorgCheckDepth: parseInt(process.env.BASE_REORG_CHECK_DEPTH) || 200 // Re-verify this many already indexed blocks each run
   },
   lisk: {
     chainId: 1135,
     name: 'Lisk',
     address: '0x7Ca0a469164655AF07d27cf4bdA5e77F36Ab820A',
     explorer: 'https://blockscout.lisk.com',
-    rpcUrl: process.env.LISK_RPC_URL
+    rpcUrl: process.env.LISK_RPC_URL,
+    rpcUrls: parseRpcUrls(process.env.LISK_RPC_URLS),
+    wsUrl: process.env.LISK_WS_URL || null,
+    rpcRequestsPerSecond: parseFloat(process.env.LISK_RPC_RPS) || 5,
+    rpcBurst: parseInt(process.env.LISK_RPC_BURST) || 10,
+    deploymentBlock: parseInt(process.env.LISK_DEPLOYMENT_BLOCK) || 0,
+    pendingSlaMinutes: parseInt(process.env.LISK_PENDING_SLA_MINUTES) || 30,
+    confirmations: parseInt(process.env.LISK_CONFIRMATIONS) || 12,
+    reorgCheckDepth: parseInt(process.env.LISK_REORG_CHECK_DEPTH) || 200
   },
   celo: {
     chainId: 42220,
     name: 'Celo',
     address: '0xBC955DC38a13c2Cd8736DA1bC791514504202F9D',
     explorer: 'https://celoscan.io',
-    rpcUrl: process.env.CELO_RPC_URL || `https://celo-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`
+    rpcUrl: process.env.CELO_RPC_URL || `https://celo-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
+    rpcUrls: parseRpcUrls(process.env.CELO_RPC_URLS),
+    wsUrl: process.env.CELO_WS_URL || null,
+    rpcRequestsPerSecond: parseFloat(process.env.CELO_RPC_RPS) || 5,
+    rpcBurst: parseInt(process.env.CELO_RPC_BURST) || 10,
+    deploymentBlock: parseInt(process.env.CELO_DEPLOYMENT_BLOCK) || 0,
+    pendingSlaMinutes: parseInt(process.env.CELO_PENDING_SLA_MINUTES) || 30,
+    confirmations: parseInt(process.env.CELO_CONFIRMATIONS) || 6,
+    reorgCheckDepth: parseInt(process.env.CELO_REORG_CHECK_DEPTH) || 100
   }
 };
 
+// Chains without an RPC_URLS list use their single rpcUrl as the only endpoint
+for (const config of Object.values(CONTRACTS)) {
+  if (config.rpcUrls.length === 0 && config.rpcUrl) {
+    config.rpcUrls = [{ url: config.rpcUrl, weight: 1, requestsPerSecond: null }];
+  }
+}
+
 // Default to Base for backward compatibility
 const CONTRACT_ADDRESS = CONTRACTS.base.address;
 
@@ -42,13 +73,39 @@ function getExplorerUrl(chainId) {
   return getContractByChainId(chainId).explorer;
 }
 
+// Helper function to parse a comma-separated RPC list, each entry optionally suffixed with |weight|rps
+function parseRpcUrls(list) {
+  if (!list) return [];
+
+  return list.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [url, weight, rps] = entry.split('|');
+      return {
+        url: url.trim(),
+        weight: parseFloat(weight) > 0 ? parseFloat(weight) : 1,
+        requestsPerSecond: parseFloat(rps) > 0 ? parseFloat(rps) : null // null = chain limit only
+      };
+    });
+}
+
 // Helper function to get all enabled chains
 function getEnabledChains() {
   return Object.entries(CONTRACTS)
-    .filter(([key, config]) => config.rpcUrl)
+    .filter(([key, config]) => config.rpcUrls.length > 0)
     .map(([key, config]) => ({ key, ...config }));
 }
 
+// Paycrypt.OrderStatus enum values, indexed by their on-chain uint8 value
+const ORDER_STATUS_ENUM = ['pending', 'successful', 'failed'];
+
+// Minimal ERC-20 ABI for reading token metadata from the token contract itself
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)'
+];
+
 const CONTRACT_ABI = [
   {
     "inputs": [
@@ -309,7 +366,9 @@ const CONTRACT_ABI = [
 module.exports = {
   CONTRACT_ADDRESS,
   CONTRACT_ABI,
+  ERC20_ABI,
   CONTRACTS,
+  ORDER_STATUS_ENUM,
   getContractByChainId,
   getContractAddress,
   getExplorerUrl,
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Connect to MongoDB with auto-reconnect; shared by the API server and the worker
+function connectDatabase() {
+  console.log('🔗 Connecting to MongoDB...');
+
+  mongoose.connection.on('connected', () => {
+    console.log('✅ Mongoose connected to MongoDB');
+  });
+
+  mongoose.connection.on('error', (err) => {
+    console.error('❌ Mongoose connection error:', err);
+  });
+
+  mongoose.connection.on('disconnected', () => {
+    console.warn('⚠️  Mongoose disconnected from MongoDB');
+  });
+
+  return mongoose.connect(process.env.MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+    serverSelectionTimeoutMS: 5000,
+    socketTimeoutMS: 45000,
+    maxPoolSize: 10,
+    minPoolSize: 2
+  });
+}
+
+// Helper to check if MongoDB is connected
+function isMongoConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+module.exports = {
+  connectDatabase,
+  isMongoConnected
+};
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { acquireJobLock } = require('../services/jobLock');
+const { skipped } = require('./jobOutcome');
+const normalizeOrderAmounts = require('../migrations/normalize-order-amounts');
+
+// Normalize the amounts of orders indexed while their token's decimals could not be read (scheduled by the 'normalize-amounts' job definition).
+// Their fiat values are filled in by the next price snapshot or historical price backfill.
+async function runAmountNormalization() {
+  console.log('🔢 Starting order amount normalization...');
+
+  const lease = await acquireJobLock('normalize-amounts');
+  if (!lease) {
+    console.log('⚠️  Order amount normalization already running, skipping...');
+    return skipped('Order amount normalization already running');
+  }
+
+  try {
+    const complete = await normalizeOrderAmounts(mongoose.connection);
+    if (!complete) {
+      throw new Error('Some orders are still unnormalized, their token decimals could not be read');
+    }
+    return null;
+  } finally {
+    await lease.release();
+  }
+}
+
+module.exports = {
+  runAmountNormalization
+};
@@ -1,28 +1,45 @@
 const contractService = require('../services/contractService');
 const priceService = require('../services/priceService');
+const tokenMetadataService = require('../services/tokenMetadataService');
+const priceHistoryService = require('../services/priceHistoryService');
+const tokenRegistryService = require('../services/tokenRegistryService');
 const ContractMetrics = require('../models/ContractMetrics');
 const Order = require('../models/Order');
 const SyncStatus = require('../models/SyncStatus');
 const Admin = require('../models/Admin');
 const TotalVolume = require('../models/TotalVolume');
+const SlaBreach = require('../models/SlaBreach');
+const FailedBlockRange = require('../models/FailedBlockRange');
+const PendingOrderOutcome = require('../models/PendingOrderOutcome');
+const Backfill = require('../models/Backfill');
+const ReplayJob = require('../models/ReplayJob');
+const SyncRun = require('../models/SyncRun');
+const { trackRpcUsage } = require('../services/rpcUsage');
+const { acquireJobLock, getActiveJobLocks, JobLockLostError } = require('../services/jobLock');
+const { skipped } = require('./jobOutcome');
+const { getEnabledChains, getContractByChainId } = require('../config/contract');
 
-// Sync contract metrics for a specific chain
+// Sync contract metrics for a specific chain. Returns the chain's result; errors are reported in it, not thrown.
 async function syncContractMetricsForChain(chainId) {
   console.log(`📊 Starting contract metrics sync for chainId ${chainId}...`);
   
   let syncStatus;
+  let syncRun;
+  let lease;
   try {
-    // Get or create sync status (this now auto-clears stuck locks)
-    syncStatus = await SyncStatus.getOrCreate('metrics', chainId);
-    
-    // Check if already running
-    if (syncStatus.isRunning) {
+    // Only one instance syncs a chain at a time
+    lease = await acquireJobLock(`metrics:${chainId}`);
+    if (!lease) {
       console.log(`⚠️  Metrics sync for chainId ${chainId} already running, skipping...`);
-      return;
+      return { chainId, ...skipped('Metrics sync already running') };
     }
     
-    // Mark as running
+    // Get or create sync status
+    syncStatus = await SyncStatus.getOrCreate('metrics', chainId);
+    
+    // Flag the run for status pages; the job lock is what prevents overlapping runs
     await syncStatus.markAsRunning();
+    syncRun = await SyncRun.create({ syncType: 'metrics', chainId });
     
     // Check if contract service is initialized
     if (!contractService.isInitialized()) {
@@ -39,13 +56,22 @@ async function syncContractMetricsForChain(chainId) {
     // Update sync status
     const currentBlock = await contractService.getCurrentBlockNumber(chainId);
     await syncStatus.updateSync(currentBlock, true);
+    syncRun.toBlock = currentBlock;
+    await syncRun.finish();
     
     console.log(`✅ Contract metrics sync completed for chainId ${chainId}`);
     console.log(`📈 Saved metrics: Orders: ${metrics.orderCount}, Volume: ${metrics.totalVolume}`);
+    return { chainId, orderCount: metrics.orderCount };
     
   } catch (error) {
     console.error(`❌ Error in contract metrics sync for chainId ${chainId}:`, error);
     
+    if (syncRun) {
+      await syncRun.finish(error).catch(finishError => {
+        console.error(`❌ Failed to close sync run:`, finishError);
+      });
+    }
+    
     if (syncStatus) {
       try {
         await syncStatus.updateSync(0, false, error.message);
@@ -62,11 +88,16 @@ async function syncContractMetricsForChain(chainId) {
         }
       }
     }
+    
+    return { chainId, error: error.message };
+  } finally {
+    if (lease) await lease.release();
   }
 }
 
-// Sync contract metrics for all chains (runs every hour)
-async function syncContractMetrics() {
+// Sync contract metrics for all chains, or only `chainIds` (scheduled by the 'metrics' job definition).
+// Returns the per-chain results.
+async function syncContractMetrics({ chainIds: scope = null } = {}) {
   console.log('📊 Starting contract metrics sync for all chains...');
   
   try {
@@ -75,37 +106,321 @@ async function syncContractMetrics() {
       throw new Error('Contract service not initialized');
     }
     
-    const chainIds = contractService.getEnabledChainIds();
+    const chainIds = contractService.getEnabledChainIds(scope);
     console.log(`🔗 Syncing metrics for ${chainIds.length} chain(s): ${chainIds.join(', ')}`);
     
     // Sync chains sequentially to avoid RPC rate limiting
+    const results = [];
     for (const chainId of chainIds) {
-      await syncContractMetricsForChain(chainId);
+      results.push(await trackRpcUsage(() => syncContractMetricsForChain(chainId)));
     }
     
     console.log('✅ All chain metrics sync completed');
+    return results;
     
   } catch (error) {
     console.error('❌ Error in contract metrics sync:', error);
+    throw error;
+  }
+}
+
+// Apply order outcome events to stored orders, returns the number of orders updated
+async function applyOrderStatusUpdates(statusUpdates) {
+  let updatedCount = 0;
+  
+  for (const update of statusUpdates) {
+    const { chainId, orderId, ...fields } = update;
+    
+    try {
+      const order = await Order.findOne({ chainId, orderId }).select('timestamp status');
+      
+      if (!order) {
+        // Its OrderCreated range may have failed and be queued for retry; apply the outcome once the order is stored
+        await PendingOrderOutcome.hold(update);
+        console.log(`⏸️  ${fields.status} event for unknown order ${orderId} on chainId ${chainId}, holding until the order is stored`);
+        continue;
+      }
+      
+      // Re-applying an outcome the order already has is not a status change
+      if (order.status !== fields.status) {
+        fields.statusUpdatedAt = new Date();
+      }
+      
+      // Settlement latency from the stored order time to the outcome event's block time (from the block header cache)
+      if (fields.processedAt) {
+        fields.latencySeconds = Math.max(0, (fields.processedAt.getTime() - order.timestamp.getTime()) / 1000);
+      }
+      
+      await Order.updateOne({ _id: order._id }, { $set: fields });
+      updatedCount++;
+    } catch (error) {
+      console.error(`❌ Error updating status for order ${orderId} on chainId ${chainId}:`, error);
+    }
+  }
+  
+  return updatedCount;
+}
+
+// Apply outcomes held for orders that were just stored, returns the number of orders updated
+async function applyPendingOutcomes(chainId, orderIds) {
+  const pending = await PendingOrderOutcome.find({ chainId, orderId: { $in: orderIds } });
+  let appliedCount = 0;
+  
+  for (const outcome of pending) {
+    if (await applyOrderStatusUpdates([outcome.toStatusUpdate()]) > 0) {
+      await PendingOrderOutcome.deleteOne({ _id: outcome._id });
+      appliedCount++;
+    }
   }
+  
+  if (appliedCount > 0) {
+    console.log(`📝 Applied ${appliedCount} held outcome(s) to newly stored orders on chainId ${chainId}`);
+  }
+  return appliedCount;
+}
+
+// Re-check the block hashes of the last reorgCheckDepth indexed blocks and find the orders,
+// outcomes and held outcomes whose block was reorged out. Nothing is changed here: the caller
+// always rescans from the returned fromBlock, then calls removeReorgedRecords.
+async function findReorgedRecords(chainId, toBlock) {
+  const { reorgCheckDepth } = getContractByChainId(chainId);
+  const fromBlock = Math.max(0, toBlock - reorgCheckDepth + 1);
+  const check = { fromBlock, toBlock, orphanedOrders: [], revertedStatuses: [], orphanedOutcomes: [] };
+  
+  if (toBlock === 0) {
+    return check;
+  }
+  
+  const [createdOrders, processedOrders, heldOutcomes] = await Promise.all([
+    Order.find({ chainId, blockNumber: { $gte: fromBlock, $lte: toBlock }, blockHash: { $ne: null } })
+      .select('orderId blockNumber blockHash').lean(),
+    Order.find({ chainId, processedBlockNumber: { $gte: fromBlock, $lte: toBlock }, processedBlockHash: { $ne: null } })
+      .select('orderId processedBlockNumber processedBlockHash').lean(),
+    PendingOrderOutcome.find({ chainId, processedBlockNumber: { $gte: fromBlock, $lte: toBlock }, processedBlockHash: { $ne: null } })
+      .select('orderId processedBlockNumber processedBlockHash').lean()
+  ]);
+  
+  if (createdOrders.length === 0 && processedOrders.length === 0 && heldOutcomes.length === 0) {
+    return check;
+  }
+  
+  const canonicalHashes = await contractService.getBlockHashes(chainId, [...new Set([
+    ...createdOrders.map(order => order.blockNumber),
+    ...processedOrders.map(order => order.processedBlockNumber),
+    ...heldOutcomes.map(outcome => outcome.processedBlockNumber)
+  ])]);
+  
+  check.orphanedOrders = createdOrders.filter(order => canonicalHashes.get(order.blockNumber) !== order.blockHash);
+  check.revertedStatuses = processedOrders.filter(order => canonicalHashes.get(order.processedBlockNumber) !== order.processedBlockHash);
+  check.orphanedOutcomes = heldOutcomes.filter(outcome => canonicalHashes.get(outcome.processedBlockNumber) !== outcome.processedBlockHash);
+  
+  if (check.orphanedOrders.length > 0 || check.revertedStatuses.length > 0 || check.orphanedOutcomes.length > 0) {
+    console.log(`↩️  Reorg detected on chainId ${chainId}: ${check.orphanedOrders.length} orphaned order(s), ${check.revertedStatuses.length} reverted status(es), ${check.orphanedOutcomes.length} held outcome(s)`);
+  }
+  
+  return check;
+}
+
+// After the rescan of a reorg check, remove what it did not see again: orders still carrying an
+// orphaned block hash are deleted and outcomes from orphaned blocks fall back to pending.
+// A re-mined event was rewritten with its new hash by the rescan, so it no longer matches.
+// Blocks inside ranges whose rescan failed are left alone; the next run checks them again.
+async function removeReorgedRecords(chainId, syncStatus, check, failedRanges) {
+  const rescanned = blockNumber => !failedRanges.some(range => blockNumber >= range.start && blockNumber <= range.end);
+  const ordersRemoved = [];
+  const statusesReverted = [];
+  const reorgedBlocks = new Set();
+  
+  for (const order of check.orphanedOrders.filter(order => rescanned(order.blockNumber))) {
+    const { deletedCount } = await Order.deleteOne({ chainId, orderId: order.orderId, blockHash: order.blockHash });
+    if (deletedCount > 0) {
+      ordersRemoved.push(order.orderId);
+      reorgedBlocks.add(order.blockNumber);
+    }
+  }
+  
+  for (const order of check.revertedStatuses.filter(order => rescanned(order.processedBlockNumber))) {
+    const { modifiedCount } = await Order.updateOne(
+      { chainId, orderId: order.orderId, processedBlockHash: order.processedBlockHash },
+      {
+        $set: {
+          status: 'pending',
+          processedBlockNumber: null,
+          processedTxnHash: null,
+          processedBlockHash: null,
+          processedAt: null,
+          latencySeconds: null,
+          statusUpdatedAt: new Date()
+        }
+      }
+    );
+    if (modifiedCount > 0) {
+      statusesReverted.push(order.orderId);
+      reorgedBlocks.add(order.processedBlockNumber);
+    }
+  }
+  
+  for (const outcome of check.orphanedOutcomes.filter(outcome => rescanned(outcome.processedBlockNumber))) {
+    await PendingOrderOutcome.deleteOne({ chainId, orderId: outcome.orderId, processedBlockHash: outcome.processedBlockHash });
+  }
+  
+  if (ordersRemoved.length === 0 && statusesReverted.length === 0) {
+    return;
+  }
+  
+  console.log(`↩️  Rolled back chainId ${chainId} after rescan: ${ordersRemoved.length} order(s) removed, ${statusesReverted.length} status(es) reverted`);
+  
+  await syncStatus.recordRollback({
+    detectedAt: new Date(),
+    fromBlock: check.fromBlock,
+    toBlock: check.toBlock,
+    reorgedBlocks: [...reorgedBlocks].sort((a, b) => a - b),
+    ordersRemoved,
+    statusesReverted
+  });
 }
 
-// Sync order history for a specific chain
+// Upsert a batch of orders with one unordered bulkWrite.
+// Duplicate key conflicts are counted as failed; any other write error throws.
+// Live orders are inserted as 'live' and never downgrade an order the batch sync already confirmed.
+async function bulkUpsertOrders(chainId, orders, { live = false } = {}) {
+  orders = await priceHistoryService.addFiatValues(await tokenMetadataService.addNormalizedAmounts(orders));
+  
+  const operations = orders.map(orderData => ({
+    updateOne: {
+      filter: { chainId: orderData.chainId, orderId: orderData.orderId },
+      // An event for an order first read via getOrder fills in its transaction details
+      update: live
+        ? { $set: orderData, $setOnInsert: { source: 'live' } }
+        : { $set: { ...orderData, source: 'event' } },
+      upsert: true
+    }
+  }));
+  
+  let writeResult;
+  let writeErrors = [];
+  
+  try {
+    writeResult = await Order.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    if (!error.result || !error.writeErrors) {
+      throw error;
+    }
+    writeResult = error.result;
+    writeErrors = [].concat(error.writeErrors);
+    
+    const unexpected = writeErrors.find(writeError => writeError.code !== 11000);
+    if (unexpected) {
+      throw new Error(`Bulk order write failed: ${unexpected.errmsg}`);
+    }
+    
+    for (const writeError of writeErrors) {
+      const orderData = orders[writeError.index];
+      console.log(`⚠️  Order ${orderData.orderId} on chainId ${chainId} conflicts with an existing order (${writeError.errmsg}), skipping...`);
+    }
+  }
+  
+  // Outcomes seen before these orders existed (e.g. orders from a retried range)
+  if (writeResult.upsertedCount > 0) {
+    await applyPendingOutcomes(chainId, orders.map(order => order.orderId));
+  }
+  
+  return {
+    inserted: writeResult.upsertedCount,
+    matched: writeResult.matchedCount,
+    modified: writeResult.modifiedCount,
+    failed: writeErrors.length
+  };
+}
+
+// Fetch and store orders and their outcomes for one block range, throws if any part fails.
+// Returns counts of events found, orders inserted/matched/modified/failed and statuses applied.
+async function processOrderBlockRange(chainId, start, end) {
+  const orders = await contractService.getOrderCreatedEvents(chainId, start, end);
+  
+  console.log(`✅ Batch [${start}-${end}]: Retrieved ${orders.length} orders from blockchain`);
+  
+  const result = { eventsFound: orders.length, inserted: 0, matched: 0, modified: 0, failed: 0, statusesUpdated: 0 };
+  
+  if (orders.length > 0) {
+    Object.assign(result, await bulkUpsertOrders(chainId, orders));
+    
+    console.log(`📝 Batch [${start}-${end}]: Inserted ${result.inserted} new orders, matched ${result.matched} existing (${result.modified} modified), ${result.failed} failed`);
+  } else {
+    console.log(`📝 Batch [${start}-${end}]: No new orders found`);
+  }
+  
+  // Apply OrderSuccessful / OrderFailed outcomes after the orders they refer to are saved
+  const statusUpdates = await contractService.getOrderStatusEvents(chainId, start, end);
+  result.eventsFound += statusUpdates.length;
+  if (statusUpdates.length > 0) {
+    result.statusesUpdated = await applyOrderStatusUpdates(statusUpdates);
+    console.log(`📝 Batch [${start}-${end}]: Updated status for ${result.statusesUpdated}/${statusUpdates.length} orders`);
+  }
+  
+  return result;
+}
+
+// Write orders and outcomes seen by live mode at the chain head. The orders stay 'live'
+// until the batch sync sees them in a confirmed block, and are pruned if it never does.
+async function ingestLiveEvents(chainId, { orders, statusUpdates }) {
+  if (orders.length > 0) {
+    const result = await bulkUpsertOrders(chainId, orders, { live: true });
+    console.log(`⚡ Live: inserted ${result.inserted} new order(s) on chainId ${chainId} (${result.matched} already indexed, ${result.failed} failed)`);
+  }
+  
+  if (statusUpdates.length > 0) {
+    const updated = await applyOrderStatusUpdates(statusUpdates);
+    console.log(`⚡ Live: updated status for ${updated}/${statusUpdates.length} order(s) on chainId ${chainId}`);
+  }
+}
+
+// Retry previously failed block ranges that are due, returns the number of new orders inserted
+async function retryFailedOrderRanges(syncType, chainId, syncRun) {
+  const dueRanges = await FailedBlockRange.getDue(syncType, chainId);
+  let processedOrders = 0;
+  
+  if (dueRanges.length > 0) {
+    console.log(`🔁 Retrying ${dueRanges.length} failed ${syncType} block range(s) for chainId ${chainId}...`);
+  }
+  
+  for (const range of dueRanges) {
+    try {
+      const result = await processOrderBlockRange(chainId, range.fromBlock, range.toBlock);
+      processedOrders += result.inserted;
+      await syncRun.recordBatch(result);
+      await range.markResolved();
+      console.log(`✅ Retry of blocks ${range.fromBlock}-${range.toBlock} on chainId ${chainId} succeeded`);
+    } catch (error) {
+      console.error(`❌ Retry of blocks ${range.fromBlock}-${range.toBlock} on chainId ${chainId} failed:`, error.message);
+      await FailedBlockRange.recordFailure(syncType, chainId, range.fromBlock, range.toBlock, error);
+      await syncRun.recordFailedBatch(error, range.fromBlock, range.toBlock);
+    }
+  }
+  
+  return processedOrders;
+}
+
+// Sync order history for a specific chain. Returns the chain's result; errors are reported in it, not thrown.
 async function syncOrderHistoryForChain(chainId) {
   console.log(`📦 Starting order history sync for chainId ${chainId}...`);
   
   let syncStatus;
+  let syncRun;
+  let lease;
+  let reorgCheck = null;
   try {
-    // Get or create sync status
-    syncStatus = await SyncStatus.getOrCreate('orders', chainId);
-    
-    // Check if already running
-    if (syncStatus.isRunning) {
+    // Only one instance syncs a chain at a time
+    lease = await acquireJobLock(`orders:${chainId}`);
+    if (!lease) {
       console.log(`⚠️  Order sync for chainId ${chainId} already running, skipping...`);
-      return;
+      return { chainId, ...skipped('Order sync already running') };
     }
     
-    // Mark as running
+    // Get or create sync status
+    syncStatus = await SyncStatus.getOrCreate('orders', chainId);
+    
+    // Flag the run for status pages; the job lock is what prevents overlapping runs
     await syncStatus.markAsRunning();
     
     // Check if contract service is initialized
@@ -113,89 +428,111 @@ async function syncOrderHistoryForChain(chainId) {
       throw new Error('Contract service not initialized');
     }
     
-    // Get current block number
-    const currentBlock = await contractService.getCurrentBlockNumber(chainId);
+    // Only index blocks that have enough confirmations to be safe from reorgs
+    const { confirmations, deploymentBlock } = getContractByChainId(chainId);
+    const headBlock = await contractService.getCurrentBlockNumber(chainId);
+    const currentBlock = Math.max(0, headBlock - confirmations);
     
-    // Determine starting block
-    let fromBlock = syncStatus.lastSyncBlock || 0;
+    // Resume scanning after the highest block already scanned; ranges that failed below it are in the retry queue
+    let fromBlock = Math.max(syncStatus.lastSyncBlock || 0, syncStatus.highestScannedBlock || 0);
     
-    // For initial sync, start from a reasonable block (e.g., contract deployment)
+    // For initial sync, start from the contract deployment block when it is configured
     if (fromBlock === 0) {
-      // You can set this to your contract deployment block
-      fromBlock = Math.max(0, currentBlock - 100000); // Start from 100k blocks ago
+      if (deploymentBlock > 0) {
+        fromBlock = deploymentBlock;
+      } else {
+        fromBlock = Math.max(0, currentBlock - 100000); // Start from 100k blocks ago
+        console.warn(`⚠️  No deploymentBlock configured for chainId ${chainId}, earlier history needs a backfill`);
+      }
       console.log(`🚀 Initial sync for chainId ${chainId} starting from block ${fromBlock}`);
+    } else {
+      // Always rescan the last reorgCheckDepth indexed blocks; records from reorged blocks are removed once the rescan succeeds
+      reorgCheck = await findReorgedRecords(chainId, fromBlock);
+      fromBlock = reorgCheck.fromBlock;
     }
     
-    console.log(`🔍 Syncing orders for chainId ${chainId} from block ${fromBlock} to ${currentBlock}`);
+    syncRun = await SyncRun.create({ syncType: 'orders', chainId, fromBlock, toBlock: currentBlock });
+    
+    // Retry earlier failures first so the cursor can catch up past them
+    let processedOrders = await retryFailedOrderRanges('orders', chainId, syncRun);
+    processedOrders += await retryFailedOrderRanges('backfill', chainId, syncRun);
+    
+    console.log(`🔍 Syncing orders for chainId ${chainId} from block ${fromBlock} to ${currentBlock} (head ${headBlock}, ${confirmations} confirmations)`);
     
     // Fetch order events in smaller batches to avoid missing events on slower RPC providers (especially Celo)
     // Using smaller batches ensures we get complete event logs even on rate-limited chains
     const batchSize = 5000; // Reduced batch size for better reliability on Celo
-    let processedOrders = 0;
+    const failedRanges = [];
     
     for (let start = fromBlock; start <= currentBlock; start += batchSize) {
       const end = Math.min(start + batchSize - 1, currentBlock);
       
+      // Stop if the lease ran out and another instance took over the chain
+      await lease.ensureHeld();
+      
       console.log(`📦 Processing blocks ${start} to ${end} for chainId ${chainId}...`);
       
       try {
-        const orders = await contractService.getOrderCreatedEvents(chainId, start, end);
-        
-        console.log(`✅ Batch [${start}-${end}]: Retrieved ${orders.length} orders from blockchain`);
-        
-        if (orders.length > 0) {
-          // Save orders to database (handle duplicates)
-          let savedCount = 0;
-          let duplicateCount = 0;
-          
-          for (const orderData of orders) {
-            try {
-              await Order.findOneAndUpdate(
-                { chainId: orderData.chainId, orderId: orderData.orderId },
-                orderData,
-                { upsert: true, new: true }
-              );
-              processedOrders++;
-              savedCount++;
-            } catch (error) {
-              // Handle duplicate key errors gracefully
-              if (error.code === 11000) {
-                console.log(`⚠️  Order ${orderData.orderId} on chainId ${chainId} already exists, skipping...`);
-                duplicateCount++;
-              } else {
-                console.error(`❌ Error saving order ${orderData.orderId} on chainId ${chainId}:`, error);
-              }
-            }
-          }
-          
-          console.log(`📝 Batch [${start}-${end}]: Saved ${savedCount} new orders, ${duplicateCount} duplicates skipped`);
-        } else {
-          console.log(`📝 Batch [${start}-${end}]: No new orders found`);
-        }
-        
-        // Slightly longer delay for Celo due to slower RPC
-        const delayMs = chainId === 42220 ? 200 : 100;
-        await new Promise(resolve => setTimeout(resolve, delayMs));
-        
+        const result = await processOrderBlockRange(chainId, start, end);
+        processedOrders += result.inserted;
+        await syncRun.recordBatch(result);
       } catch (error) {
         console.error(`❌ Error processing blocks ${start}-${end} for chainId ${chainId}:`, error);
-        // Continue with next batch
+        // Queue the range for retry and keep scanning; the cursor will not pass it until it succeeds
+        await FailedBlockRange.recordFailure('orders', chainId, start, end, error);
+        await syncRun.recordFailedBatch(error, start, end);
+        failedRanges.push({ start, end });
       }
+      
+      // Slightly longer delay for Celo due to slower RPC
+      const delayMs = chainId === 42220 ? 200 : 100;
+      await new Promise(resolve => setTimeout(resolve, delayMs));
     }
     
-    // Update sync status
-    await syncStatus.updateSync(currentBlock, true);
+    // Only advance the cursor up to the first range still waiting for a retry
+    const earliestFailed = await FailedBlockRange.getEarliestPending('orders', chainId);
+    const contiguousBlock = earliestFailed
+      ? Math.min(currentBlock, earliestFailed.fromBlock - 1)
+      : currentBlock;
+    
+    // Only the lease owner may roll back or move the cursor
+    await lease.ensureHeld();
+    
+    if (reorgCheck) {
+      await removeReorgedRecords(chainId, syncStatus, reorgCheck, failedRanges);
+    }
+    
+    // Live orders in the scanned range that the confirmed scan did not see again were reorged out
+    const { deletedCount: prunedLiveOrders } = await Order.deleteMany({
+      chainId,
+      source: 'live',
+      blockNumber: { $gte: fromBlock, $lte: contiguousBlock }
+    });
+    if (prunedLiveOrders > 0) {
+      console.log(`↩️  Removed ${prunedLiveOrders} live order(s) on chainId ${chainId} that never reached a confirmed block`);
+    }
+    
+    await syncStatus.updateOrderSync(contiguousBlock, currentBlock);
+    await syncRun.finish();
     
     console.log(`✅ Order history sync completed for chainId ${chainId}`);
-    console.log(`📦 Processed ${processedOrders} orders`);
+    console.log(`📦 Inserted ${processedOrders} new orders, ${failedRanges.length} batch(es) queued for retry, cursor at block ${contiguousBlock}`);
+    return { chainId, inserted: processedOrders, failedBatches: failedRanges.length, cursorBlock: contiguousBlock };
     
   } catch (error) {
     console.error(`❌ Error in order history sync for chainId ${chainId}:`, error);
     
-    if (syncStatus) {
+    if (syncRun) {
+      await syncRun.finish(error).catch(finishError => {
+        console.error(`❌ Failed to close sync run:`, finishError);
+      });
+    }
+    
+    // The sync status now belongs to the instance that took over the lease
+    if (syncStatus && !(error instanceof JobLockLostError)) {
       try {
-        const currentBlock = await contractService.getCurrentBlockNumber(chainId).catch(() => 0);
-        await syncStatus.updateSync(currentBlock, false, error.message);
+        // Keep the cursor where it was so the unconfirmed/unsynced range is retried next run
+        await syncStatus.updateSync(0, false, error.message);
       } catch (updateError) {
         console.error(`❌ Failed to update sync status error:`, updateError);
         // Force reset isRunning flag even if update fails
@@ -209,11 +546,240 @@ async function syncOrderHistoryForChain(chainId) {
         }
       }
     }
+    
+    return { chainId, error: error.message };
+  } finally {
+    if (lease) await lease.release();
+  }
+}
+
+// Walk a backfill from its cursor to its target block, checkpointing after every chunk.
+// The lease is held for the whole walk and released when it ends.
+async function runBackfill(backfill, lease) {
+  const { chainId } = backfill;
+  const chunkSize = 5000;
+  
+  console.log(`🗄️  Backfill for chainId ${chainId}: blocks ${backfill.cursorBlock + 1} to ${backfill.targetBlock}`);
+  
+  let syncRun;
+  try {
+    syncRun = await SyncRun.create({
+      syncType: 'backfill',
+      chainId,
+      fromBlock: backfill.cursorBlock + 1,
+      toBlock: backfill.targetBlock
+    });
+    
+    for (let start = backfill.cursorBlock + 1; start <= backfill.targetBlock; start += chunkSize) {
+      const end = Math.min(start + chunkSize - 1, backfill.targetBlock);
+      
+      // Stop without checkpointing if another instance took over the backfill
+      await lease.ensureHeld();
+      
+      try {
+        const result = await processOrderBlockRange(chainId, start, end);
+        await syncRun.recordBatch(result);
+        await lease.ensureHeld();
+        await backfill.checkpoint(end, result.inserted);
+      } catch (error) {
+        if (error instanceof JobLockLostError) throw error;
+        console.error(`❌ Backfill chunk ${start}-${end} for chainId ${chainId} failed:`, error.message);
+        // The order sync retries queued backfill ranges, so the walk can carry on
+        await FailedBlockRange.recordFailure('backfill', chainId, start, end, error);
+        await syncRun.recordFailedBatch(error, start, end);
+        await backfill.checkpoint(end, 0, true);
+      }
+      
+      // Slightly longer delay for Celo due to slower RPC
+      const delayMs = chainId === 42220 ? 200 : 100;
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+    
+    backfill.status = 'completed';
+    backfill.completedAt = new Date();
+    await backfill.save();
+    await syncRun.finish();
+    
+    console.log(`✅ Backfill for chainId ${chainId} completed: ${backfill.ordersFound} orders, ${backfill.failedChunks} chunk(s) queued for retry`);
+  } catch (error) {
+    console.error(`❌ Backfill for chainId ${chainId} failed:`, error);
+    
+    try {
+      if (syncRun) await syncRun.finish(error);
+      // The backfill record now belongs to the instance that took over the lease
+      if (!(error instanceof JobLockLostError)) {
+        await Backfill.updateOne({ _id: backfill._id }, { status: 'failed', lastError: error.message });
+      }
+    } catch (updateError) {
+      console.error(`❌ Failed to update backfill status:`, updateError);
+    }
+  } finally {
+    await lease.release();
+  }
+}
+
+// Create a new backfill record, or reset an interrupted one to resume from its cursor
+async function prepareBackfill(chainId, { fromBlock, restart, initiatedBy }) {
+  const { confirmations, deploymentBlock } = getContractByChainId(chainId);
+  const headBlock = await contractService.getCurrentBlockNumber(chainId);
+  const targetBlock = Math.max(0, headBlock - confirmations);
+  
+  let backfill = await Backfill.findOne({ chainId });
+  const resume = backfill && backfill.status !== 'completed' && !restart;
+  
+  if (resume) {
+    backfill.status = 'running';
+    backfill.targetBlock = Math.max(backfill.targetBlock, targetBlock);
+    backfill.resumedAt = new Date();
+    backfill.resumedFromBlock = backfill.cursorBlock;
+    backfill.lastCheckpointAt = new Date();
+    backfill.lastError = null;
+    await backfill.save();
+    console.log(`🗄️  Resuming backfill for chainId ${chainId} from block ${backfill.cursorBlock + 1}`);
+  } else {
+    const startBlock = fromBlock !== undefined ? fromBlock : deploymentBlock;
+    const now = new Date();
+    
+    backfill = await Backfill.findOneAndUpdate(
+      { chainId },
+      {
+        status: 'running',
+        startBlock,
+        targetBlock,
+        cursorBlock: startBlock - 1,
+        ordersFound: 0,
+        failedChunks: 0,
+        startedAt: now,
+        resumedAt: now,
+        resumedFromBlock: startBlock - 1,
+        lastCheckpointAt: now,
+        completedAt: null,
+        initiatedBy,
+        lastError: null
+      },
+      { upsert: true, new: true }
+    );
+    console.log(`🗄️  Starting backfill for chainId ${chainId} from block ${startBlock}`);
+  }
+  
+  return backfill;
+}
+
+// Start a new backfill (or resume an interrupted one) and run it in the background.
+// Returns null when a backfill for the chain is already running on any instance.
+async function startBackfill(chainId, { fromBlock, restart = false, initiatedBy = null } = {}) {
+  const lease = await acquireJobLock(`backfill:${chainId}`);
+  if (!lease) {
+    return null;
+  }
+  
+  let backfill;
+  try {
+    backfill = await prepareBackfill(chainId, { fromBlock, restart, initiatedBy });
+  } catch (error) {
+    await lease.release();
+    throw error;
+  }
+  
+  trackRpcUsage(() => runBackfill(backfill, lease)).catch(error => {
+    console.error(`❌ Backfill error for chainId ${chainId}:`, error);
+  });
+  
+  return backfill;
+}
+
+// Re-ingest a block range for a replay job without touching the cron sync cursor.
+// Stops without saving progress if the job's lease is lost.
+async function runReplayJob(job, lease) {
+  const { chainId } = job;
+  const chunkSize = 5000;
+  
+  console.log(`🔂 Replay ${job._id} for chainId ${chainId}: blocks ${job.fromBlock} to ${job.toBlock}`);
+  
+  let syncRun;
+  try {
+    job.status = 'running';
+    job.startedAt = new Date();
+    await job.save();
+    
+    syncRun = await SyncRun.create({ syncType: 'replay', chainId, fromBlock: job.fromBlock, toBlock: job.toBlock });
+    
+    for (let start = job.fromBlock; start <= job.toBlock; start += chunkSize) {
+      const end = Math.min(start + chunkSize - 1, job.toBlock);
+      
+      await lease.ensureHeld();
+      
+      try {
+        const result = await processOrderBlockRange(chainId, start, end);
+        job.eventsFound += result.eventsFound;
+        job.inserted += result.inserted;
+        job.updated += result.modified;
+        job.statusesUpdated += result.statusesUpdated;
+        await syncRun.recordBatch(result);
+      } catch (error) {
+        console.error(`❌ Replay ${job._id} chunk ${start}-${end} failed:`, error.message);
+        job.failures.push({ fromBlock: start, toBlock: end, message: error.message });
+        await syncRun.recordFailedBatch(error, start, end);
+      }
+      
+      job.cursorBlock = end;
+      await lease.ensureHeld();
+      await job.save();
+    }
+    
+    job.status = 'completed';
+    job.completedAt = new Date();
+    await job.save();
+    await syncRun.finish();
+    
+    console.log(`✅ Replay ${job._id} completed: ${job.eventsFound} events, ${job.inserted} inserted, ${job.updated} updated, ${job.failures.length} failed chunk(s)`);
+  } catch (error) {
+    console.error(`❌ Replay ${job._id} failed:`, error);
+    
+    if (error instanceof JobLockLostError) {
+      if (syncRun) await syncRun.finish(error).catch(() => {});
+      throw error;
+    }
+    
+    try {
+      if (syncRun) await syncRun.finish(error);
+      await ReplayJob.updateOne({ _id: job._id }, { status: 'failed', lastError: error.message, completedAt: new Date() });
+    } catch (updateError) {
+      console.error(`❌ Failed to update replay job status:`, updateError);
+    }
+  }
+}
+
+// Run a queued replay job to completion (called by the worker)
+async function runReplay(replayJobId) {
+  const job = await ReplayJob.findById(replayJobId);
+  
+  if (!job) {
+    throw new Error(`Replay job ${replayJobId} not found`);
   }
+  
+  // The queue could hand a replay to two workers after a stall; only one runs it
+  const lease = await acquireJobLock(`replay:${job._id}`);
+  if (!lease) {
+    throw new Error(`Replay job ${replayJobId} is already running`);
+  }
+  
+  try {
+    await trackRpcUsage(() => runReplayJob(job, lease));
+  } finally {
+    await lease.release();
+  }
+  
+  // runReplayJob records its own failure, surface it to the queue as well
+  const finished = await ReplayJob.findById(replayJobId);
+  if (finished.status === 'failed') {
+    throw new Error(finished.lastError);
+  }
+  return finished.toSummary();
 }
 
-// Sync order history for all chains (runs every 12 hours)
-async function syncOrderHistory() {
+// Sync order history for all chains, or only `chainIds` (scheduled by the 'orders' job definition)
+async function syncOrderHistory({ chainIds: scope = null } = {}) {
   console.log('📦 Starting order history sync for all chains...');
   
   try {
@@ -222,18 +788,105 @@ async function syncOrderHistory() {
       throw new Error('Contract service not initialized');
     }
     
-    const chainIds = contractService.getEnabledChainIds();
+    const chainIds = contractService.getEnabledChainIds(scope);
     console.log(`🔗 Syncing orders for ${chainIds.length} chain(s): ${chainIds.join(', ')}`);
     
     // Sync chains sequentially to avoid RPC rate limiting
+    const results = [];
     for (const chainId of chainIds) {
-      await syncOrderHistoryForChain(chainId);
+      results.push(await trackRpcUsage(() => syncOrderHistoryForChain(chainId)));
     }
     
     console.log('✅ All chain order history sync completed');
+    return results;
     
   } catch (error) {
     console.error('❌ Error in order history sync:', error);
+    throw error;
+  }
+}
+
+// Record orders stuck in pending past their chain's SLA threshold, and resolve breaches that settled
+async function detectStuckOrdersForChain(chain) {
+  const thresholdMinutes = chain.pendingSlaMinutes;
+  const cutoff = new Date(Date.now() - thresholdMinutes * 60 * 1000);
+  
+  const stuckOrders = await Order.find({
+    chainId: chain.chainId,
+    status: 'pending',
+    timestamp: { $lt: cutoff }
+  }).lean();
+  
+  for (const order of stuckOrders) {
+    await SlaBreach.updateOne(
+      { chainId: order.chainId, orderId: order.orderId },
+      {
+        $set: {
+          userWallet: order.userWallet,
+          tokenAddress: order.tokenAddress,
+          amount: order.amount,
+          txnHash: order.txnHash,
+          orderTimestamp: order.timestamp,
+          thresholdMinutes
+        },
+        $setOnInsert: { status: 'open', detectedAt: new Date() }
+      },
+      { upsert: true }
+    );
+  }
+  
+  // Resolve open breaches whose orders are no longer pending
+  const openBreaches = await SlaBreach.find({ chainId: chain.chainId, status: 'open' }).select('orderId').lean();
+  const settledOrders = await Order.find({
+    chainId: chain.chainId,
+    orderId: { $in: openBreaches.map(breach => breach.orderId) },
+    status: { $ne: 'pending' }
+  }).select('orderId status processedAt').lean();
+  
+  for (const order of settledOrders) {
+    await SlaBreach.updateOne(
+      { chainId: chain.chainId, orderId: order.orderId },
+      { $set: { status: 'resolved', resolvedStatus: order.status, resolvedAt: order.processedAt || new Date() } }
+    );
+  }
+  
+  return { open: stuckOrders.length, resolved: settledOrders.length };
+}
+
+// Check all chains, or only `chainIds`, for orders stuck in pending (scheduled by the 'stuck-orders' job definition)
+async function detectStuckOrders({ chainIds = null } = {}) {
+  console.log('⏱️  Starting stuck order check for all chains...');
+  
+  const lease = await acquireJobLock('stuck-orders');
+  if (!lease) {
+    console.log('⚠️  Stuck order check already running, skipping...');
+    return skipped('Stuck order check already running');
+  }
+  
+  try {
+    const chains = getEnabledChains()
+      .filter(chain => !chainIds || chainIds.length === 0 || chainIds.includes(chain.chainId));
+    
+    const results = [];
+    for (const chain of chains) {
+      try {
+        const result = await detectStuckOrdersForChain(chain);
+        console.log(`⏱️  ${chain.name}: ${result.open} order(s) pending past ${chain.pendingSlaMinutes}m, ${result.resolved} breach(es) resolved`);
+        results.push({ chainId: chain.chainId, ...result });
+      } catch (error) {
+        console.error(`❌ Error checking stuck orders for chainId ${chain.chainId}:`, error);
+        // Continue with other chains
+        results.push({ chainId: chain.chainId, error: error.message });
+      }
+    }
+    
+    console.log('✅ Stuck order check completed');
+    return results;
+  } catch (error) {
+    console.error('❌ Error in stuck order check:', error);
+    throw error;
+  } finally {
+    await lease.release();
   }
 }
 
@@ -252,10 +905,45 @@ async function getSyncStatus() {
   try {
     const metricsStatuses = await SyncStatus.find({ syncType: 'metrics' });
     const ordersStatuses = await SyncStatus.find({ syncType: 'orders' });
+    const failedRanges = await FailedBlockRange.find({ status: 'pending' }).sort({ chainId: 1, fromBlock: 1 });
+    const backfills = await Backfill.find({}).sort({ chainId: 1 });
+    const latestRuns = await SyncRun.aggregate([
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: { syncType: '$syncType', chainId: '$chainId' }, run: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$run' } },
+      { $sort: { syncType: 1, chainId: 1 } }
+    ]);
+    const locks = await getActiveJobLocks();
     
     return {
       metrics: metricsStatuses.length > 0 ? metricsStatuses : [{ syncType: 'metrics', chainId: 8453, lastSyncBlock: 0, isRunning: false }],
-      orders: ordersStatuses.length > 0 ? ordersStatuses : [{ syncType: 'orders', chainId: 8453, lastSyncBlock: 0, isRunning: false }]
+      orders: ordersStatuses.length > 0 ? ordersStatuses : [{ syncType: 'orders', chainId: 8453, lastSyncBlock: 0, isRunning: false }],
+      retryQueue: failedRanges.map(range => ({
+        syncType: range.syncType,
+        chainId: range.chainId,
+        fromBlock: range.fromBlock,
+        toBlock: range.toBlock,
+        attempts: range.attempts,
+        lastError: range.lastError,
+        lastAttemptAt: range.lastAttemptAt,
+        nextRetryAt: range.nextRetryAt
+      })),
+      backfills: backfills.map(backfill => backfill.getProgress()),
+      latestRuns: latestRuns.map(run => ({
+        syncType: run.syncType,
+        chainId: run.chainId,
+        status: run.status,
+        startedAt: run.startedAt,
+        completedAt: run.completedAt,
+        fromBlock: run.fromBlock,
+        toBlock: run.toBlock,
+        eventsFound: run.eventsFound,
+        orders: run.orders,
+        statusesUpdated: run.statusesUpdated,
+        failedBatches: run.failedBatches,
+        lastError: run.lastError
+      })),
+      locks
     };
   } catch (error) {
     console.error('❌ Error getting sync status:', error);
@@ -263,10 +951,16 @@ async function getSyncStatus() {
   }
 }
 
-// Sync total volume across all chains and tokens (runs every 15 minutes)
+// Sync total volume across all chains and tokens (scheduled by the 'volume' job definition)
 async function syncTotalVolume() {
   console.log('💰 Starting total volume sync...');
   
+  const lease = await acquireJobLock('volume');
+  if (!lease) {
+    console.log('⚠️  Total volume sync already running, skipping...');
+    return skipped('Total volume sync already running');
+  }
+  
   try {
     if (!contractService.isInitialized()) {
       throw new Error('Contract service not initialized');
@@ -282,26 +976,28 @@ async function syncTotalVolume() {
 
     console.log(`📊 Found ${allTokens.length} tokens across all chains`);
 
-    // Get unique token names for price fetching
-    const tokenNames = allTokens
-      .filter(token => token.isActive && token.totalVolume !== '0')
-      .map(token => token.name);
-
-    // Get CoinGecko IDs for all tokens
-    const coinGeckoIds = tokenNames
-      .map(name => {
-        const symbol = priceService.getTokenSymbol(name);
-        return symbol ? priceService.getCoinGeckoId(symbol) : null;
-      })
-      .filter(id => id !== null);
-
-    if (coinGeckoIds.length === 0) {
-      console.log('⚠️  No recognized tokens found for price fetching');
+    // Register tokens the contract added since the last sync
+    await tokenRegistryService.seedTokens(allTokens);
+
+    // Get price source ids for all tokens from the token registry
+    const priceSourceIds = [];
+    for (const token of allTokens) {
+      if (!token.isActive || token.totalVolume === '0') {
+        continue;
+      }
+      const registered = await tokenRegistryService.getToken(token.chainId, token.tokenAddress);
+      if (registered?.priceSourceId) {
+        priceSourceIds.push(registered.priceSourceId);
+      }
+    }
+
+    if (priceSourceIds.length === 0) {
+      console.log('⚠️  No registered tokens with a price source id');
       return;
     }
 
     // Fetch all prices at once
-    const prices = await priceService.fetchPrices(coinGeckoIds);
+    const prices = await priceService.fetchPrices(priceSourceIds);
     
     // Calculate volume for each token
     let totalUSD = 0;
@@ -313,9 +1009,8 @@ async function syncTotalVolume() {
         continue;
       }
 
-      const symbol = priceService.getTokenSymbol(token.name);
-      const coinGeckoId = symbol ? priceService.getCoinGeckoId(symbol) : null;
-      const priceData = coinGeckoId ? prices[coinGeckoId] : null;
+      const registered = await tokenRegistryService.getToken(token.chainId, token.tokenAddress);
+      const priceData = registered?.priceSourceId ? prices[registered.priceSourceId] : null;
 
       if (!priceData) {
         continue;
@@ -336,12 +1031,14 @@ async function syncTotalVolume() {
           chainId: token.chainId,
           tokenAddress: token.tokenAddress.toLowerCase(),
           tokenName: token.name,
-          tokenSymbol: symbol || 'UNKNOWN',
+          tokenSymbol: registered.symbol || 'UNKNOWN',
           totalVolume: token.totalVolume,
           volumeUSD: converted.usd,
           volumeNGN: converted.ngn,
           priceUSD: priceData.usd,
-          priceNGN: priceData.ngn
+          priceNGN: priceData.ngn,
+          priceProvider: priceData.provider,
+          priceUpdatedAt: priceData.updatedAt
         });
       }
     }
@@ -362,6 +1059,9 @@ async function syncTotalVolume() {
     
   } catch (error) {
     console.error('❌ Error in total volume sync:', error);
+    throw error;
+  } finally {
+    await lease.release();
   }
 }
 
@@ -386,7 +1086,12 @@ module.exports = {
   syncContractMetrics,
   syncOrderHistory,
   syncTotalVolume,
+  detectStuckOrders,
   initializeDefaultAdmin,
   getSyncStatus,
+  startBackfill,
+  runReplay,
+  ingestLiveEvents,
+  applyOrderStatusUpdates,
   forceSyncAll
 };
\ No newline at end of file
@@ -0,0 +1,181 @@
+const contractService = require('../services/contractService');
+const tokenMetadataService = require('../services/tokenMetadataService');
+const priceHistoryService = require('../services/priceHistoryService');
+const Order = require('../models/Order');
+const MissingOrder = require('../models/MissingOrder');
+const { ContractRevertError } = require('../services/rpcErrors');
+const { acquireJobLock } = require('../services/jobLock');
+const { skipped } = require('./jobOutcome');
+const { findMissingOrderIds } = require('./reconciliation');
+
+// Give up on an orderId after this many failed getOrder reads
+const MAX_FILL_ATTEMPTS = 5;
+
+// Orders fetched per chain per run, each one is a separate RPC call
+const FILL_BATCH_SIZE = 200;
+
+// Cap on new missing orderIds queued per chain per run; the next run carries on after the last one
+const MAX_GAPS_DETECTED_PER_RUN = 5000;
+
+// Queue holes below the highest indexed orderId; ids above it are left to the event sync.
+// Each run only looks past the highest orderId already queued, so earlier holes are not
+// re-read hourly; holes that open up below it later are queued by reconciliation (queueGaps).
+async function detectOrderGaps(chainId) {
+  const [highest] = await Order.aggregate([
+    { $match: { chainId } },
+    { $group: { _id: null, maxId: { $max: { $toLong: '$orderId' } } } }
+  ]);
+
+  if (!highest) {
+    return { highestOrderId: null, missingCount: 0, queued: 0 };
+  }
+
+  const highestOrderId = Number(highest.maxId);
+  const highestQueuedId = await MissingOrder.getHighestQueuedId(chainId);
+  const fromId = highestQueuedId !== null ? highestQueuedId + 1 : undefined;
+
+  const { ranges, missingCount } = await findMissingOrderIds(chainId, highestOrderId, { fromId });
+
+  const { queued, truncated } = await MissingOrder.enqueueRanges(chainId, ranges, 'gap-scan', {
+    maxQueued: MAX_GAPS_DETECTED_PER_RUN
+  });
+
+  if (missingCount > 0) {
+    console.log(`🕳️  Found ${missingCount} new missing orderId(s) below ${highestOrderId} on chainId ${chainId}, ${queued} queued${truncated ? ' (per-run cap reached, the next run queues more)' : ''}`);
+  }
+
+  return { highestOrderId, missingCount, queued };
+}
+
+// Read queued missing orders straight from the contract and insert them
+async function fillMissingOrders(chainId) {
+  const queued = await MissingOrder.find({ chainId, status: 'pending' })
+    .sort({ createdAt: 1 })
+    .limit(FILL_BATCH_SIZE);
+
+  const result = { attempted: queued.length, filled: 0, alreadyIndexed: 0, failed: 0 };
+
+  for (const missing of queued) {
+    try {
+      const onChainOrder = await contractService.getOrder(chainId, missing.orderId);
+
+      // getOrder returns an empty struct for ids the contract doesn't know
+      if (onChainOrder.orderId !== missing.orderId) {
+        throw new Error('Order not found on contract');
+      }
+
+      const normalized = await tokenMetadataService.addNormalizedAmounts([onChainOrder]);
+      const [{ processedTimestamp, ...orderData }] = await priceHistoryService.addFiatValues(normalized);
+      if (processedTimestamp && orderData.status !== 'pending') {
+        orderData.processedAt = processedTimestamp;
+        orderData.latencySeconds = Math.max(0, (processedTimestamp.getTime() - orderData.timestamp.getTime()) / 1000);
+      }
+
+      // Never overwrite an order the event sync indexed in the meantime
+      const writeResult = await Order.updateOne(
+        { chainId, orderId: missing.orderId },
+        { $setOnInsert: { ...orderData, source: 'contract' } },
+        { upsert: true }
+      );
+
+      if (writeResult.upsertedCount > 0) {
+        result.filled++;
+      } else {
+        result.alreadyIndexed++;
+      }
+
+      missing.status = 'filled';
+      missing.filledAt = new Date();
+      missing.lastError = null;
+    } catch (error) {
+      console.error(`❌ Failed to fill order ${missing.orderId} on chainId ${chainId}:`, error.message);
+      missing.attempts += 1;
+      missing.lastError = error.message;
+      // A revert (e.g. OrderNotFound) won't change on retry
+      if (missing.attempts >= MAX_FILL_ATTEMPTS || error instanceof ContractRevertError) {
+        missing.status = 'failed';
+        result.failed++;
+      }
+    }
+
+    await missing.save();
+  }
+
+  if (result.attempted > 0) {
+    console.log(`🩹 Gap fill on chainId ${chainId}: ${result.filled} inserted, ${result.alreadyIndexed} already indexed, ${result.failed} given up of ${result.attempted}`);
+  }
+
+  return result;
+}
+
+// Detect and fill orderId gaps for one chain, `chainIds`, or all enabled chains (scheduled by the 'gap-fill' job definition)
+async function runGapFill({ chainId = null, chainIds: scope = null } = {}) {
+  console.log('🕳️  Starting order gap fill...');
+
+  const results = [];
+
+  const lease = await acquireJobLock('gap-fill');
+  if (!lease) {
+    console.log('⚠️  Order gap fill already running, skipping...');
+    return skipped('Order gap fill already running');
+  }
+
+  try {
+    if (!contractService.isInitialized()) {
+      throw new Error('Contract service not initialized');
+    }
+
+    const chainIds = chainId ? [chainId] : contractService.getEnabledChainIds(scope);
+
+    // Fill chains sequentially to avoid RPC rate limiting
+    for (const id of chainIds) {
+      try {
+        const detection = await detectOrderGaps(id);
+        const fill = await fillMissingOrders(id);
+        results.push({ chainId: id, ...detection, ...fill });
+      } catch (error) {
+        console.error(`❌ Gap fill failed for chainId ${id}:`, error);
+        results.push({ chainId: id, error: error.message });
+      }
+    }
+
+    console.log('✅ Order gap fill completed');
+  } catch (error) {
+    console.error('❌ Error in order gap fill:', error);
+    throw error;
+  } finally {
+    await lease.release();
+  }
+
+  return results;
+}
+
+// Queue counts per chain and status for the admin dashboard
+async function getGapFillStatus() {
+  const counts = await MissingOrder.aggregate([
+    { $group: { _id: { chainId: '$chainId', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const byChain = {};
+  for (const { _id, count } of counts) {
+    byChain[_id.chainId] = byChain[_id.chainId] || { chainId: _id.chainId, pending: 0, filled: 0, failed: 0 };
+    byChain[_id.chainId][_id.status] = count;
+  }
+
+  const recentFailures = await MissingOrder.find({ status: 'failed' })
+    .sort({ updatedAt: -1 })
+    .limit(20)
+    .select('chainId orderId attempts lastError detectedBy updatedAt');
+
+  return {
+    chains: Object.values(byChain),
+    recentFailures
+  };
+}
+
+module.exports = {
+  runGapFill,
+  detectOrderGaps,
+  fillMissingOrders,
+  getGapFillStatus
+};
@@ -0,0 +1,38 @@
+// Outcomes of scheduled jobs, recorded on their job definitions by the scheduler.
+// A job returns skipped() when it did no work (e.g. another instance holds its lock)
+// and throws when it failed; anything else it returns is recorded as completed.
+
+function skipped(reason) {
+  return { status: 'skipped', reason };
+}
+
+function isSkipped(result) {
+  return result?.status === 'skipped';
+}
+
+// Helper to turn per-chain results into a job outcome: throws if any chain failed (the
+// results are kept on the error as its summary), skipped if every chain was skipped
+function summarizeChainResults(results) {
+  if (isSkipped(results)) {
+    return results;
+  }
+
+  const failed = results.filter(result => result.error);
+  if (failed.length > 0) {
+    const error = new Error(failed.map(result => `chainId ${result.chainId}: ${result.error}`).join('; '));
+    error.summary = results;
+    throw error;
+  }
+
+  if (results.length > 0 && results.every(isSkipped)) {
+    return skipped(results.map(result => `chainId ${result.chainId}: ${result.reason}`).join('; '));
+  }
+
+  return results;
+}
+
+module.exports = {
+  skipped,
+  isSkipped,
+  summarizeChainResults
+};
@@ -0,0 +1,89 @@
+const os = require('os');
+const QueuedJob = require('../models/QueuedJob');
+const { isMongoConnected } = require('../config/database');
+
+const POLL_INTERVAL_MS = (parseInt(process.env.JOB_QUEUE_POLL_SECONDS) || 5) * 1000;
+const LEASE_MS = 2 * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = LEASE_MS / 3;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+let pollTimer = null;
+let stopped = false;
+
+// Queue a job for the worker (called from the API process)
+async function enqueueJob(type, params = {}, requestedBy = null) {
+  const job = await QueuedJob.create({ type, params, requestedBy });
+  console.log(`📬 Queued ${type} job ${job._id}${requestedBy ? ` for ${requestedBy}` : ''}`);
+  return job;
+}
+
+// Run one claimed job through its handler, renewing the claim while it runs
+async function runJob(job, handlers) {
+  const handler = handlers[job.type];
+  const heartbeat = setInterval(() => {
+    job.renewLease(LEASE_MS).catch(error => {
+      console.error(`❌ Failed to renew lease on job ${job._id}:`, error.message);
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+
+  console.log(`📭 Running ${job.type} job ${job._id} (attempt ${job.attempts})`);
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler for job type ${job.type}`);
+    }
+    const result = await handler(job.params);
+    await job.finish(result);
+    console.log(`✅ ${job.type} job ${job._id} completed`);
+  } catch (error) {
+    console.error(`❌ ${job.type} job ${job._id} failed:`, error);
+    await job.finish(null, error);
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+// Claim and run queued jobs one at a time until the queue is empty
+async function drainQueue(handlers) {
+  let job;
+  while (!stopped && (job = await QueuedJob.claimNext(WORKER_ID, LEASE_MS))) {
+    await runJob(job, handlers);
+  }
+}
+
+/**
+ * Poll the queue and run jobs with the matching handler from `handlers`
+ * (job type -> async function(params)). Used by the worker process only.
+ */
+function startJobConsumer(handlers) {
+  stopped = false;
+  console.log(`📭 Job queue consumer started as ${WORKER_ID} (polling every ${POLL_INTERVAL_MS / 1000}s)`);
+
+  const poll = async () => {
+    if (isMongoConnected()) {
+      try {
+        await drainQueue(handlers);
+      } catch (error) {
+        console.error('❌ Job queue poll error:', error);
+      }
+    }
+
+    if (!stopped) {
+      pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+    }
+  };
+
+  poll();
+}
+
+function stopJobConsumer() {
+  stopped = true;
+  clearTimeout(pollTimer);
+}
+
+module.exports = {
+  enqueueJob,
+  startJobConsumer,
+  stopJobConsumer
+};
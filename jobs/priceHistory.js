@@ -0,0 +1,73 @@
+const priceHistoryService = require('../services/priceHistoryService');
+const tokenMetadataService = require('../services/tokenMetadataService');
+const tokenRegistryService = require('../services/tokenRegistryService');
+const { acquireJobLock } = require('../services/jobLock');
+const { skipped } = require('./jobOutcome');
+
+// Orders placed this recently without a fiat value are re-priced after each snapshot
+const REPRICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Snapshot token prices, then value recent orders ingested before a snapshot covered them (scheduled by the 'prices' job definition)
+async function runPriceSnapshot() {
+  console.log('📸 Starting price snapshot...');
+
+  const lease = await acquireJobLock('prices');
+  if (!lease) {
+    console.log('⚠️  Price snapshot already running, skipping...');
+    return skipped('Price snapshot already running');
+  }
+
+  try {
+    const snapshots = await priceHistoryService.captureSnapshot();
+    const { updated } = await priceHistoryService.backfillFiatValues({
+      since: new Date(Date.now() - REPRICE_WINDOW_MS)
+    });
+
+    if (updated > 0) {
+      console.log(`💵 Valued ${updated} recent order(s) missing a fiat value`);
+    }
+
+    console.log('✅ Price snapshot completed');
+    return { snapshots, ordersValued: updated };
+  } finally {
+    await lease.release();
+  }
+}
+
+// Backfill snapshots from historical prices for unpriced orders, then value every order a snapshot now covers (scheduled by the 'price-history' job definition)
+async function runPriceHistoryBackfill() {
+  console.log('🕰️  Starting historical price backfill...');
+
+  const lease = await acquireJobLock('price-history');
+  if (!lease) {
+    console.log('⚠️  Historical price backfill already running, skipping...');
+    return skipped('Historical price backfill already running');
+  }
+
+  try {
+    const snapshots = await priceHistoryService.backfillHistoricalPrices();
+    const { scanned, updated } = await priceHistoryService.backfillFiatValues();
+
+    console.log(`✅ Historical price backfill completed: ${updated}/${scanned} unpriced order(s) valued`);
+    return { snapshots, ordersValued: updated, ordersUnpriced: scanned - updated };
+  } finally {
+    await lease.release();
+  }
+}
+
+// Re-normalize and re-price a token's orders after its decimals or price source id changed (queued by the token admin routes)
+async function runTokenReprice({ chainId, address }) {
+  // The API process edited the registry; don't wait for this process's cached copy to expire
+  tokenRegistryService.clearCache();
+
+  const renormalized = await tokenMetadataService.renormalizeTokenOrders(chainId, address);
+  const { snapshots, scanned, updated } = await priceHistoryService.repriceTokenOrders(chainId, address);
+
+  return { chainId, address, renormalized, snapshots, ordersValued: updated, ordersUnpriced: scanned - updated };
+}
+
+module.exports = {
+  runPriceSnapshot,
+  runPriceHistoryBackfill,
+  runTokenReprice
+};
@@ -0,0 +1,191 @@
+const contractService = require('../services/contractService');
+const Order = require('../models/Order');
+const MissingOrder = require('../models/MissingOrder');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { acquireJobLock } = require('../services/jobLock');
+const { skipped } = require('./jobOutcome');
+
+// The contract numbers orders sequentially from 1 up to getOrderCounter()
+const FIRST_ORDER_ID = 1;
+
+// Cap on ranges stored per report so a mostly unsynced chain doesn't produce a huge document
+const MAX_REPORTED_RANGES = 500;
+
+// Cap on missing orderIds queued per run; the next run queues the rest
+const MAX_GAPS_QUEUED_PER_RUN = 10000;
+
+// Find orderIds in [fromId, orderCount] that are not in the orders collection.
+// Indexed ids are streamed, so only the missing ranges are held in memory.
+async function findMissingOrderIds(chainId, orderCount, { fromId = FIRST_ORDER_ID } = {}) {
+  const indexed = Order.aggregate([
+    { $match: { chainId } },
+    { $project: { _id: 0, id: { $toLong: '$orderId' } } },
+    { $match: { id: { $gte: fromId } } },
+    { $sort: { id: 1 } }
+  ]).allowDiskUse(true).cursor();
+
+  const ranges = [];
+  let missingCount = 0;
+  let expectedId = fromId;
+
+  const addRange = (fromId, toId) => {
+    missingCount += toId - fromId + 1;
+    ranges.push({ fromId, toId, count: toId - fromId + 1 });
+  };
+
+  for await (const { id } of indexed) {
+    if (id > orderCount) break;
+    if (id > expectedId) {
+      addRange(expectedId, id - 1);
+    }
+    expectedId = Math.max(expectedId, id + 1);
+  }
+
+  if (expectedId <= orderCount) {
+    addRange(expectedId, orderCount);
+  }
+
+  return { ranges, missingCount };
+}
+
+// Count indexed orders by status, optionally grouped by token
+async function countIndexedOrders(chainId, groupByToken = false) {
+  const counts = await Order.aggregate([
+    { $match: { chainId } },
+    {
+      $group: {
+        _id: groupByToken ? { token: '$tokenAddress', status: '$status' } : { status: '$status' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const emptyCounts = () => ({ total: 0, successful: 0, failed: 0, pending: 0 });
+  const result = groupByToken ? {} : emptyCounts();
+
+  for (const { _id, count } of counts) {
+    const status = _id.status || 'pending';
+    const target = groupByToken
+      ? (result[_id.token] = result[_id.token] || emptyCounts())
+      : result;
+    target[status] += count;
+    target.total += count;
+  }
+
+  return result;
+}
+
+// Compare contract counters with the orders collection for one chain and store a report
+async function reconcileChain(chainId, { queueGaps = false } = {}) {
+  console.log(`🧮 Reconciling orders for chainId ${chainId}...`);
+
+  const metrics = await contractService.getContractMetrics(chainId);
+  const tokens = await contractService.getAllTokensWithDetails(chainId);
+
+  const orderCount = parseInt(metrics.orderCount);
+  const successful = parseInt(metrics.successfulOrders);
+  const failed = parseInt(metrics.failedOrders);
+
+  const [indexed, indexedByToken, missing] = await Promise.all([
+    countIndexedOrders(chainId),
+    countIndexedOrders(chainId, true),
+    findMissingOrderIds(chainId, orderCount)
+  ]);
+
+  const tokenReports = tokens.map(token => {
+    const tokenAddress = token.tokenAddress.toLowerCase();
+    const tokenIndexed = indexedByToken[tokenAddress] || { total: 0, successful: 0, failed: 0, pending: 0 };
+    const expected = {
+      successful: parseInt(token.successfulOrders),
+      failed: parseInt(token.failedOrders)
+    };
+
+    return {
+      tokenAddress,
+      name: token.name,
+      expected,
+      indexed: tokenIndexed,
+      difference: {
+        successful: expected.successful - tokenIndexed.successful,
+        failed: expected.failed - tokenIndexed.failed
+      }
+    };
+  });
+
+  let gapsQueued = 0;
+  if (queueGaps && missing.missingCount > 0) {
+    const { queued, truncated } = await MissingOrder.enqueueRanges(chainId, missing.ranges, 'reconciliation', {
+      maxQueued: MAX_GAPS_QUEUED_PER_RUN
+    });
+    gapsQueued = queued;
+    console.log(`🧮 Queued ${gapsQueued} missing order(s) on chainId ${chainId} for direct fetch${truncated ? ' (per-run cap reached, the next run queues more)' : ''}`);
+  }
+
+  const report = await ReconciliationReport.create({
+    chainId,
+    expected: {
+      total: orderCount,
+      successful,
+      failed,
+      pending: Math.max(0, orderCount - successful - failed)
+    },
+    indexed,
+    missingCount: missing.missingCount,
+    missingRanges: missing.ranges.slice(0, MAX_REPORTED_RANGES).map(range => ({
+      fromId: range.fromId.toString(),
+      toId: range.toId.toString(),
+      count: range.count
+    })),
+    missingRangesTruncated: missing.ranges.length > MAX_REPORTED_RANGES,
+    tokens: tokenReports,
+    gapsQueued
+  });
+
+  console.log(`✅ Reconciliation for chainId ${chainId}: ${orderCount} on-chain, ${indexed.total} indexed, ${missing.missingCount} missing`);
+  return report;
+}
+
+// Reconcile one chain, `chainIds`, or all enabled chains (scheduled by the 'reconciliation' job definition)
+async function runReconciliation({ chainId = null, chainIds: scope = null, queueGaps = false } = {}) {
+  console.log('🧮 Starting order reconciliation...');
+
+  const reports = [];
+
+  const lease = await acquireJobLock('reconciliation');
+  if (!lease) {
+    console.log('⚠️  Order reconciliation already running, skipping...');
+    return skipped('Order reconciliation already running');
+  }
+
+  try {
+    if (!contractService.isInitialized()) {
+      throw new Error('Contract service not initialized');
+    }
+
+    const chainIds = chainId ? [chainId] : contractService.getEnabledChainIds(scope);
+
+    // Reconcile chains sequentially to avoid RPC rate limiting
+    for (const id of chainIds) {
+      try {
+        reports.push(await reconcileChain(id, { queueGaps }));
+      } catch (error) {
+        console.error(`❌ Reconciliation failed for chainId ${id}:`, error);
+        reports.push(await ReconciliationReport.create({ chainId: id, error: error.message }));
+      }
+    }
+
+    console.log('✅ Order reconciliation completed');
+  } catch (error) {
+    console.error('❌ Error in order reconciliation:', error);
+    throw error;
+  } finally {
+    await lease.release();
+  }
+
+  return reports;
+}
+
+module.exports = {
+  runReconciliation,
+  findMissingOrderIds
+};
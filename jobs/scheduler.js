@@ -0,0 +1,246 @@
+const cron = require('node-cron');
+const contractService = require('../services/contractService');
+const JobDefinition = require('../models/JobDefinition');
+const { isMongoConnected } = require('../config/database');
+const { isValidCronExpression } = require('../utils/cronUtils');
+const { syncContractMetrics, syncOrderHistory, syncTotalVolume, detectStuckOrders } = require('./cronJobs');
+const { runReconciliation } = require('./reconciliation');
+const { runGapFill } = require('./gapFill');
+const { runPriceSnapshot, runPriceHistoryBackfill } = require('./priceHistory');
+const { runAmountNormalization } = require('./amountNormalization');
+const { isSkipped, summarizeChainResults } = require('./jobOutcome');
+
+// How often the worker re-reads job definitions to pick up admin changes
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+// Recurring worker jobs. The cron expressions are only defaults for the stored definitions.
+// A run returns its summary, skipped() when it did no work, or throws when it failed (see jobOutcome.js).
+const JOB_CATALOG = {
+  metrics: {
+    description: 'Sync contract metrics',
+    cronExpression: '*/30 * * * *',
+    chainScoped: true,
+    run: async ({ chainIds }) => summarizeChainResults(await syncContractMetrics({ chainIds }))
+  },
+  orders: {
+    description: 'Sync order history and statuses',
+    cronExpression: '*/30 * * * *',
+    chainScoped: true,
+    run: async ({ chainIds }) => summarizeChainResults(await syncOrderHistory({ chainIds }))
+  },
+  volume: {
+    description: 'Snapshot total volume across all chains in USD and NGN',
+    cronExpression: '0 */3 * * *',
+    chainScoped: false,
+    run: () => syncTotalVolume()
+  },
+  prices: {
+    description: 'Snapshot token prices in USD and NGN for valuing orders at order time',
+    cronExpression: '*/15 * * * *',
+    chainScoped: false,
+    run: () => runPriceSnapshot()
+  },
+  'price-history': {
+    description: 'Backfill historical token prices for orders no snapshot covers and value them',
+    cronExpression: '30 3 * * *',
+    chainScoped: false,
+    run: () => runPriceHistoryBackfill()
+  },
+  'normalize-amounts': {
+    description: 'Normalize the amounts of orders indexed while their token decimals could not be read',
+    cronExpression: '20 * * * *',
+    chainScoped: false,
+    run: () => runAmountNormalization()
+  },
+  'stuck-orders': {
+    description: 'Flag orders stuck in pending past their SLA',
+    cronExpression: '*/10 * * * *',
+    chainScoped: true,
+    run: async ({ chainIds }) => summarizeChainResults(await detectStuckOrders({ chainIds }))
+  },
+  'rpc-health': {
+    description: 'Probe RPC endpoints for latency and block lag',
+    cronExpression: '*/5 * * * *',
+    chainScoped: true,
+    run: async ({ chainIds }) => {
+      for (const chainId of contractService.getEnabledChainIds(chainIds)) {
+        await contractService.checkRpcHealth(chainId);
+      }
+    }
+  },
+  'gap-fill': {
+    description: 'Fetch orderIds missing from the indexed sequence directly from the contract',
+    cronExpression: '45 * * * *',
+    chainScoped: true,
+    run: async ({ chainIds }) => summarizeChainResults(await runGapFill({ chainIds }))
+  },
+  reconciliation: {
+    description: 'Reconcile indexed orders against the contract counters',
+    cronExpression: '15 */6 * * *',
+    chainScoped: true,
+    run: async ({ chainIds }) => {
+      const reports = await runReconciliation({ chainIds, queueGaps: process.env.RECONCILIATION_QUEUE_GAPS === 'true' });
+      if (isSkipped(reports)) {
+        return reports;
+      }
+      return summarizeChainResults(reports.map(report => ({
+        chainId: report.chainId,
+        inSync: report.inSync,
+        missingCount: report.missingCount,
+        error: report.error
+      })));
+    }
+  }
+};
+
+const scheduledTasks = new Map(); // Map of job name -> { task, cronExpression }
+let refreshTimer = null;
+
+function getJobCatalogEntry(name) {
+  return JOB_CATALOG[name] || null;
+}
+
+/**
+ * Run a defined job now with its stored chain scope and record the outcome on its
+ * definition: failed if it threw, skipped if it returned skipped(), else completed
+ */
+async function runDefinedJob(name, trigger = 'schedule') {
+  const entry = getJobCatalogEntry(name);
+  if (!entry) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const definition = await JobDefinition.findOne({ name });
+  const startedAt = new Date();
+  let summary = null;
+  let failure = null;
+
+  try {
+    summary = (await entry.run({ chainIds: definition ? definition.chainIds : [] })) ?? null;
+  } catch (error) {
+    failure = error;
+    summary = error.summary ?? null;
+  }
+
+  let status = 'completed';
+  if (failure) {
+    status = 'failed';
+  } else if (isSkipped(summary)) {
+    status = 'skipped';
+  }
+
+  const completedAt = new Date();
+  if (definition) {
+    await definition.recordResult({
+      status,
+      trigger,
+      startedAt,
+      completedAt,
+      durationMs: completedAt.getTime() - startedAt.getTime(),
+      summary,
+      error: failure ? failure.message : null
+    });
+  }
+
+  if (failure) {
+    throw failure;
+  }
+  return summary;
+}
+
+// Run a job unless an admin has paused it (used for the worker's startup sync)
+async function runJobIfEnabled(name, trigger) {
+  const definition = await JobDefinition.findOne({ name });
+  if (!definition || !definition.enabled) {
+    console.log(`⏸️  Skipping ${name} job - paused`);
+    return null;
+  }
+  return runDefinedJob(name, trigger);
+}
+
+function scheduleJob(name, cronExpression) {
+  const task = cron.schedule(cronExpression, () => {
+    if (!isMongoConnected()) {
+      console.warn(`⚠️  Skipping ${name} job - MongoDB not connected`);
+      return;
+    }
+    console.log(`⏰ Running scheduled ${name} job...`);
+    runDefinedJob(name, 'schedule').catch(error => {
+      console.error(`❌ Cron ${name} job error:`, error);
+    });
+  });
+
+  scheduledTasks.set(name, { task, cronExpression });
+}
+
+// Bring the cron tasks in line with the stored definitions (new schedules, pauses, resumes)
+async function syncSchedules() {
+  const definitions = await JobDefinition.find({});
+
+  for (const name of Object.keys(JOB_CATALOG)) {
+    const definition = definitions.find(item => item.name === name);
+    const cronExpression = definition && definition.enabled ? definition.cronExpression : null;
+    const current = scheduledTasks.get(name);
+
+    if (current && current.cronExpression === cronExpression) {
+      continue;
+    }
+
+    if (current) {
+      current.task.stop();
+      scheduledTasks.delete(name);
+    }
+
+    if (!cronExpression) {
+      if (current) console.log(`⏸️  Paused ${name} job`);
+      continue;
+    }
+
+    if (!isValidCronExpression(cronExpression)) {
+      console.warn(`⚠️  Job ${name} has an invalid cron expression "${cronExpression}", not scheduling it`);
+      continue;
+    }
+
+    scheduleJob(name, cronExpression);
+    console.log(`🗓️  Scheduled ${name} job: ${cronExpression}`);
+  }
+}
+
+/**
+ * Seed missing job definitions and schedule them (worker only). Definitions
+ * are re-read every minute, so admin changes apply without a restart.
+ */
+async function startScheduler() {
+  console.log('🕐 Setting up cron jobs...');
+
+  await JobDefinition.seedDefaults(Object.entries(JOB_CATALOG).map(([name, entry]) => ({
+    name,
+    description: entry.description,
+    cronExpression: entry.cronExpression
+  })));
+  await syncSchedules();
+
+  refreshTimer = setInterval(() => {
+    if (!isMongoConnected()) return;
+    syncSchedules().catch(error => {
+      console.error('❌ Job definition refresh error:', error);
+    });
+  }, REFRESH_INTERVAL_MS);
+}
+
+function stopScheduler() {
+  clearInterval(refreshTimer);
+  for (const { task } of scheduledTasks.values()) {
+    task.stop();
+  }
+  scheduledTasks.clear();
+}
+
+module.exports = {
+  JOB_CATALOG,
+  getJobCatalogEntry,
+  runDefinedJob,
+  runJobIfEnabled,
+  startScheduler,
+  stopScheduler
+};
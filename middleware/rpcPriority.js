@@ -0,0 +1,10 @@
+const { runWithPriority } = require('../services/rpcRateLimiter');
+
+// Schedule RPC calls made while serving this request ahead of background syncs
+const interactiveRpcPriority = (req, res, next) => {
+  runWithPriority('interactive', next);
+};
+
+module.exports = {
+  interactiveRpcPriority
+};
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const priceHistoryService = require('../services/priceHistoryService');
+
+/**
+ * Migration to backfill USD/NGN values on existing orders
+ *
+ * Orders indexed before fiat values were stored at ingest have no usdValue or
+ * ngnValue. This migration first stores snapshots from CoinGecko's historical
+ * prices for the periods those orders were placed in (the free API only serves
+ * the last 365 days), then prices each order from the snapshot closest to its
+ * timestamp. Orders with no snapshot within PRICE_SNAPSHOT_MAX_DISTANCE_MINUTES
+ * keep a null value rather than being priced at a far-off rate, as do orders
+ * without a normalized amount (run normalize-order-amounts first) or whose
+ * token has no price source id in the token registry. The daily price-history
+ * job retries them.
+ *
+ * Run with: node migrations/backfill-order-fiat-values.js
+ */
+
+async function backfillOrderFiatValues(existingConnection = null) {
+  let shouldCloseConnection = false;
+  try {
+    // Use existing connection if provided, otherwise create new one
+    if (!existingConnection || mongoose.connection.readyState !== 1) {
+      console.log('🔗 Connecting to MongoDB...');
+      await mongoose.connect(process.env.MONGODB_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+      shouldCloseConnection = true;
+      console.log('✅ Connected to MongoDB');
+    } else {
+      console.log('✅ Using existing MongoDB connection');
+    }
+
+    console.log('\n🕰️  Backfilling historical prices for unpriced orders...');
+    const snapshots = await priceHistoryService.backfillHistoricalPrices();
+
+    console.log('\n🔍 Valuing orders missing a fiat value...');
+
+    const { scanned, updated } = await priceHistoryService.backfillFiatValues();
+
+    console.log('\n🎉 Migration completed successfully!');
+    console.log('\n📝 Summary:');
+    console.log(`  - Historical snapshots stored: ${snapshots}`);
+    console.log(`  - Orders scanned: ${scanned}`);
+    console.log(`  - Orders valued: ${updated}`);
+    if (updated < scanned) {
+      console.log(`  - ${scanned - updated} order(s) have no close price snapshot or no price source id and keep a null value`);
+    }
+
+    return true;
+
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    return false;
+  } finally {
+    // Only close connection if we created it
+    if (shouldCloseConnection && mongoose.connection.readyState === 1) {
+      await mongoose.connection.close();
+      console.log('\n👋 Database connection closed');
+    }
+  }
+}
+
+// Export for use from other scripts
+module.exports = backfillOrderFiatValues;
+
+// Run migration if executed directly
+if (require.main === module) {
+  console.log('🚀 Starting order fiat value backfill migration...\n');
+  backfillOrderFiatValues().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
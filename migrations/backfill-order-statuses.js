@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const contractService = require('../services/contractService');
+const Order = require('../models/Order');
+const SyncStatus = require('../models/SyncStatus');
+const { applyOrderStatusUpdates } = require('../jobs/cronJobs');
+const { acquireJobLock } = require('../services/jobLock');
+
+/**
+ * Migration to backfill order statuses
+ *
+ * Orders indexed before outcomes were tracked have no stored status, so
+ * status queries and analytics miss them even though the schema defaults to
+ * pending. This migration stores status 'pending' on them, then scans each
+ * chain's OrderSuccessful / OrderFailed events from its earliest stored order
+ * up to the order sync cursor and applies them. Progress is checkpointed per
+ * chain (syncType 'order-outcomes'), so an interrupted scan resumes where it
+ * stopped, and a chain is only scanned once; later outcomes are applied by
+ * the order sync.
+ *
+ * Run with: node migrations/backfill-order-statuses.js
+ */
+
+const CHUNK_SIZE = 5000;
+
+async function backfillChainOutcomes(chainId, lease) {
+  const outcomeStatus = await SyncStatus.getOrCreate('order-outcomes', chainId);
+  if (outcomeStatus.successCount > 0) {
+    console.log(`✅ Outcomes for chainId ${chainId} already backfilled`);
+    return 0;
+  }
+
+  const [orderStatus, earliestOrder] = await Promise.all([
+    SyncStatus.findOne({ syncType: 'orders', chainId }),
+    Order.findOne({ chainId, blockNumber: { $ne: null } }).sort({ blockNumber: 1 }).select('blockNumber').lean()
+  ]);
+
+  if (!orderStatus || !earliestOrder) {
+    console.log(`⏭️  No synced orders on chainId ${chainId}, nothing to backfill`);
+    return 0;
+  }
+
+  const targetBlock = orderStatus.lastSyncBlock;
+  const fromBlock = Math.max(earliestOrder.blockNumber, outcomeStatus.lastSyncBlock + 1);
+  let updated = 0;
+
+  console.log(`🔍 Scanning outcomes on chainId ${chainId} from block ${fromBlock} to ${targetBlock}...`);
+
+  for (let start = fromBlock; start <= targetBlock; start += CHUNK_SIZE) {
+    const end = Math.min(start + CHUNK_SIZE - 1, targetBlock);
+
+    if (lease) await lease.ensureHeld();
+
+    const statusUpdates = await contractService.getOrderStatusEvents(chainId, start, end);
+    if (statusUpdates.length > 0) {
+      updated += await applyOrderStatusUpdates(statusUpdates);
+    }
+
+    // Checkpoint so a restart resumes after this chunk
+    outcomeStatus.lastSyncBlock = end;
+    await outcomeStatus.save();
+  }
+
+  await outcomeStatus.updateSync(targetBlock, true);
+  console.log(`✅ Applied ${updated} outcome(s) on chainId ${chainId}`);
+  return updated;
+}
+
+async function backfillOrderStatuses(existingConnection = null) {
+  let shouldCloseConnection = false;
+  let lease = null;
+  try {
+    // Use existing connection if provided, otherwise create new one
+    if (!existingConnection || mongoose.connection.readyState !== 1) {
+      console.log('🔗 Connecting to MongoDB...');
+      await mongoose.connect(process.env.MONGODB_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+      shouldCloseConnection = true;
+      console.log('✅ Connected to MongoDB');
+    } else {
+      console.log('✅ Using existing MongoDB connection');
+    }
+
+    if (!contractService.isInitialized()) {
+      contractService.initialize();
+    }
+
+    console.log('\n🔍 Checking for orders without a status...');
+
+    const result = await mongoose.connection.db.collection('orders').updateMany(
+      { $or: [{ status: { $exists: false } }, { status: null }] },
+      { $set: { status: 'pending' } }
+    );
+
+    console.log(`✅ Marked ${result.modifiedCount} existing orders as status = 'pending'`);
+
+    // Only one instance scans outcomes at a time
+    lease = await acquireJobLock('order-outcome-backfill');
+    if (!lease) {
+      console.log('⚠️  Outcome backfill already running on another instance, skipping...');
+      return true;
+    }
+
+    let outcomesApplied = 0;
+    let failedChains = 0;
+    for (const chainId of contractService.getEnabledChainIds()) {
+      try {
+        outcomesApplied += await backfillChainOutcomes(chainId, lease);
+      } catch (error) {
+        console.error(`❌ Outcome backfill for chainId ${chainId} failed, it resumes on the next run:`, error.message);
+        failedChains++;
+        if (lease.lost) break;
+      }
+    }
+
+    console.log('\n🎉 Migration completed' + (failedChains > 0 ? ' with errors' : ' successfully!'));
+    console.log('\n📝 Summary:');
+    console.log(`  - Orders marked pending: ${result.modifiedCount}`);
+    console.log(`  - Outcomes applied: ${outcomesApplied}`);
+    if (failedChains > 0) {
+      console.log(`  - ${failedChains} chain(s) failed, re-run to resume them`);
+    }
+
+    return failedChains === 0;
+
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    return false;
+  } finally {
+    if (lease) await lease.release();
+    // Only close connection if we created it
+    if (shouldCloseConnection && mongoose.connection.readyState === 1) {
+      await mongoose.connection.close();
+      console.log('\n👋 Database connection closed');
+    }
+  }
+}
+
+// Export for use in worker startup
+module.exports = backfillOrderStatuses;
+
+// Run migration if executed directly
+if (require.main === module) {
+  console.log('🚀 Starting order status backfill migration...\n');
+  backfillOrderStatuses().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
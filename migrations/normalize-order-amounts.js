@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const contractService = require('../services/contractService');
+const tokenMetadataService = require('../services/tokenMetadataService');
+
+/**
+ * Migration to backfill decimals-aware amounts on existing orders
+ *
+ * Orders indexed before amounts were normalized have no tokenDecimals or
+ * normalizedAmount, and their volumes were computed as if every token had
+ * 18 decimals. This migration reads each token's decimals (getTokenDetails,
+ * falling back to ERC-20 decimals()) and sets the exact Decimal128 amountRaw
+ * and normalizedAmount on its orders, replacing any normalizedAmount stored
+ * as a double. Tokens whose decimals cannot be read are skipped and picked up
+ * on the next run.
+ *
+ * Run with: node migrations/normalize-order-amounts.js
+ */
+
+async function normalizeOrderAmounts(existingConnection = null) {
+  let shouldCloseConnection = false;
+  try {
+    // Use existing connection if provided, otherwise create new one
+    if (!existingConnection || mongoose.connection.readyState !== 1) {
+      console.log('🔗 Connecting to MongoDB...');
+      await mongoose.connect(process.env.MONGODB_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+      shouldCloseConnection = true;
+      console.log('✅ Connected to MongoDB');
+    } else {
+      console.log('✅ Using existing MongoDB connection');
+    }
+
+    if (!contractService.isInitialized()) {
+      contractService.initialize();
+    }
+
+    const db = mongoose.connection.db;
+    const ordersCollection = db.collection('orders');
+
+    console.log('\n🔍 Finding tokens with orders missing a normalized amount...');
+
+    // Orders without the exact amounts, or with a normalized amount stored as a double
+    const pendingFilter = {
+      $or: [
+        { amountRaw: null },
+        { normalizedAmount: null },
+        { normalizedAmount: { $type: 'double' } }
+      ]
+    };
+
+    const tokens = await ordersCollection.aggregate([
+      { $match: pendingFilter },
+      { $group: { _id: { chainId: '$chainId', tokenAddress: '$tokenAddress' }, count: { $sum: 1 } } },
+      { $sort: { '_id.chainId': 1, '_id.tokenAddress': 1 } }
+    ]).toArray();
+
+    console.log(`📊 Found ${tokens.length} token(s) across ${tokens.reduce((sum, token) => sum + token.count, 0)} orders`);
+
+    let updatedOrders = 0;
+    const skippedTokens = [];
+
+    for (const { _id: { chainId, tokenAddress }, count } of tokens) {
+      let decimals;
+      try {
+        decimals = await tokenMetadataService.getDecimals(chainId, tokenAddress);
+      } catch (error) {
+        console.warn(`⚠️  Skipping token ${tokenAddress} on chainId ${chainId} (${count} orders): ${error.message}`);
+        skippedTokens.push({ chainId, tokenAddress, count });
+        continue;
+      }
+
+      // Convert and divide server-side in Decimal128, dividing by a power of ten is exact
+      const divisor = mongoose.Types.Decimal128.fromString(`1${'0'.repeat(decimals)}`);
+      const result = await ordersCollection.updateMany(
+        { chainId, tokenAddress, ...pendingFilter },
+        [{
+          $set: {
+            amountRaw: { $toDecimal: '$amount' },
+            tokenDecimals: decimals,
+            normalizedAmount: { $divide: [{ $toDecimal: '$amount' }, divisor] }
+          }
+        }]
+      );
+
+      updatedOrders += result.modifiedCount;
+      console.log(`✅ ${tokenAddress} on chainId ${chainId}: ${decimals} decimals, ${result.modifiedCount} orders updated`);
+    }
+
+    console.log('\n🎉 Migration completed successfully!');
+    console.log('\n📝 Summary:');
+    console.log(`  - Orders updated: ${updatedOrders}`);
+    console.log(`  - Tokens skipped: ${skippedTokens.length}`);
+    if (skippedTokens.length > 0) {
+      console.log('  - Re-run the migration once their RPC calls succeed');
+    }
+
+    return skippedTokens.length === 0;
+
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    return false;
+  } finally {
+    // Only close connection if we created it
+    if (shouldCloseConnection && mongoose.connection.readyState === 1) {
+      await mongoose.connection.close();
+      console.log('\n👋 Database connection closed');
+    }
+  }
+}
+
+// Export for use from other scripts
+module.exports = normalizeOrderAmounts;
+
+// Run migration if executed directly
+if (require.main === module) {
+  console.log('🚀 Starting order amount normalization migration...\n');
+  normalizeOrderAmounts().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
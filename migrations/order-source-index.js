@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+/**
+ * Migration to support orders read directly from the contract
+ *
+ * Gap-filled orders (source = 'contract') have no txnHash, so the unique
+ * chainId + txnHash index must ignore documents without one. This migration
+ * replaces the old full unique index with a partial one and marks existing
+ * orders as indexed from events.
+ *
+ * Run with: node migrations/order-source-index.js
+ */
+
+const INDEX_NAME = 'chainId_1_txnHash_1';
+
+async function orderSourceIndex(existingConnection = null) {
+  let shouldCloseConnection = false;
+  try {
+    // Use existing connection if provided, otherwise create new one
+    if (!existingConnection || mongoose.connection.readyState !== 1) {
+      console.log('🔗 Connecting to MongoDB...');
+      await mongoose.connect(process.env.MONGODB_URI, {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+      shouldCloseConnection = true;
+      console.log('✅ Connected to MongoDB');
+    } else {
+      console.log('✅ Using existing MongoDB connection');
+    }
+
+    const db = mongoose.connection.db;
+    const ordersCollection = db.collection('orders');
+
+    console.log('\n🔍 Checking for orders without a source...');
+
+    const result = await ordersCollection.updateMany(
+      { source: { $exists: false } },
+      { $set: { source: 'event' } }
+    );
+
+    console.log(`✅ Marked ${result.modifiedCount} existing orders as source = 'event'`);
+
+    console.log('\n📋 Checking chainId + txnHash index...');
+    const indexes = await ordersCollection.indexes();
+    const txnHashIndex = indexes.find(index => index.name === INDEX_NAME);
+
+    if (txnHashIndex && !txnHashIndex.partialFilterExpression) {
+      console.log('⚠️  Found full unique index on chainId + txnHash');
+      console.log('🗑️  Dropping old index...');
+      await ordersCollection.dropIndex(INDEX_NAME);
+      console.log('✅ Successfully dropped old index');
+    }
+
+    if (!txnHashIndex || !txnHashIndex.partialFilterExpression) {
+      console.log('🔧 Creating partial unique index on chainId + txnHash...');
+      await ordersCollection.createIndex(
+        { chainId: 1, txnHash: 1 },
+        {
+          unique: true,
+          name: INDEX_NAME,
+          partialFilterExpression: { txnHash: { $type: 'string' } }
+        }
+      );
+      console.log('✅ Partial index created');
+    } else {
+      console.log('✅ Partial index already in place');
+    }
+
+    console.log('\n🎉 Migration completed successfully!');
+    console.log('\n📝 Summary:');
+    console.log(`  - Orders updated: ${result.modifiedCount}`);
+    console.log('  - chainId + txnHash index is partial (txnHash must be a string)');
+    if (shouldCloseConnection) {
+      console.log('\n✅ You can now restart your application');
+    }
+
+    return true;
+
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    return false;
+  } finally {
+    // Only close connection if we created it
+    if (shouldCloseConnection && mongoose.connection.readyState === 1) {
+      await mongoose.connection.close();
+      console.log('\n👋 Database connection closed');
+    }
+  }
+}
+
+// Export for use in server startup
+module.exports = orderSourceIndex;
+
+// Run migration if executed directly
+if (require.main === module) {
+  console.log('🚀 Starting order source migration...\n');
+  orderSourceIndex().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
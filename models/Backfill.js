@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// A running backfill that hasn't checkpointed for this long is treated as interrupted
+const STALE_BACKFILL_MS = 10 * 60 * 1000;
+
+const backfillSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startBlock: {
+    type: Number,
+    required: true
+  },
+  targetBlock: {
+    type: Number,
+    required: true
+  },
+  // Last block fully processed; the next chunk starts right after it
+  cursorBlock: {
+    type: Number,
+    required: true
+  },
+  ordersFound: {
+    type: Number,
+    default: 0
+  },
+  failedChunks: {
+    type: Number,
+    default: 0
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Rate for the ETA is measured from the latest (re)start
+  resumedAt: {
+    type: Date,
+    default: Date.now
+  },
+  resumedFromBlock: {
+    type: Number,
+    required: true
+  },
+  lastCheckpointAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  initiatedBy: {
+    type: String,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for whether a running backfill stopped checkpointing (e.g. the process restarted)
+backfillSchema.virtual('isStale').get(function() {
+  return this.status === 'running' && Date.now() - this.lastCheckpointAt.getTime() > STALE_BACKFILL_MS;
+});
+
+// Method to persist progress after a chunk so the backfill can resume from here
+backfillSchema.methods.checkpoint = async function(cursorBlock, ordersFound, failed = false) {
+  this.cursorBlock = cursorBlock;
+  this.ordersFound += ordersFound;
+  if (failed) this.failedChunks += 1;
+  this.lastCheckpointAt = new Date();
+  await this.save();
+};
+
+// Method to report progress with an ETA based on the rate since the last (re)start
+backfillSchema.methods.getProgress = function() {
+  const totalBlocks = Math.max(0, this.targetBlock - this.startBlock + 1);
+  const blocksDone = Math.max(0, Math.min(totalBlocks, this.cursorBlock - this.startBlock + 1));
+  const blocksRemaining = totalBlocks - blocksDone;
+
+  const elapsedMs = this.lastCheckpointAt.getTime() - this.resumedAt.getTime();
+  const blocksSinceResume = this.cursorBlock - this.resumedFromBlock;
+  const etaSeconds = this.status === 'running' && blocksSinceResume > 0 && elapsedMs > 0
+    ? Math.round((blocksRemaining / blocksSinceResume) * elapsedMs / 1000)
+    : null;
+
+  return {
+    chainId: this.chainId,
+    status: this.isStale ? 'interrupted' : this.status,
+    startBlock: this.startBlock,
+    targetBlock: this.targetBlock,
+    cursorBlock: this.cursorBlock,
+    blocksDone,
+    totalBlocks,
+    percentComplete: totalBlocks > 0 ? Number((blocksDone / totalBlocks * 100).toFixed(2)) : 100,
+    etaSeconds,
+    ordersFound: this.ordersFound,
+    failedChunks: this.failedChunks,
+    startedAt: this.startedAt,
+    lastCheckpointAt: this.lastCheckpointAt,
+    completedAt: this.completedAt,
+    initiatedBy: this.initiatedBy,
+    lastError: this.lastError
+  };
+};
+
+module.exports = mongoose.model('Backfill', backfillSchema);
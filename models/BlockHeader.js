@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Cached block headers shared by syncs, replays and reorg checks
+const blockHeaderSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+blockHeaderSchema.index({ chainId: 1, number: 1 }, { unique: true });
+
+// Static method to load cached headers as a Map of block number -> header
+blockHeaderSchema.statics.findMany = async function(chainId, numbers) {
+  const headers = await this.find({ chainId, number: { $in: numbers } })
+    .select('number hash timestamp')
+    .lean();
+
+  return new Map(headers.map(header => [header.number, header]));
+};
+
+// Static method to store freshly fetched headers, replacing any stale (reorged) entries
+blockHeaderSchema.statics.upsertMany = async function(chainId, headers) {
+  if (headers.length === 0) {
+    return;
+  }
+
+  await this.bulkWrite(
+    headers.map(header => ({
+      updateOne: {
+        filter: { chainId, number: header.number },
+        update: { $set: { hash: header.hash, timestamp: header.timestamp } },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+};
+
+module.exports = mongoose.model('BlockHeader', blockHeaderSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Persistent retry queue for block ranges that failed to sync
+const failedBlockRangeSchema = new mongoose.Schema({
+  syncType: {
+    type: String,
+    required: true,
+    default: 'orders'
+  },
+  chainId: {
+    type: Number,
+    required: true
+  },
+  fromBlock: {
+    type: Number,
+    required: true
+  },
+  toBlock: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'resolved'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  nextRetryAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+failedBlockRangeSchema.index({ syncType: 1, chainId: 1, fromBlock: 1, toBlock: 1 }, { unique: true });
+failedBlockRangeSchema.index({ status: 1, chainId: 1, nextRetryAt: 1 });
+
+// Exponential backoff between retries: 1m, 2m, 4m ... capped at 6 hours
+function getRetryDelayMs(attempts) {
+  return Math.min(Math.pow(2, attempts - 1), 360) * 60 * 1000;
+}
+
+// Static method to queue a failed range (or count another failed attempt on it)
+failedBlockRangeSchema.statics.recordFailure = async function(syncType, chainId, fromBlock, toBlock, error) {
+  const range = await this.findOneAndUpdate(
+    { syncType, chainId, fromBlock, toBlock },
+    {
+      $set: { status: 'pending', lastError: error.message, lastAttemptAt: new Date(), resolvedAt: null },
+      $inc: { attempts: 1 }
+    },
+    { upsert: true, new: true }
+  );
+
+  range.nextRetryAt = new Date(Date.now() + getRetryDelayMs(range.attempts));
+  await range.save();
+
+  console.log(`🔁 Queued blocks ${fromBlock}-${toBlock} on chainId ${chainId} for retry (attempt ${range.attempts}, next at ${range.nextRetryAt.toISOString()})`);
+  return range;
+};
+
+// Static method to get ranges that are due for another attempt
+failedBlockRangeSchema.statics.getDue = function(syncType, chainId) {
+  return this.find({
+    syncType,
+    chainId,
+    status: 'pending',
+    nextRetryAt: { $lte: new Date() }
+  }).sort({ fromBlock: 1 });
+};
+
+// Static method to get the lowest unresolved range, which bounds the sync cursor
+failedBlockRangeSchema.statics.getEarliestPending = function(syncType, chainId) {
+  return this.findOne({ syncType, chainId, status: 'pending' }).sort({ fromBlock: 1 });
+};
+
+// Method to mark a range as successfully re-synced
+failedBlockRangeSchema.methods.markResolved = async function() {
+  this.status = 'resolved';
+  this.resolvedAt = new Date();
+  this.lastAttemptAt = new Date();
+  this.lastError = null;
+  this.attempts += 1;
+  await this.save();
+};
+
+module.exports = mongoose.model('FailedBlockRange', failedBlockRangeSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { getNextRunAt } = require('../utils/cronUtils');
+
+// Schedule and scope of a recurring worker job, editable from the admin API
+const jobDefinitionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    default: null
+  },
+  cronExpression: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Chains the job runs for; empty means every enabled chain
+  chainIds: {
+    type: [Number],
+    default: []
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastResult: {
+    status: { type: String, enum: ['completed', 'skipped', 'failed'] },
+    trigger: { type: String, enum: ['schedule', 'startup', 'manual'] },
+    startedAt: Date,
+    completedAt: Date,
+    durationMs: Number,
+    summary: mongoose.Schema.Types.Mixed,
+    error: String
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for when the worker will next run the job, null while paused
+jobDefinitionSchema.virtual('nextRunAt').get(function() {
+  return this.enabled ? getNextRunAt(this.cronExpression) : null;
+});
+
+jobDefinitionSchema.set('toJSON', { virtuals: true });
+
+// Static method to insert any missing definitions, leaving edited ones alone
+jobDefinitionSchema.statics.seedDefaults = async function(defaults) {
+  const result = await this.bulkWrite(defaults.map(definition => ({
+    updateOne: {
+      filter: { name: definition.name },
+      update: { $setOnInsert: definition },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  if (result.upsertedCount > 0) {
+    console.log(`🗓️  Created ${result.upsertedCount} default job definition(s)`);
+  }
+};
+
+// Method to store the outcome of a run
+jobDefinitionSchema.methods.recordResult = async function(result) {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastRunAt: result.startedAt, lastResult: result } }
+  );
+};
+
+// Method to shape the definition for API responses
+jobDefinitionSchema.methods.toSummary = function() {
+  return {
+    name: this.name,
+    description: this.description,
+    cronExpression: this.cronExpression,
+    enabled: this.enabled,
+    chainIds: this.chainIds,
+    nextRunAt: this.nextRunAt,
+    lastRunAt: this.lastRunAt,
+    lastResult: this.lastResult?.status ? this.lastResult : null,
+    updatedBy: this.updatedBy,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('JobDefinition', jobDefinitionSchema);
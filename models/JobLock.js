@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// Lease on a background job, so only one instance runs it at a time
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Unique per acquisition, so two runs in the same process never share a lease
+  owner: {
+    type: String,
+    required: true
+  },
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  },
+  heartbeatAt: {
+    type: Date,
+    default: Date.now
+  },
+  // The lease is free once this passes, whether or not it was released
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Virtual for whether the lease is currently held
+jobLockSchema.virtual('isHeld').get(function() {
+  return this.expiresAt.getTime() > Date.now();
+});
+
+jobLockSchema.set('toJSON', { virtuals: true });
+
+// Static method to take the lease if it is free or expired, returns null when another owner holds it
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    // Matches only a free lease; when the lease is held the upsert collides with the unique name
+    return await this.findOneAndUpdate(
+      { name, expiresAt: { $lte: now } },
+      {
+        $set: {
+          owner,
+          acquiredAt: now,
+          heartbeatAt: now,
+          expiresAt: new Date(now.getTime() + ttlMs),
+          releasedAt: null
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Static method to extend a lease, returns false if it now belongs to someone else
+jobLockSchema.statics.renew = async function(name, owner, ttlMs) {
+  const now = new Date();
+  const result = await this.updateOne(
+    { name, owner },
+    { $set: { heartbeatAt: now, expiresAt: new Date(now.getTime() + ttlMs) } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Static method to give a lease back early
+jobLockSchema.statics.release = async function(name, owner) {
+  const now = new Date();
+  await this.updateOne(
+    { name, owner },
+    { $set: { expiresAt: now, releasedAt: now } }
+  );
+};
+
+// Static method to check whether a lease is held by anyone
+jobLockSchema.statics.isHeld = async function(name) {
+  const count = await this.countDocuments({ name, expiresAt: { $gt: new Date() } });
+  return count > 0;
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
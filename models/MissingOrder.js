@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// OrderIds looked up and written per query when queueing
+const ENQUEUE_CHUNK_SIZE = 1000;
+
+// Queue of orderIds known to be missing from the orders collection, to be fetched via getOrder
+const missingOrderSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  orderId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'filled', 'failed'],
+    default: 'pending'
+  },
+  // What found the gap ('reconciliation' or 'gap-scan')
+  detectedBy: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  filledAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+missingOrderSchema.index({ chainId: 1, orderId: 1 }, { unique: true });
+missingOrderSchema.index({ status: 1, chainId: 1 });
+
+// Static method to queue a list of missing orderIds, ignoring ones already queued
+missingOrderSchema.statics.enqueue = async function(chainId, orderIds, detectedBy) {
+  let queued = 0;
+
+  for (let i = 0; i < orderIds.length; i += ENQUEUE_CHUNK_SIZE) {
+    const result = await this.bulkWrite(
+      orderIds.slice(i, i + ENQUEUE_CHUNK_SIZE).map(orderId => ({
+        updateOne: {
+          filter: { chainId, orderId: orderId.toString() },
+          update: { $setOnInsert: { status: 'pending', detectedBy, attempts: 0 } },
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+    queued += result.upsertedCount;
+  }
+
+  return queued;
+};
+
+// Static method to queue the orderIds of { fromId, toId } ranges, one chunk of a range at a
+// time so no range is expanded in memory. Ids already queued are skipped, and queueing
+// stops once maxQueued new ids are queued. Returns { queued, truncated }.
+missingOrderSchema.statics.enqueueRanges = async function(chainId, ranges, detectedBy, { maxQueued = Infinity } = {}) {
+  let queued = 0;
+
+  for (const range of ranges) {
+    for (let start = Number(range.fromId); start <= Number(range.toId); start += ENQUEUE_CHUNK_SIZE) {
+      if (queued >= maxQueued) {
+        return { queued, truncated: true };
+      }
+
+      const end = Math.min(start + ENQUEUE_CHUNK_SIZE - 1, Number(range.toId));
+      const orderIds = [];
+      for (let id = start; id <= end; id++) {
+        orderIds.push(id.toString());
+      }
+
+      const alreadyQueued = new Set(await this.distinct('orderId', { chainId, orderId: { $in: orderIds } }));
+      const newIds = orderIds.filter(orderId => !alreadyQueued.has(orderId)).slice(0, maxQueued - queued);
+      queued += await this.enqueue(chainId, newIds, detectedBy);
+    }
+  }
+
+  return { queued, truncated: false };
+};
+
+// Static method to get the highest orderId queued for a chain (null when none are)
+missingOrderSchema.statics.getHighestQueuedId = async function(chainId) {
+  const [highest] = await this.aggregate([
+    { $match: { chainId } },
+    { $group: { _id: null, maxId: { $max: { $toLong: '$orderId' } } } }
+  ]);
+  return highest ? Number(highest.maxId) : null;
+};
+
+module.exports = mongoose.model('MissingOrder', missingOrderSchema);
@@ -33,21 +33,101 @@ const orderSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Exact raw amount, summed without the overflow of $toLong on the string amount
+  amountRaw: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: null
+  },
+  // Decimals of the token, from getTokenDetails or the token's ERC-20 decimals()
+  tokenDecimals: {
+    type: Number,
+    default: null
+  },
+  // Exact amount in token units (amount / 10^tokenDecimals), what every volume aggregation sums
+  normalizedAmount: {
+    type: mongoose.Schema.Types.Decimal128,
+    default: null
+  },
+  // Fiat value at order time, priced from the price snapshot closest to the order's timestamp
+  usdValue: {
+    type: Number,
+    default: null
+  },
+  ngnValue: {
+    type: Number,
+    default: null
+  },
+  // When the snapshot used for usdValue/ngnValue was captured
+  fiatPricedAt: {
+    type: Date,
+    default: null
+  },
+  // Orders read directly from the contract have no creation log until an event sync finds them
   txnHash: {
     type: String,
-    required: true,
+    required: function() { return this.source !== 'contract'; },
+    default: null,
     index: true,
     lowercase: true
   },
   blockNumber: {
     type: Number,
-    required: true,
+    required: function() { return this.source !== 'contract'; },
+    default: null,
     index: true
   },
+  // Hash of the block the order was indexed from, used to detect reorgs
+  blockHash: {
+    type: String,
+    default: null,
+    lowercase: true
+  },
   timestamp: {
     type: Date,
     required: true,
     index: true
+  },
+  // Order lifecycle, driven by OrderSuccessful / OrderFailed events
+  status: {
+    type: String,
+    enum: ['pending', 'successful', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  processedBlockNumber: {
+    type: Number,
+    default: null
+  },
+  processedTxnHash: {
+    type: String,
+    default: null,
+    lowercase: true
+  },
+  processedBlockHash: {
+    type: String,
+    default: null,
+    lowercase: true
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  // Seconds between order creation and settlement (order timestamp -> outcome event block time)
+  latencySeconds: {
+    type: Number,
+    default: null
+  },
+  // When the status last changed (outcome applied or reverted by a reorg), drives the order stream
+  statusUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  // Where the order was indexed from: 'event' (OrderCreated log), 'contract' (direct getOrder read)
+  // or 'live' (log seen at the head by live mode, not yet confirmed by the batch sync)
+  source: {
+    type: String,
+    enum: ['event', 'contract', 'live'],
+    default: 'event'
   }
 }, {
   timestamps: true
@@ -60,25 +140,29 @@ orderSchema.index({ timestamp: -1, blockNumber: -1 });
 orderSchema.index({ timestamp: -1, userWallet: 1 });
 orderSchema.index({ chainId: 1, timestamp: -1 });
 orderSchema.index({ chainId: 1, orderId: 1 }, { unique: true }); // Unique per chain
-orderSchema.index({ chainId: 1, txnHash: 1 }, { unique: true }); // Unique per chain
+orderSchema.index({ createdAt: 1, _id: 1 }); // Order stream cursor
+orderSchema.index({ statusUpdatedAt: 1, _id: 1 }); // Order stream status changes
+orderSchema.index(
+  { chainId: 1, txnHash: 1 },
+  { unique: true, partialFilterExpression: { txnHash: { $type: 'string' } } }
+); // Unique per chain, ignoring orders without a known transaction
+orderSchema.index({ chainId: 1, status: 1, timestamp: -1 });
+orderSchema.index({ chainId: 1, blockNumber: -1 });
+orderSchema.index({ chainId: 1, processedBlockNumber: -1 });
 
-// Add virtual for formatted amount (assuming 18 decimals for most tokens)
+// Add virtual for formatted amount in token units (null until the token's decimals are known)
 orderSchema.virtual('formattedAmount').get(function() {
-  try {
-    const amount = this.amount;
-    // Simple formatting - divide by 10^18 for display
-    const bigAmount = BigInt(amount);
-    const divisor = BigInt('1000000000000000000'); // 10^18
-    const result = Number(bigAmount / divisor);
-    return result;
-  } catch (error) {
-    return this.amount;
-  }
+  return this.normalizedAmount;
 });
 
 // Ensure virtual fields are serialized
 orderSchema.set('toJSON', { virtuals: true });
 
+// Static method to check a status filter value
+orderSchema.statics.isValidStatus = function(status) {
+  return this.schema.path('status').enumValues.includes(status);
+};
+
 // Static method to get recent orders
 orderSchema.statics.getRecentOrders = function(limit = 10, chainId = null) {
   const query = chainId ? { chainId } : {};
@@ -87,6 +171,20 @@ orderSchema.statics.getRecentOrders = function(limit = 10, chainId = null) {
     .limit(limit);
 };
 
+// Static method to get orders after a (date field, _id) cursor, oldest first
+orderSchema.statics.findAfterCursor = function(field, cursor, query = {}, limit = 100) {
+  return this.find({
+    ...query,
+    $or: [
+      { [field]: { $gt: cursor.time } },
+      { [field]: cursor.time, _id: { $gt: cursor.id } }
+    ]
+  })
+    .sort({ [field]: 1, _id: 1 })
+    .limit(limit)
+    .lean();
+};
+
 // Static method to get orders by user
 orderSchema.statics.getOrdersByUser = function(userWallet, limit = 50, chainId = null) {
   const query = { userWallet: userWallet.toLowerCase() };
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// OrderSuccessful / OrderFailed outcome seen before its order was stored (e.g. its
+// OrderCreated range failed and is queued for retry), applied once the order is inserted
+const pendingOrderOutcomeSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  orderId: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['successful', 'failed'],
+    required: true
+  },
+  processedBlockNumber: {
+    type: Number,
+    default: null
+  },
+  processedTxnHash: {
+    type: String,
+    default: null
+  },
+  processedBlockHash: {
+    type: String,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+pendingOrderOutcomeSchema.index({ chainId: 1, orderId: 1 }, { unique: true });
+pendingOrderOutcomeSchema.index({ chainId: 1, processedBlockNumber: 1 });
+
+// Static method to hold an outcome until its order is stored (the latest event wins)
+pendingOrderOutcomeSchema.statics.hold = function(update) {
+  const { chainId, orderId, ...fields } = update;
+  return this.updateOne({ chainId, orderId }, { $set: fields }, { upsert: true });
+};
+
+// Method to turn the held outcome back into a status update
+pendingOrderOutcomeSchema.methods.toStatusUpdate = function() {
+  return {
+    chainId: this.chainId,
+    orderId: this.orderId,
+    status: this.status,
+    processedBlockNumber: this.processedBlockNumber,
+    processedTxnHash: this.processedTxnHash,
+    processedBlockHash: this.processedBlockHash,
+    processedAt: this.processedAt
+  };
+};
+
+module.exports = mongoose.model('PendingOrderOutcome', pendingOrderOutcomeSchema);
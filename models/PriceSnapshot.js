@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Furthest a snapshot may be from an order's timestamp and still price it
+const MAX_SNAPSHOT_DISTANCE_MS = parseInt(process.env.PRICE_SNAPSHOT_MAX_DISTANCE_MINUTES || '120', 10) * 60 * 1000;
+
+const priceSnapshotSchema = new mongoose.Schema({
+  priceSourceId: {
+    type: String,
+    required: true
+  },
+  usd: {
+    type: Number,
+    required: true
+  },
+  ngn: {
+    type: Number,
+    required: true
+  },
+  // Price provider that supplied the price (margin, coingecko, static, fixture)
+  provider: {
+    type: String,
+    default: null
+  },
+  // When the snapshot was taken
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the provider set the price, null for historical prices
+  priceUpdatedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One snapshot per fetch; also serves closest-snapshot lookups per token
+priceSnapshotSchema.index({ priceSourceId: 1, capturedAt: -1 }, { unique: true });
+
+// Static method to find the snapshot captured closest to a time, on either side of it.
+// Returns null when no snapshot is within maxDistanceMs, rather than pricing at a far-off rate.
+priceSnapshotSchema.statics.findClosest = async function(priceSourceId, at, maxDistanceMs = MAX_SNAPSHOT_DISTANCE_MS) {
+  const time = new Date(at).getTime();
+  const [before, after] = await Promise.all([
+    this.findOne({ priceSourceId, capturedAt: { $lte: new Date(time), $gte: new Date(time - maxDistanceMs) } }).sort({ capturedAt: -1 }).lean(),
+    this.findOne({ priceSourceId, capturedAt: { $gt: new Date(time), $lte: new Date(time + maxDistanceMs) } }).sort({ capturedAt: 1 }).lean()
+  ]);
+
+  if (!before || !after) {
+    return before || after;
+  }
+
+  return time - before.capturedAt.getTime() <= after.capturedAt.getTime() - time ? before : after;
+};
+
+// Static method to get a token's price history
+priceSnapshotSchema.statics.getHistory = function(priceSourceId, startTime, endTime = new Date()) {
+  return this.find({
+    priceSourceId,
+    capturedAt: { $gte: startTime, $lte: endTime }
+  }).sort({ capturedAt: 1 });
+};
+
+module.exports = mongoose.model('PriceSnapshot', priceSnapshotSchema);
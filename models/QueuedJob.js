@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+const MAX_ATTEMPTS = 3; // Claims before a job whose worker keeps dying is given up on
+
+// Work requested by the API process and run by the worker
+const queuedJobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['sync', 'backfill', 'replay', 'reconciliation', 'gap-fill', 'token-seed', 'token-reprice', 'run-job']
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  requestedBy: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Worker holding the job and how long its claim lasts without a heartbeat
+  workerId: {
+    type: String,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Finished jobs are kept for 7 days
+queuedJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+queuedJobSchema.index({ status: 1, createdAt: 1 });
+
+// Static method to claim the oldest queued job, or one whose worker stopped renewing its lease
+queuedJobSchema.statics.claimNext = async function(workerId, leaseMs) {
+  const now = new Date();
+
+  // Jobs that keep outliving their workers are failed instead of retried forever
+  await this.updateMany(
+    { status: 'running', leaseExpiresAt: { $lte: now }, attempts: { $gte: MAX_ATTEMPTS } },
+    { $set: { status: 'failed', completedAt: now, lastError: 'Worker stopped while running the job' } }
+  );
+
+  return this.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'running', leaseExpiresAt: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'running', workerId, startedAt: now, leaseExpiresAt: new Date(now.getTime() + leaseMs) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Method to extend the claim while the job is still running
+queuedJobSchema.methods.renewLease = async function(leaseMs) {
+  await this.constructor.updateOne(
+    { _id: this._id, workerId: this.workerId, status: 'running' },
+    { $set: { leaseExpiresAt: new Date(Date.now() + leaseMs) } }
+  );
+};
+
+// Method to record the outcome
+queuedJobSchema.methods.finish = async function(result, error = null) {
+  this.status = error ? 'failed' : 'completed';
+  this.completedAt = new Date();
+  this.leaseExpiresAt = null;
+  this.result = result === undefined ? null : result;
+  this.lastError = error ? error.message : null;
+  await this.save();
+};
+
+// Method to shape the job for API responses
+queuedJobSchema.methods.toSummary = function() {
+  return {
+    jobId: this._id,
+    type: this.type,
+    params: this.params,
+    status: this.status,
+    requestedBy: this.requestedBy,
+    attempts: this.attempts,
+    workerId: this.workerId,
+    queuedAt: this.createdAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    result: this.result,
+    lastError: this.lastError
+  };
+};
+
+module.exports = mongoose.model('QueuedJob', queuedJobSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const orderCountsSchema = {
+  total: Number,
+  successful: Number,
+  failed: Number,
+  pending: Number
+};
+
+// On-chain vs indexed order counts for one chain at one point in time
+const reconciliationReportSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expected: orderCountsSchema,
+  indexed: orderCountsSchema,
+  missingCount: {
+    type: Number,
+    default: 0
+  },
+  // Contiguous orderId ranges absent from the orders collection (capped, see missingRangesTruncated)
+  missingRanges: [{
+    fromId: String,
+    toId: String,
+    count: Number
+  }],
+  missingRangesTruncated: {
+    type: Boolean,
+    default: false
+  },
+  tokens: [{
+    tokenAddress: String,
+    name: String,
+    expected: {
+      successful: Number,
+      failed: Number
+    },
+    indexed: orderCountsSchema,
+    difference: {
+      successful: Number,
+      failed: Number
+    }
+  }],
+  gapsQueued: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Reports are kept for 30 days
+reconciliationReportSchema.index({ generatedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+reconciliationReportSchema.index({ chainId: 1, generatedAt: -1 });
+
+// Virtual for whether the indexed data matches the contract
+reconciliationReportSchema.virtual('inSync').get(function() {
+  return !this.error &&
+    this.missingCount === 0 &&
+    this.tokens.every(token => token.difference.successful === 0 && token.difference.failed === 0);
+});
+
+// Static method to get the latest report for each chain
+reconciliationReportSchema.statics.getLatestPerChain = async function(chainId = null) {
+  const match = chainId ? { chainId } : {};
+  const latest = await this.aggregate([
+    { $match: match },
+    { $sort: { generatedAt: -1 } },
+    { $group: { _id: '$chainId', reportId: { $first: '$_id' } } }
+  ]);
+
+  return this.find({ _id: { $in: latest.map(item => item.reportId) } }).sort({ chainId: 1 });
+};
+
+// Ensure virtual fields are serialized
+reconciliationReportSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
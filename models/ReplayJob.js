@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Admin-triggered re-ingestion of a block range, tracked separately from the cron sync cursor
+const replayJobSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  fromBlock: {
+    type: Number,
+    required: true
+  },
+  toBlock: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+    index: true
+  },
+  // Last block processed so far
+  cursorBlock: {
+    type: Number,
+    default: null
+  },
+  eventsFound: {
+    type: Number,
+    default: 0
+  },
+  inserted: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  statusesUpdated: {
+    type: Number,
+    default: 0
+  },
+  // Chunks that failed ('errors' is reserved by mongoose documents)
+  failures: [{
+    fromBlock: Number,
+    toBlock: Number,
+    message: String,
+    at: { type: Date, default: Date.now }
+  }],
+  initiatedBy: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+replayJobSchema.index({ createdAt: -1 });
+
+// Method to shape the job for API responses
+replayJobSchema.methods.toSummary = function() {
+  return {
+    jobId: this._id,
+    chainId: this.chainId,
+    fromBlock: this.fromBlock,
+    toBlock: this.toBlock,
+    status: this.status,
+    cursorBlock: this.cursorBlock,
+    result: {
+      eventsFound: this.eventsFound,
+      inserted: this.inserted,
+      updated: this.updated,
+      statusesUpdated: this.statusesUpdated,
+      errors: this.failures.map(failure => ({
+        fromBlock: failure.fromBlock,
+        toBlock: failure.toBlock,
+        message: failure.message,
+        at: failure.at
+      }))
+    },
+    initiatedBy: this.initiatedBy,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    lastError: this.lastError
+  };
+};
+
+module.exports = mongoose.model('ReplayJob', replayJobSchema);
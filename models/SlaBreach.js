@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const slaBreachSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  orderId: {
+    type: String,
+    required: true
+  },
+  userWallet: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  tokenAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  amount: {
+    type: String,
+    required: true
+  },
+  // Null for orders read via getOrder whose creation log hasn't been indexed yet
+  txnHash: {
+    type: String,
+    default: null,
+    lowercase: true
+  },
+  orderTimestamp: {
+    type: Date,
+    required: true
+  },
+  thresholdMinutes: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open',
+    index: true
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  // Final order status once the breach is resolved (successful/failed)
+  resolvedStatus: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One breach record per order
+slaBreachSchema.index({ chainId: 1, orderId: 1 }, { unique: true });
+slaBreachSchema.index({ status: 1, orderTimestamp: 1 });
+
+// Virtual for how long the order has been (or was) pending
+slaBreachSchema.virtual('ageMinutes').get(function() {
+  const end = this.resolvedAt ? this.resolvedAt.getTime() : Date.now();
+  return Number(((end - this.orderTimestamp.getTime()) / 60000).toFixed(1));
+});
+
+// Ensure virtual fields are serialized
+slaBreachSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('SlaBreach', slaBreachSchema);
@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const { getRpcUsage } = require('../services/rpcUsage');
+
+const RETENTION_DAYS = parseInt(process.env.SYNC_RUN_RETENTION_DAYS) || 30;
+const MAX_RUN_ERRORS = 50; // Errors kept per run; the count keeps going past this
+
+// One execution of a metrics sync, order sync, backfill or replay for a single chain
+const syncRunSchema = new mongoose.Schema({
+  syncType: {
+    type: String,
+    required: true,
+    enum: ['metrics', 'orders', 'backfill', 'replay']
+  },
+  chainId: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  fromBlock: {
+    type: Number,
+    default: null
+  },
+  toBlock: {
+    type: Number,
+    default: null
+  },
+  eventsFound: {
+    type: Number,
+    default: 0
+  },
+  // Results of the bulk order writes
+  orders: {
+    inserted: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    modified: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  statusesUpdated: {
+    type: Number,
+    default: 0
+  },
+  failedBatches: {
+    type: Number,
+    default: 0
+  },
+  // RPC calls made by the run, counted across every endpoint and retry
+  rpc: {
+    calls: { type: Number, default: 0 },
+    retries: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+  errorCount: {
+    type: Number,
+    default: 0
+  },
+  // Errors seen during the run, oldest first
+  failures: [{
+    message: String,
+    fromBlock: { type: Number, default: null },
+    toBlock: { type: Number, default: null },
+    at: { type: Date, default: Date.now }
+  }],
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Runs are kept for SYNC_RUN_RETENTION_DAYS (30 by default)
+syncRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+syncRunSchema.index({ syncType: 1, chainId: 1, startedAt: -1 });
+syncRunSchema.index({ chainId: 1, startedAt: -1 });
+
+// Virtual for how long the run took
+syncRunSchema.virtual('durationMs').get(function() {
+  return this.completedAt ? this.completedAt.getTime() - this.startedAt.getTime() : null;
+});
+
+syncRunSchema.set('toJSON', { virtuals: true });
+
+// Helper to copy the RPC counters of the job's usage context onto the run
+syncRunSchema.methods.captureRpcUsage = function() {
+  const usage = getRpcUsage();
+  if (usage) this.rpc = usage;
+};
+
+// Method to add an error, keeping only the first MAX_RUN_ERRORS
+syncRunSchema.methods.addError = function(error, fromBlock = null, toBlock = null) {
+  this.errorCount += 1;
+  this.lastError = error.message;
+  if (this.failures.length < MAX_RUN_ERRORS) {
+    this.failures.push({ message: error.message, fromBlock, toBlock });
+  }
+};
+
+// Method to add the counts from one processed block range
+syncRunSchema.methods.recordBatch = async function(result) {
+  this.eventsFound += result.eventsFound;
+  this.orders.inserted += result.inserted;
+  this.orders.matched += result.matched;
+  this.orders.modified += result.modified;
+  this.orders.failed += result.failed;
+  this.statusesUpdated += result.statusesUpdated;
+  this.captureRpcUsage();
+  await this.save();
+};
+
+// Method to record a block range that failed and was queued for retry
+syncRunSchema.methods.recordFailedBatch = async function(error, fromBlock = null, toBlock = null) {
+  this.failedBatches += 1;
+  this.addError(error, fromBlock, toBlock);
+  this.captureRpcUsage();
+  await this.save();
+};
+
+// Method to close the run
+syncRunSchema.methods.finish = async function(error = null) {
+  this.status = error ? 'failed' : 'completed';
+  this.completedAt = new Date();
+  if (error) this.addError(error);
+  this.captureRpcUsage();
+  await this.save();
+};
+
+// Static method for a page of runs, newest first
+syncRunSchema.statics.findPage = async function(query, { page, limit }) {
+  const [runs, total] = await Promise.all([
+    this.find(query)
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    this.countDocuments(query)
+  ]);
+  
+  return { runs, total };
+};
+
+module.exports = mongoose.model('SyncRun', syncRunSchema);
@@ -4,21 +4,28 @@ const syncStatusSchema = new mongoose.Schema({
   syncType: {
     type: String,
     required: true,
-    enum: ['metrics', 'orders']
+    enum: ['metrics', 'orders', 'order-outcomes']
   },
   chainId: {
     type: Number,
     required: true,
     default: 8453 // Default to Base chain
   },
+  // Highest block below which everything is indexed (no pending failed ranges)
   lastSyncBlock: {
     type: Number,
     default: 0
   },
+  // Highest block scanned so far, possibly with failed ranges still queued for retry below it
+  highestScannedBlock: {
+    type: Number,
+    default: 0
+  },
   lastSyncTimestamp: {
     type: Date,
     default: Date.now
   },
+  // Informational only; overlapping runs are prevented by the job lock (see JobLock)
   isRunning: {
     type: Boolean,
     default: false
@@ -34,7 +41,20 @@ const syncStatusSchema = new mongoose.Schema({
   errorCount: {
     type: Number,
     default: 0
-  }
+  },
+  // Reorg rollbacks detected by the rewind check (most recent last)
+  rollbackCount: {
+    type: Number,
+    default: 0
+  },
+  rollbacks: [{
+    detectedAt: { type: Date, default: Date.now },
+    fromBlock: Number,
+    toBlock: Number,
+    reorgedBlocks: [Number],
+    ordersRemoved: [String],
+    statusesReverted: [String]
+  }]
 }, {
   timestamps: true
 });
@@ -54,20 +74,6 @@ syncStatusSchema.statics.getOrCreate = async function(syncType, chainId = 8453)
       console.log(`📊 Created new sync status for: ${syncType} on chainId ${chainId}`);
     }
     
-    // Check if sync has been running for too long (30+ minutes = stuck, clear the lock)
-    if (syncStatus.isRunning) {
-      const lastSyncTime = new Date(syncStatus.updatedAt).getTime();
-      const now = Date.now();
-      const runningForMs = now - lastSyncTime;
-      const runningForMinutes = runningForMs / 60000;
-      
-      if (runningForMinutes > 30) {
-        console.log(`⚠️  Sync ${syncType} on chainId ${chainId} has been running for ${runningForMinutes.toFixed(1)} minutes - clearing stuck lock`);
-        syncStatus.isRunning = false;
-        await syncStatus.save();
-      }
-    }
-    
     return syncStatus;
   } catch (error) {
     console.error(`❌ Error getting/creating sync status for ${syncType} on chainId ${chainId}:`, error);
@@ -97,6 +103,25 @@ syncStatusSchema.methods.updateSync = async function(block, success = true, erro
   }
 };
 
+// Method to finish an order sync pass: the cursor only advances over the contiguous, fully indexed range
+syncStatusSchema.methods.updateOrderSync = async function(contiguousBlock, scannedBlock) {
+  this.highestScannedBlock = Math.max(this.highestScannedBlock, scannedBlock);
+  this.lastSyncBlock = contiguousBlock;
+  await this.updateSync(contiguousBlock, true);
+};
+
+// Method to record a reorg rollback, keeping the last 50 entries
+syncStatusSchema.methods.recordRollback = async function(rollback) {
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $inc: { rollbackCount: 1 },
+      $push: { rollbacks: { $each: [rollback], $slice: -50 } }
+    }
+  );
+  console.log(`↩️  Recorded rollback for ${this.syncType} on chainId ${this.chainId}: blocks ${rollback.fromBlock}-${rollback.toBlock}`);
+};
+
 // Method to mark sync as running
 syncStatusSchema.methods.markAsRunning = async function() {
   this.isRunning = true;
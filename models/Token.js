@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Token registry entry, keyed by chain and address and editable from the admin API
+const tokenSchema = new mongoose.Schema({
+  chainId: {
+    type: Number,
+    required: true
+  },
+  address: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  symbol: {
+    type: String,
+    default: null
+  },
+  name: {
+    type: String,
+    default: null
+  },
+  decimals: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 77
+  },
+  // Id the price API knows the token by (a CoinGecko id); null leaves the token unpriced
+  priceSourceId: {
+    type: String,
+    default: null
+  },
+  // Currency the token is pegged to, 'none' for floating tokens
+  pegType: {
+    type: String,
+    enum: ['usd', 'ngn', 'none'],
+    default: 'none'
+  },
+  logoUrl: {
+    type: String,
+    default: null
+  },
+  // Whether the Paycrypt contract still accepts the token, refreshed on every seed
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // 'contract' for tokens seeded from getAllTokensAcrossChains, 'admin' for ones added by hand
+  source: {
+    type: String,
+    enum: ['contract', 'admin'],
+    default: 'admin'
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+tokenSchema.index({ chainId: 1, address: 1 }, { unique: true });
+
+// Static method to check a pegType value
+tokenSchema.statics.isValidPegType = function(pegType) {
+  return this.schema.path('pegType').enumValues.includes(pegType);
+};
+
+// Static method to find one token by chain and address
+tokenSchema.statics.findByAddress = function(chainId, address) {
+  return this.findOne({ chainId, address: address.toLowerCase() });
+};
+
+// Method to shape the token for API responses
+tokenSchema.methods.toSummary = function() {
+  return {
+    chainId: this.chainId,
+    address: this.address,
+    symbol: this.symbol,
+    name: this.name,
+    decimals: this.decimals,
+    priceSourceId: this.priceSourceId,
+    pegType: this.pegType,
+    logoUrl: this.logoUrl,
+    isActive: this.isActive,
+    source: this.source,
+    updatedBy: this.updatedBy,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Token', tokenSchema);
@@ -18,7 +18,9 @@ const totalVolumeSchema = new mongoose.Schema({
     volumeUSD: Number,
     volumeNGN: Number,
     priceUSD: Number,
-    priceNGN: Number
+    priceNGN: Number,
+    priceProvider: String,
+    priceUpdatedAt: Date
   }],
   timestamp: {
     type: Date,
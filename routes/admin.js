@@ -4,9 +4,27 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const nodemailer = require('nodemailer');
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
 const Admin = require('../models/Admin');
+const SlaBreach = require('../models/SlaBreach');
+const Backfill = require('../models/Backfill');
+const ReplayJob = require('../models/ReplayJob');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const SyncRun = require('../models/SyncRun');
+const contractService = require('../services/contractService');
+const { CONTRACTS, getContractByChainId } = require('../config/contract');
 const { authMiddleware } = require('../middleware/auth');
-const { getSyncStatus, forceSyncAll } = require('../jobs/cronJobs');
+const QueuedJob = require('../models/QueuedJob');
+const JobDefinition = require('../models/JobDefinition');
+const { getSyncStatus } = require('../jobs/cronJobs');
+const { enqueueJob } = require('../jobs/jobQueue');
+const { JOB_CATALOG, getJobCatalogEntry } = require('../jobs/scheduler');
+const { isValidCronExpression } = require('../utils/cronUtils');
+const { isJobLockHeld } = require('../services/jobLock');
+const { getGapFillStatus } = require('../jobs/gapFill');
+const Token = require('../models/Token');
+const tokenRegistryService = require('../services/tokenRegistryService');
 
 // Configure nodemailer (FIXED: createTransport not createTransporter)
 const transporter = nodemailer.createTransport({
@@ -364,13 +382,12 @@ router.post('/system/sync', authMiddleware, async (req, res) => {
   try {
     console.log(`🔄 Force sync initiated by: ${req.admin.email}`);
     
-    // Run sync in background
-    forceSyncAll().catch(error => {
-      console.error('❌ Force sync error:', error);
-    });
+    // The worker picks the sync up from the job queue
+    const job = await enqueueJob('sync', {}, req.admin.email);
     
-    res.json({ 
-      message: 'Sync initiated successfully',
+    res.status(202).json({ 
+      message: 'Sync queued successfully',
+      jobId: job._id,
       timestamp: new Date(),
       initiatedBy: req.admin.email
     });
@@ -382,6 +399,514 @@ router.post('/system/sync', authMiddleware, async (req, res) => {
   }
 });
 
+// Get per-endpoint RPC health (latency, error rate, block lag) for each chain (protected)
+router.get('/system/rpc', authMiddleware, async (req, res) => {
+  try {
+    const chainId = req.query.chainId ? parseInt(req.query.chainId) : null;
+    const refresh = req.query.refresh === 'true';
+    
+    if (!contractService.isInitialized()) {
+      return res.status(503).json({ 
+        error: 'Contract service not initialized' 
+      });
+    }
+    
+    if (chainId !== null && !contractService.getEnabledChainIds().includes(chainId)) {
+      return res.status(400).json({ 
+        error: 'chainId must be one of the enabled chains',
+        enabledChains: contractService.getEnabledChainIds()
+      });
+    }
+    
+    // Optionally probe every endpoint's head block before reporting
+    const chains = refresh
+      ? await contractService.checkRpcHealth(chainId)
+      : contractService.getRpcStats(chainId);
+    
+    res.json({
+      chains,
+      refreshed: refresh,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('❌ RPC stats error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch RPC stats' 
+    });
+  }
+});
+
+// Backfill full order history from the contract deployment block (protected)
+router.post('/system/backfill', authMiddleware, async (req, res) => {
+  try {
+    const chainId = parseInt(req.body.chainId);
+    const restart = req.body.restart === true;
+    const fromBlock = req.body.fromBlock !== undefined ? parseInt(req.body.fromBlock) : undefined;
+    
+    if (!contractService.isInitialized()) {
+      return res.status(503).json({ 
+        error: 'Contract service not initialized' 
+      });
+    }
+    
+    if (!contractService.getEnabledChainIds().includes(chainId)) {
+      return res.status(400).json({ 
+        error: 'chainId must be one of the enabled chains',
+        enabledChains: contractService.getEnabledChainIds()
+      });
+    }
+    
+    if (fromBlock !== undefined && (isNaN(fromBlock) || fromBlock < 0)) {
+      return res.status(400).json({ 
+        error: 'fromBlock must be a non-negative block number' 
+      });
+    }
+    
+    const existing = await Backfill.findOne({ chainId });
+    
+    if (await isJobLockHeld(`backfill:${chainId}`)) {
+      return res.status(409).json({ 
+        error: 'Backfill already running for this chain',
+        progress: existing ? existing.getProgress() : null
+      });
+    }
+    
+    const resuming = existing && existing.status !== 'completed' && !restart;
+    if (!resuming && fromBlock === undefined && !getContractByChainId(chainId).deploymentBlock) {
+      return res.status(400).json({ 
+        error: 'No deploymentBlock configured for this chain, pass fromBlock explicitly' 
+      });
+    }
+    
+    console.log(`🗄️  Backfill for chainId ${chainId} initiated by: ${req.admin.email}`);
+    
+    const job = await enqueueJob('backfill', { chainId, fromBlock, restart, initiatedBy: req.admin.email }, req.admin.email);
+    
+    res.status(202).json({ 
+      message: resuming ? 'Backfill resume queued' : 'Backfill queued',
+      jobId: job._id,
+      progress: existing ? existing.getProgress() : null,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('❌ Backfill start error:', error);
+    res.status(500).json({ 
+      error: 'Failed to start backfill',
+      message: error.message
+    });
+  }
+});
+
+// Replay an arbitrary block range for one chain as a tracked background job (protected)
+router.post('/system/replay', authMiddleware, async (req, res) => {
+  try {
+    const chainId = parseInt(req.body.chainId);
+    const fromBlock = parseInt(req.body.fromBlock);
+    const toBlock = parseInt(req.body.toBlock);
+    
+    if (!contractService.isInitialized()) {
+      return res.status(503).json({ 
+        error: 'Contract service not initialized' 
+      });
+    }
+    
+    if (!contractService.getEnabledChainIds().includes(chainId)) {
+      return res.status(400).json({ 
+        error: 'chainId must be one of the enabled chains',
+        enabledChains: contractService.getEnabledChainIds()
+      });
+    }
+    
+    if (isNaN(fromBlock) || isNaN(toBlock) || fromBlock < 0 || toBlock < fromBlock) {
+      return res.status(400).json({ 
+        error: 'fromBlock and toBlock must be block numbers with fromBlock <= toBlock' 
+      });
+    }
+    
+    const headBlock = await contractService.getCurrentBlockNumber(chainId);
+    if (toBlock > headBlock) {
+      return res.status(400).json({ 
+        error: `toBlock is beyond the current head (${headBlock})` 
+      });
+    }
+    
+    console.log(`🔂 Replay of blocks ${fromBlock}-${toBlock} on chainId ${chainId} initiated by: ${req.admin.email}`);
+    
+    const job = await ReplayJob.create({ chainId, fromBlock, toBlock, initiatedBy: req.admin.email });
+    const queuedJob = await enqueueJob('replay', { replayJobId: job._id.toString() }, req.admin.email);
+    
+    res.status(202).json({ 
+      message: 'Replay queued',
+      jobId: job._id,
+      queuedJobId: queuedJob._id,
+      job: job.toSummary()
+    });
+  } catch (error) {
+    console.error('❌ Replay start error:', error);
+    res.status(500).json({ 
+      error: 'Failed to start replay',
+      message: error.message
+    });
+  }
+});
+
+// Get recent replay jobs (protected)
+router.get('/system/replay', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const jobs = await ReplayJob.find({}).sort({ createdAt: -1 }).limit(limit);
+    
+    res.json({
+      jobs: jobs.map(job => job.toSummary()),
+      count: jobs.length
+    });
+  } catch (error) {
+    console.error('❌ Replay list error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch replay jobs' 
+    });
+  }
+});
+
+// Poll a replay job for its result (protected)
+router.get('/system/replay/:jobId', authMiddleware, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ 
+        error: 'Invalid job id' 
+      });
+    }
+    
+    const job = await ReplayJob.findById(jobId);
+    
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Replay job not found',
+        jobId
+      });
+    }
+    
+    res.json(job.toSummary());
+  } catch (error) {
+    console.error('❌ Replay fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch replay job' 
+    });
+  }
+});
+
+// List jobs queued for the worker, newest first (protected)
+router.get('/system/jobs', authMiddleware, async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    
+    const jobs = await QueuedJob.find(query).sort({ createdAt: -1 }).limit(limit);
+    
+    res.json({
+      jobs: jobs.map(job => job.toSummary()),
+      count: jobs.length
+    });
+  } catch (error) {
+    console.error('❌ Job queue list error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch queued jobs' 
+    });
+  }
+});
+
+// Poll a queued job for its status and result (protected)
+router.get('/system/jobs/:jobId', authMiddleware, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+      return res.status(400).json({ 
+        error: 'Invalid job id' 
+      });
+    }
+    
+    const job = await QueuedJob.findById(jobId);
+    
+    if (!job) {
+      return res.status(404).json({ 
+        error: 'Queued job not found',
+        jobId
+      });
+    }
+    
+    res.json(job.toSummary());
+  } catch (error) {
+    console.error('❌ Queued job fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch queued job' 
+    });
+  }
+});
+
+// Helper to load a job definition by name, responding 404 when it does not exist
+async function findJobDefinition(req, res) {
+  const { name } = req.params;
+  const definition = getJobCatalogEntry(name) ? await JobDefinition.findOne({ name }) : null;
+  
+  if (!definition) {
+    res.status(404).json({ 
+      error: 'Job not found',
+      name,
+      availableJobs: Object.keys(JOB_CATALOG)
+    });
+    return null;
+  }
+  
+  return definition;
+}
+
+// Helper to shape a job definition with its catalog details
+function formatJobDefinition(definition) {
+  return {
+    ...definition.toSummary(),
+    chainScoped: getJobCatalogEntry(definition.name).chainScoped
+  };
+}
+
+// List scheduled worker jobs with their next run time and last result (protected)
+router.get('/system/schedules', authMiddleware, async (req, res) => {
+  try {
+    const definitions = await JobDefinition.find({ name: { $in: Object.keys(JOB_CATALOG) } }).sort({ name: 1 });
+    
+    res.json({
+      jobs: definitions.map(formatJobDefinition),
+      count: definitions.length,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('❌ Schedule list error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch job schedules' 
+    });
+  }
+});
+
+// Get one scheduled job (protected)
+router.get('/system/schedules/:name', authMiddleware, async (req, res) => {
+  try {
+    const definition = await findJobDefinition(req, res);
+    if (!definition) return;
+    
+    res.json(formatJobDefinition(definition));
+  } catch (error) {
+    console.error('❌ Schedule fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch job schedule' 
+    });
+  }
+});
+
+// Pause or resume a scheduled job; the worker applies the change within a minute (protected)
+router.post('/system/schedules/:name/:action(pause|resume)', authMiddleware, async (req, res) => {
+  try {
+    const definition = await findJobDefinition(req, res);
+    if (!definition) return;
+    
+    definition.enabled = req.params.action === 'resume';
+    definition.updatedBy = req.admin.email;
+    await definition.save();
+    
+    console.log(`🗓️  Job ${definition.name} ${definition.enabled ? 'resumed' : 'paused'} by: ${req.admin.email}`);
+    
+    res.json({
+      message: `Job ${definition.enabled ? 'resumed' : 'paused'}`,
+      job: formatJobDefinition(definition)
+    });
+  } catch (error) {
+    console.error('❌ Schedule update error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update job schedule' 
+    });
+  }
+});
+
+// Change a scheduled job's cron expression and/or chain scope (protected)
+router.put('/system/schedules/:name', authMiddleware, async (req, res) => {
+  try {
+    const { cronExpression, chainIds } = req.body;
+    
+    if (cronExpression === undefined && chainIds === undefined) {
+      return res.status(400).json({ 
+        error: 'Provide cronExpression and/or chainIds' 
+      });
+    }
+    
+    if (cronExpression !== undefined && !isValidCronExpression(cronExpression)) {
+      return res.status(400).json({ 
+        error: 'Invalid cron expression',
+        cronExpression
+      });
+    }
+    
+    const definition = await findJobDefinition(req, res);
+    if (!definition) return;
+    
+    if (chainIds !== undefined) {
+      if (!getJobCatalogEntry(definition.name).chainScoped) {
+        return res.status(400).json({ 
+          error: `Job ${definition.name} always covers every chain` 
+        });
+      }
+      
+      const enabledChains = contractService.getEnabledChainIds();
+      if (!Array.isArray(chainIds) || !chainIds.every(chainId => enabledChains.includes(chainId))) {
+        return res.status(400).json({ 
+          error: 'chainIds must be a list of enabled chains (empty for all)',
+          enabledChains
+        });
+      }
+      definition.chainIds = chainIds;
+    }
+    
+    if (cronExpression !== undefined) {
+      definition.cronExpression = cronExpression;
+    }
+    definition.updatedBy = req.admin.email;
+    await definition.save();
+    
+    console.log(`🗓️  Job ${definition.name} rescheduled by: ${req.admin.email}`);
+    
+    res.json({
+      message: 'Job schedule updated',
+      job: formatJobDefinition(definition)
+    });
+  } catch (error) {
+    console.error('❌ Schedule update error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update job schedule' 
+    });
+  }
+});
+
+// Run a scheduled job now, even while paused, through the worker's job queue (protected)
+router.post('/system/schedules/:name/run', authMiddleware, async (req, res) => {
+  try {
+    const definition = await findJobDefinition(req, res);
+    if (!definition) return;
+    
+    console.log(`🗓️  Run-now of ${definition.name} initiated by: ${req.admin.email}`);
+    
+    const job = await enqueueJob('run-job', { name: definition.name }, req.admin.email);
+    
+    res.status(202).json({
+      message: 'Job queued',
+      jobId: job._id,
+      job: formatJobDefinition(definition)
+    });
+  } catch (error) {
+    console.error('❌ Schedule run error:', error);
+    res.status(500).json({ 
+      error: 'Failed to queue job' 
+    });
+  }
+});
+
+// List past sync runs with their counts and errors, newest first (protected)
+router.get('/system/sync-runs', authMiddleware, async (req, res) => {
+  try {
+    const { syncType, chainId, status, from, to, page = 1, limit = 20 } = req.query;
+    
+    if (syncType && !['metrics', 'orders', 'backfill', 'replay'].includes(syncType)) {
+      return res.status(400).json({ 
+        error: 'Invalid syncType. Use: metrics, orders, backfill, or replay' 
+      });
+    }
+    
+    if (status && !['running', 'completed', 'failed'].includes(status)) {
+      return res.status(400).json({ 
+        error: 'Invalid status. Use: running, completed, or failed' 
+      });
+    }
+    
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ 
+        error: 'from and to must be valid dates' 
+      });
+    }
+    
+    const query = {};
+    if (syncType) query.syncType = syncType;
+    if (chainId) query.chainId = parseInt(chainId);
+    if (status) query.status = status;
+    if (fromDate || toDate) {
+      query.startedAt = {};
+      if (fromDate) query.startedAt.$gte = fromDate;
+      if (toDate) query.startedAt.$lte = toDate;
+    }
+    
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+    
+    const { runs, total } = await SyncRun.findPage(query, { page: pageNum, limit: limitNum });
+    
+    res.json({
+      runs,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      },
+      filters: {
+        syncType: syncType || null,
+        chainId: chainId ? parseInt(chainId) : null,
+        status: status || null,
+        from: fromDate,
+        to: toDate
+      }
+    });
+  } catch (error) {
+    console.error('❌ Sync run list error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch sync runs' 
+    });
+  }
+});
+
+// Get a single sync run with its full error list (protected)
+router.get('/system/sync-runs/:runId', authMiddleware, async (req, res) => {
+  try {
+    const { runId } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(runId)) {
+      return res.status(400).json({ 
+        error: 'Invalid run id' 
+      });
+    }
+    
+    const run = await SyncRun.findById(runId);
+    
+    if (!run) {
+      return res.status(404).json({ 
+        error: 'Sync run not found',
+        runId
+      });
+    }
+    
+    res.json(run);
+  } catch (error) {
+    console.error('❌ Sync run fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch sync run' 
+    });
+  }
+});
+
 // Test email configuration (protected)
 router.post('/system/test-email', authMiddleware, async (req, res) => {
   try {
@@ -418,6 +943,437 @@ router.post('/system/test-email', authMiddleware, async (req, res) => {
   }
 });
 
+// List orders stuck in pending past their SLA (protected)
+router.get('/sla-breaches', authMiddleware, async (req, res) => {
+  try {
+    const { chainId, token, user, status = 'open', page = 1, limit = 50 } = req.query;
+    
+    if (!['open', 'resolved', 'all'].includes(status)) {
+      return res.status(400).json({ 
+        error: 'Invalid status. Use: open, resolved, or all' 
+      });
+    }
+    
+    const query = {};
+    if (status !== 'all') query.status = status;
+    if (chainId) query.chainId = parseInt(chainId);
+    if (token) query.tokenAddress = token.toLowerCase();
+    if (user) query.userWallet = user.toLowerCase();
+    
+    const pageNum = Math.max(1, parseInt(page));
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+    const skip = (pageNum - 1) * limitNum;
+    
+    // Oldest pending orders first
+    const [breaches, total] = await Promise.all([
+      SlaBreach.find(query)
+        .sort({ orderTimestamp: 1 })
+        .skip(skip)
+        .limit(limitNum),
+      SlaBreach.countDocuments(query)
+    ]);
+    
+    res.json({
+      breaches: breaches.map(breach => {
+        // Not getContractByChainId: a removed or unknown chain must not be reported as its Base fallback
+        const chainConfig = Object.values(CONTRACTS).find(c => c.chainId === breach.chainId);
+        return {
+          chainId: breach.chainId,
+          chainName: chainConfig?.name ?? 'Unknown',
+          orderId: breach.orderId,
+          userWallet: breach.userWallet,
+          tokenAddress: breach.tokenAddress,
+          amount: breach.amount,
+          txnHash: breach.txnHash,
+          explorerUrl: chainConfig && breach.txnHash ? `${chainConfig.explorer}/tx/${breach.txnHash}` : null,
+          orderTimestamp: breach.orderTimestamp,
+          ageMinutes: breach.ageMinutes,
+          thresholdMinutes: breach.thresholdMinutes,
+          status: breach.status,
+          detectedAt: breach.detectedAt,
+          resolvedAt: breach.resolvedAt,
+          resolvedStatus: breach.resolvedStatus
+        };
+      }),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum)
+      },
+      filters: {
+        status,
+        chainId: chainId ? parseInt(chainId) : null,
+        token: token || null,
+        user: user || null
+      }
+    });
+  } catch (error) {
+    console.error('❌ SLA breach fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch SLA breaches' 
+    });
+  }
+});
+
+// Get the latest on-chain vs indexed reconciliation report per chain (protected)
+router.get('/reconciliation', authMiddleware, async (req, res) => {
+  try {
+    const chainId = req.query.chainId ? parseInt(req.query.chainId) : null;
+    const reports = await ReconciliationReport.getLatestPerChain(chainId);
+    
+    res.json({
+      reports,
+      inSync: reports.length > 0 && reports.every(report => report.inSync),
+      filters: {
+        chainId
+      }
+    });
+  } catch (error) {
+    console.error('❌ Reconciliation fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch reconciliation reports' 
+    });
+  }
+});
+
+// Run a reconciliation now, optionally queueing missing orderIds for direct fetch (protected)
+router.post('/reconciliation/run', authMiddleware, async (req, res) => {
+  try {
+    const chainId = req.body.chainId !== undefined ? parseInt(req.body.chainId) : null;
+    const queueGaps = req.body.queueGaps === true;
+    
+    if (!contractService.isInitialized()) {
+      return res.status(503).json({ 
+        error: 'Contract service not initialized' 
+      });
+    }
+    
+    if (chainId !== null && !contractService.getEnabledChainIds().includes(chainId)) {
+      return res.status(400).json({ 
+        error: 'chainId must be one of the enabled chains',
+        enabledChains: contractService.getEnabledChainIds()
+      });
+    }
+    
+    console.log(`🧮 Reconciliation initiated by: ${req.admin.email}`);
+    
+    const job = await enqueueJob('reconciliation', { chainId, queueGaps }, req.admin.email);
+    
+    res.status(202).json({ 
+      message: 'Reconciliation queued',
+      jobId: job._id,
+      chainId,
+      queueGaps,
+      timestamp: new Date(),
+      initiatedBy: req.admin.email
+    });
+  } catch (error) {
+    console.error('❌ Reconciliation start error:', error);
+    res.status(500).json({ 
+      error: 'Failed to start reconciliation' 
+    });
+  }
+});
+
+// Get the missing-order queue filled via direct getOrder reads (protected)
+router.get('/system/gap-fill', authMiddleware, async (req, res) => {
+  try {
+    const status = await getGapFillStatus();
+    
+    res.json({
+      ...status,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('❌ Gap fill status error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch gap fill status' 
+    });
+  }
+});
+
+// Scan for orderId gaps and fetch the missing orders from the contract now (protected)
+router.post('/system/gap-fill', authMiddleware, async (req, res) => {
+  try {
+    const chainId = req.body.chainId !== undefined ? parseInt(req.body.chainId) : null;
+    
+    if (!contractService.isInitialized()) {
+      return res.status(503).json({ 
+        error: 'Contract service not initialized' 
+      });
+    }
+    
+    if (chainId !== null && !contractService.getEnabledChainIds().includes(chainId)) {
+      return res.status(400).json({ 
+        error: 'chainId must be one of the enabled chains',
+        enabledChains: contractService.getEnabledChainIds()
+      });
+    }
+    
+    console.log(`🕳️  Gap fill initiated by: ${req.admin.email}`);
+    
+    const job = await enqueueJob('gap-fill', { chainId }, req.admin.email);
+    
+    res.status(202).json({ 
+      message: 'Gap fill queued',
+      jobId: job._id,
+      chainId,
+      timestamp: new Date(),
+      initiatedBy: req.admin.email
+    });
+  } catch (error) {
+    console.error('❌ Gap fill start error:', error);
+    res.status(500).json({ 
+      error: 'Failed to start gap fill' 
+    });
+  }
+});
+
+// Fields of a token registry entry an admin can set
+const EDITABLE_TOKEN_FIELDS = ['symbol', 'name', 'decimals', 'priceSourceId', 'pegType', 'logoUrl', 'isActive'];
+
+// Helper to validate the editable token fields in a request body, returning an error message or null
+function validateTokenFields(body) {
+  if (body.decimals !== undefined && (!Number.isInteger(body.decimals) || body.decimals < 0 || body.decimals > 77)) {
+    return 'decimals must be an integer between 0 and 77';
+  }
+  if (body.pegType !== undefined && !Token.isValidPegType(body.pegType)) {
+    return `pegType must be one of: ${Token.schema.path('pegType').enumValues.join(', ')}`;
+  }
+  if (body.isActive !== undefined && typeof body.isActive !== 'boolean') {
+    return 'isActive must be a boolean';
+  }
+  for (const field of ['symbol', 'name', 'priceSourceId', 'logoUrl']) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+      return `${field} must be a string or null`;
+    }
+  }
+  return null;
+}
+
+// Token fields that decide how its orders are normalized and priced
+const PRICING_TOKEN_FIELDS = ['decimals', 'priceSourceId'];
+
+// Helper to load a registered token by chain and address, responding 404 when it does not exist
+async function findToken(req, res) {
+  const chainId = parseInt(req.params.chainId);
+  const { address } = req.params;
+  const token = Number.isNaN(chainId) ? null : await Token.findByAddress(chainId, address);
+  
+  if (!token) {
+    res.status(404).json({ 
+      error: 'Token not found',
+      chainId: req.params.chainId,
+      address
+    });
+    return null;
+  }
+  
+  return token;
+}
+
+// List registered tokens (protected)
+router.get('/tokens', authMiddleware, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.chainId) {
+      query.chainId = parseInt(req.query.chainId);
+    }
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+    
+    const tokens = await Token.find(query).sort({ chainId: 1, symbol: 1 });
+    
+    res.json({
+      tokens: tokens.map(token => token.toSummary()),
+      count: tokens.length,
+      timestamp: new Date()
+    });
+  } catch (error) {
+    console.error('❌ Token list error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch tokens' 
+    });
+  }
+});
+
+// Queue a seed of the registry from every supported token on the contract (protected)
+router.post('/tokens/seed', authMiddleware, async (req, res) => {
+  try {
+    console.log(`🪙 Token registry seed initiated by: ${req.admin.email}`);
+    
+    const job = await enqueueJob('token-seed', {}, req.admin.email);
+    
+    res.status(202).json({ 
+      message: 'Token registry seed queued',
+      jobId: job._id,
+      timestamp: new Date(),
+      initiatedBy: req.admin.email
+    });
+  } catch (error) {
+    console.error('❌ Token seed error:', error);
+    res.status(500).json({ 
+      error: 'Failed to queue token registry seed' 
+    });
+  }
+});
+
+// Get one registered token (protected)
+router.get('/tokens/:chainId/:address', authMiddleware, async (req, res) => {
+  try {
+    const token = await findToken(req, res);
+    if (!token) return;
+    
+    res.json(token.toSummary());
+  } catch (error) {
+    console.error('❌ Token fetch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch token' 
+    });
+  }
+});
+
+// Register a token by hand (protected)
+router.post('/tokens', authMiddleware, async (req, res) => {
+  try {
+    const { chainId, address, decimals } = req.body;
+    
+    if (!Number.isInteger(chainId) || !address || decimals === undefined) {
+      return res.status(400).json({ 
+        error: 'chainId, address and decimals are required' 
+      });
+    }
+    
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ 
+        error: 'Invalid token address format' 
+      });
+    }
+    
+    const validationError = validateTokenFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ 
+        error: validationError 
+      });
+    }
+    
+    if (await Token.findByAddress(chainId, address)) {
+      return res.status(409).json({ 
+        error: 'Token already registered',
+        chainId,
+        address: address.toLowerCase()
+      });
+    }
+    
+    const fields = {};
+    for (const field of EDITABLE_TOKEN_FIELDS) {
+      if (req.body[field] !== undefined) {
+        fields[field] = req.body[field];
+      }
+    }
+    
+    const token = await Token.create({
+      ...fields,
+      chainId,
+      address,
+      source: 'admin',
+      updatedBy: req.admin.email
+    });
+    tokenRegistryService.clearCache();
+    
+    // Orders already indexed for the token were normalized and priced without its entry
+    const repriceJob = await enqueueJob('token-reprice', { chainId: token.chainId, address: token.address }, req.admin.email);
+    
+    console.log(`🪙 Token ${token.address} on chainId ${token.chainId} registered by: ${req.admin.email}`);
+    
+    res.status(201).json({
+      message: 'Token registered',
+      token: token.toSummary(),
+      repriceJobId: repriceJob._id
+    });
+  } catch (error) {
+    console.error('❌ Token create error:', error);
+    res.status(500).json({ 
+      error: 'Failed to register token' 
+    });
+  }
+});
+
+// Edit a registered token's symbol, decimals, price source, peg type, logo or status (protected)
+router.put('/tokens/:chainId/:address', authMiddleware, async (req, res) => {
+  try {
+    const updates = EDITABLE_TOKEN_FIELDS.filter(field => req.body[field] !== undefined);
+    
+    if (updates.length === 0) {
+      return res.status(400).json({ 
+        error: `Provide at least one of: ${EDITABLE_TOKEN_FIELDS.join(', ')}` 
+      });
+    }
+    
+    const validationError = validateTokenFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ 
+        error: validationError 
+      });
+    }
+    
+    const token = await findToken(req, res);
+    if (!token) return;
+    
+    const repriceNeeded = PRICING_TOKEN_FIELDS.some(field => updates.includes(field) && token[field] !== req.body[field]);
+    
+    for (const field of updates) {
+      token[field] = req.body[field];
+    }
+    token.updatedBy = req.admin.email;
+    await token.save();
+    tokenRegistryService.clearCache();
+    
+    // Stored orders of the token keep the old decimals and prices until the worker redoes them
+    const repriceJob = repriceNeeded
+      ? await enqueueJob('token-reprice', { chainId: token.chainId, address: token.address }, req.admin.email)
+      : null;
+    
+    console.log(`🪙 Token ${token.address} on chainId ${token.chainId} updated by: ${req.admin.email} (${updates.join(', ')})`);
+    
+    res.json({
+      message: 'Token updated',
+      token: token.toSummary(),
+      repriceJobId: repriceJob ? repriceJob._id : null
+    });
+  } catch (error) {
+    console.error('❌ Token update error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update token' 
+    });
+  }
+});
+
+// Remove a token from the registry (protected)
+router.delete('/tokens/:chainId/:address', authMiddleware, async (req, res) => {
+  try {
+    const token = await findToken(req, res);
+    if (!token) return;
+    
+    await token.deleteOne();
+    tokenRegistryService.clearCache();
+    
+    console.log(`🪙 Token ${token.address} on chainId ${token.chainId} removed by: ${req.admin.email}`);
+    
+    res.json({
+      message: 'Token removed',
+      token: token.toSummary()
+    });
+  } catch (error) {
+    console.error('❌ Token delete error:', error);
+    res.status(500).json({ 
+      error: 'Failed to remove token' 
+    });
+  }
+});
+
 // Logout (protected) - mainly for logging purposes
 router.post('/logout', authMiddleware, async (req, res) => {
   try {
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
 const { getStartTime, isValidTimeRange } = require('../utils/timeUtils');
+const { toDisplayAmount } = require('../utils/amountUtils');
 const { CONTRACTS } = require('../config/contract');
 
 // Helper function to build match query with filters
@@ -27,12 +28,114 @@ function buildMatchQuery(filters = {}) {
     match.userWallet = filters.userWallet.toLowerCase();
   }
   
+  if (filters.status) {
+    match.status = filters.status;
+  }
+  
   return match;
 }
 
-// Helper function to convert BigInt amounts to numbers
-function convertAmount(amount) {
-  return parseFloat(amount) / 1e18;
+// Reject unknown status filters before any route runs
+router.use((req, res, next) => {
+  if (req.query.status && !Order.isValidStatus(req.query.status)) {
+    return res.status(400).json({ 
+      error: 'Invalid status. Use: pending, successful, or failed' 
+    });
+  }
+  next();
+});
+
+// Helper function to express a Decimal128 volume as a percentage of the total
+function getPercentageOfTotal(volume, totalVolume) {
+  const total = toDisplayAmount(totalVolume);
+  return total > 0 ? (toDisplayAmount(volume) / total * 100).toFixed(2) : 0;
+}
+
+// Helper function to build the $group key for a time bucket interval
+function getIntervalGroupId(interval) {
+  switch (interval) {
+    case 'hour':
+      return {
+        year: { $year: '$timestamp' },
+        month: { $month: '$timestamp' },
+        day: { $dayOfMonth: '$timestamp' },
+        hour: { $hour: '$timestamp' }
+      };
+    case 'day':
+      return {
+        year: { $year: '$timestamp' },
+        month: { $month: '$timestamp' },
+        day: { $dayOfMonth: '$timestamp' }
+      };
+    case 'month':
+      return {
+        year: { $year: '$timestamp' },
+        month: { $month: '$timestamp' }
+      };
+    default:
+      return null;
+  }
+}
+
+// Helper function to turn a time bucket group key back into a date
+function getBucketTimestamp(id, interval) {
+  if (interval === 'hour') {
+    return new Date(id.year, id.month - 1, id.day, id.hour);
+  }
+  if (interval === 'day') {
+    return new Date(id.year, id.month - 1, id.day);
+  }
+  return new Date(id.year, id.month - 1);
+}
+
+// Latency percentiles reported by /latency (nearest-rank)
+const LATENCY_PERCENTILES = [50, 90, 99];
+
+// Helper function to build the nearest-rank position of a percentile within a group of `$orderCount` orders
+function getNearestRank(percentile) {
+  return { $max: [1, { $ceil: { $divide: [{ $multiply: [percentile, '$orderCount'] }, 100] } }] };
+}
+
+// Helper function to build a pipeline computing nearest-rank latency percentiles (seconds) per group.
+// Orders are ranked by latency within their group server-side and only the orders at the percentile
+// ranks reach the $group, so the latencies are never collected into memory.
+function buildLatencyPipeline(match, groupId) {
+  const ranks = [...LATENCY_PERCENTILES.map(getNearestRank), '$orderCount'];
+  const valueAtRank = (rank) => ({ $max: { $cond: [{ $eq: ['$rank', rank] }, '$latencySeconds', null] } });
+  
+  return [
+    { $match: match },
+    {
+      $setWindowFields: {
+        ...(groupId ? { partitionBy: groupId } : {}),
+        sortBy: { latencySeconds: 1 },
+        output: {
+          rank: { $documentNumber: {} },
+          orderCount: { $count: {} }
+        }
+      }
+    },
+    { $match: { $expr: { $in: ['$rank', ranks] } } },
+    {
+      $group: {
+        _id: groupId,
+        orderCount: { $first: '$orderCount' },
+        ...Object.fromEntries(LATENCY_PERCENTILES.map(percentile => [`p${percentile}`, valueAtRank(getNearestRank(percentile))])),
+        max: valueAtRank('$orderCount')
+      }
+    }
+  ];
+}
+
+// Helper function to shape a latency group for the response
+function summarizeLatencies(group) {
+  return {
+    orderCount: group.orderCount,
+    p50: group.p50,
+    p90: group.p90,
+    p99: group.p99,
+    max: group.max
+  };
 }
 
 // ==================== TIMELINE ANALYTICS ====================
@@ -40,7 +143,7 @@ function convertAmount(amount) {
 // Get order timeline with customizable intervals
 router.get('/timeline', async (req, res) => {
   try {
-    const { range = '24h', interval = 'hour', chainId, tokenAddress } = req.query;
+    const { range = '24h', interval = 'hour', chainId, tokenAddress, status } = req.query;
     
     if (!isValidTimeRange(range)) {
       return res.status(400).json({ 
@@ -48,36 +151,14 @@ router.get('/timeline', async (req, res) => {
       });
     }
     
-    const match = buildMatchQuery({ range, chainId, tokenAddress });
+    const match = buildMatchQuery({ range, chainId, tokenAddress, status });
     
     // Determine grouping based on interval
-    let groupId;
-    switch (interval) {
-      case 'hour':
-        groupId = {
-          year: { $year: '$timestamp' },
-          month: { $month: '$timestamp' },
-          day: { $dayOfMonth: '$timestamp' },
-          hour: { $hour: '$timestamp' }
-        };
-        break;
-      case 'day':
-        groupId = {
-          year: { $year: '$timestamp' },
-          month: { $month: '$timestamp' },
-          day: { $dayOfMonth: '$timestamp' }
-        };
-        break;
-      case 'month':
-        groupId = {
-          year: { $year: '$timestamp' },
-          month: { $month: '$timestamp' }
-        };
-        break;
-      default:
-        return res.status(400).json({ 
-          error: 'Invalid interval. Use: hour, day, or month' 
-        });
+    const groupId = getIntervalGroupId(interval);
+    if (!groupId) {
+      return res.status(400).json({ 
+        error: 'Invalid interval. Use: hour, day, or month' 
+      });
     }
     
     const timeline = await Order.aggregate([
@@ -86,22 +167,12 @@ router.get('/timeline', async (req, res) => {
         $group: {
           _id: groupId,
           orderCount: { $sum: 1 },
-          totalVolume: { 
-            $sum: { 
-              $toDouble: { 
-                $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-              } 
-            } 
-          },
+          totalVolume: { $sum: '$normalizedAmount' },
+          totalVolumeUsd: { $sum: '$usdValue' },
+          totalVolumeNgn: { $sum: '$ngnValue' },
           uniqueUsers: { $addToSet: '$userWallet' },
           uniqueTokens: { $addToSet: '$tokenAddress' },
-          avgAmount: { 
-            $avg: { 
-              $toDouble: { 
-                $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-              } 
-            } 
-          }
+          avgAmount: { $avg: '$normalizedAmount' }
         }
       },
       { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1, '_id.hour': 1 } }
@@ -109,19 +180,12 @@ router.get('/timeline', async (req, res) => {
     
     // Format timeline data
     const formattedTimeline = timeline.map(item => {
-      let timestamp;
-      if (interval === 'hour') {
-        timestamp = new Date(item._id.year, item._id.month - 1, item._id.day, item._id.hour);
-      } else if (interval === 'day') {
-        timestamp = new Date(item._id.year, item._id.month - 1, item._id.day);
-      } else {
-        timestamp = new Date(item._id.year, item._id.month - 1);
-      }
-      
       return {
-        timestamp,
+        timestamp: getBucketTimestamp(item._id, interval),
         orderCount: item.orderCount,
         totalVolume: item.totalVolume,
+        totalVolumeUsd: item.totalVolumeUsd,
+        totalVolumeNgn: item.totalVolumeNgn,
         uniqueUsers: item.uniqueUsers.length,
         uniqueTokens: item.uniqueTokens.length,
         averageAmount: item.avgAmount
@@ -131,7 +195,7 @@ router.get('/timeline', async (req, res) => {
     res.json({
       range,
       interval,
-      filters: { chainId: chainId || 'all', tokenAddress: tokenAddress || 'all' },
+      filters: { chainId: chainId || 'all', tokenAddress: tokenAddress || 'all', status: status || 'all' },
       dataPoints: formattedTimeline.length,
       timeline: formattedTimeline
     });
@@ -148,7 +212,7 @@ router.get('/timeline', async (req, res) => {
 // Get orders by token with time-based analytics
 router.get('/by-token', async (req, res) => {
   try {
-    const { range = '24h', chainId, tokenAddress } = req.query;
+    const { range = '24h', chainId, tokenAddress, status } = req.query;
     
     if (!isValidTimeRange(range)) {
       return res.status(400).json({ 
@@ -156,7 +220,7 @@ router.get('/by-token', async (req, res) => {
       });
     }
     
-    const match = buildMatchQuery({ range, chainId });
+    const match = buildMatchQuery({ range, chainId, status });
     
     // If specific token requested
     if (tokenAddress) {
@@ -172,35 +236,14 @@ router.get('/by-token', async (req, res) => {
                 chain: '$chainId'
               },
               orderCount: { $sum: 1 },
-              totalVolume: { 
-                $sum: { 
-                  $toDouble: { 
-                    $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                  } 
-                } 
-              },
+              totalVolume: { $sum: '$normalizedAmount' },
+              totalVolumeUsd: { $sum: '$usdValue' },
+              totalVolumeNgn: { $sum: '$ngnValue' },
+              totalVolumeRaw: { $sum: '$amountRaw' },
               uniqueUsers: { $addToSet: '$userWallet' },
-              avgAmount: { 
-                $avg: { 
-                  $toDouble: { 
-                    $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                  } 
-                } 
-              },
-              minAmount: { 
-                $min: { 
-                  $toDouble: { 
-                    $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                  } 
-                } 
-              },
-              maxAmount: { 
-                $max: { 
-                  $toDouble: { 
-                    $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                  } 
-                } 
-              }
+              avgAmount: { $avg: '$normalizedAmount' },
+              minAmount: { $min: '$normalizedAmount' },
+              maxAmount: { $max: '$normalizedAmount' }
             }
           }
         ]),
@@ -228,6 +271,9 @@ router.get('/by-token', async (req, res) => {
         stats: {
           orderCount: stats.orderCount,
           totalVolume: stats.totalVolume,
+          totalVolumeUsd: stats.totalVolumeUsd,
+          totalVolumeNgn: stats.totalVolumeNgn,
+          totalVolumeRaw: stats.totalVolumeRaw,
           uniqueUsers: stats.uniqueUsers.length,
           averageAmount: stats.avgAmount,
           minAmount: stats.minAmount,
@@ -236,8 +282,12 @@ router.get('/by-token', async (req, res) => {
         recentOrders: recentOrders.map(order => ({
           orderId: order.orderId,
           userWallet: order.userWallet,
-          amount: convertAmount(order.amount),
+          amount: order.normalizedAmount,
+          amountRaw: order.amount,
+          usdValue: order.usdValue,
+          ngnValue: order.ngnValue,
           timestamp: order.timestamp,
+          status: order.status,
           transactionHash: order.transactionHash
         }))
       });
@@ -252,21 +302,12 @@ router.get('/by-token', async (req, res) => {
               chain: '$chainId'
             },
             orderCount: { $sum: 1 },
-            totalVolume: { 
-              $sum: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            },
+            totalVolume: { $sum: '$normalizedAmount' },
+            totalVolumeUsd: { $sum: '$usdValue' },
+            totalVolumeNgn: { $sum: '$ngnValue' },
+            totalVolumeRaw: { $sum: '$amountRaw' },
             uniqueUsers: { $addToSet: '$userWallet' },
-            avgAmount: { 
-              $avg: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            }
+            avgAmount: { $avg: '$normalizedAmount' }
           }
         },
         { $sort: { totalVolume: -1 } }
@@ -281,6 +322,9 @@ router.get('/by-token', async (req, res) => {
           chainId: token._id.chain,
           orderCount: token.orderCount,
           totalVolume: token.totalVolume,
+          totalVolumeUsd: token.totalVolumeUsd,
+          totalVolumeNgn: token.totalVolumeNgn,
+          totalVolumeRaw: token.totalVolumeRaw,
           uniqueUsers: token.uniqueUsers.length,
           averageAmount: token.avgAmount
         }))
@@ -299,7 +343,7 @@ router.get('/by-token', async (req, res) => {
 // Get orders by chain with breakdown
 router.get('/by-chain', async (req, res) => {
   try {
-    const { range = '24h', chainId } = req.query;
+    const { range = '24h', chainId, status } = req.query;
     
     if (!isValidTimeRange(range)) {
       return res.status(400).json({ 
@@ -307,7 +351,7 @@ router.get('/by-chain', async (req, res) => {
       });
     }
     
-    const match = buildMatchQuery({ range });
+    const match = buildMatchQuery({ range, status });
     
     // If specific chain requested
     if (chainId) {
@@ -320,22 +364,12 @@ router.get('/by-chain', async (req, res) => {
             $group: {
               _id: '$chainId',
               orderCount: { $sum: 1 },
-              totalVolume: { 
-                $sum: { 
-                  $toDouble: { 
-                    $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                  } 
-                } 
-              },
+              totalVolume: { $sum: '$normalizedAmount' },
+              totalVolumeUsd: { $sum: '$usdValue' },
+              totalVolumeNgn: { $sum: '$ngnValue' },
               uniqueUsers: { $addToSet: '$userWallet' },
               uniqueTokens: { $addToSet: '$tokenAddress' },
-              avgAmount: { 
-                $avg: { 
-                  $toDouble: { 
-                    $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                  } 
-                } 
-              }
+              avgAmount: { $avg: '$normalizedAmount' }
             }
           }
         ]),
@@ -345,13 +379,10 @@ router.get('/by-chain', async (req, res) => {
             $group: {
               _id: '$tokenAddress',
               orderCount: { $sum: 1 },
-              totalVolume: { 
-                $sum: { 
-                  $toDouble: { 
-                    $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                  } 
-                } 
-              }
+              totalVolume: { $sum: '$normalizedAmount' },
+              totalVolumeUsd: { $sum: '$usdValue' },
+              totalVolumeNgn: { $sum: '$ngnValue' },
+              totalVolumeRaw: { $sum: '$amountRaw' }
             }
           },
           { $sort: { totalVolume: -1 } },
@@ -363,13 +394,9 @@ router.get('/by-chain', async (req, res) => {
             $group: {
               _id: '$userWallet',
               orderCount: { $sum: 1 },
-              totalVolume: { 
-                $sum: { 
-                  $toDouble: { 
-                    $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                  } 
-                } 
-              }
+              totalVolume: { $sum: '$normalizedAmount' },
+              totalVolumeUsd: { $sum: '$usdValue' },
+              totalVolumeNgn: { $sum: '$ngnValue' }
             }
           },
           { $sort: { totalVolume: -1 } },
@@ -396,6 +423,8 @@ router.get('/by-chain', async (req, res) => {
         stats: {
           orderCount: stats.orderCount,
           totalVolume: stats.totalVolume,
+          totalVolumeUsd: stats.totalVolumeUsd,
+          totalVolumeNgn: stats.totalVolumeNgn,
           uniqueUsers: stats.uniqueUsers.length,
           uniqueTokens: stats.uniqueTokens.length,
           averageAmount: stats.avgAmount
@@ -403,12 +432,17 @@ router.get('/by-chain', async (req, res) => {
         topTokens: tokenBreakdown.map(token => ({
           tokenAddress: token._id,
           orderCount: token.orderCount,
-          totalVolume: token.totalVolume
+          totalVolume: token.totalVolume,
+          totalVolumeUsd: token.totalVolumeUsd,
+          totalVolumeNgn: token.totalVolumeNgn,
+          totalVolumeRaw: token.totalVolumeRaw
         })),
         topUsers: topUsers.map(user => ({
           userWallet: user._id,
           orderCount: user.orderCount,
-          totalVolume: user.totalVolume
+          totalVolume: user.totalVolume,
+          totalVolumeUsd: user.totalVolumeUsd,
+          totalVolumeNgn: user.totalVolumeNgn
         }))
       });
     } else {
@@ -419,22 +453,12 @@ router.get('/by-chain', async (req, res) => {
           $group: {
             _id: '$chainId',
             orderCount: { $sum: 1 },
-            totalVolume: { 
-              $sum: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            },
+            totalVolume: { $sum: '$normalizedAmount' },
+            totalVolumeUsd: { $sum: '$usdValue' },
+            totalVolumeNgn: { $sum: '$ngnValue' },
             uniqueUsers: { $addToSet: '$userWallet' },
             uniqueTokens: { $addToSet: '$tokenAddress' },
-            avgAmount: { 
-              $avg: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            }
+            avgAmount: { $avg: '$normalizedAmount' }
           }
         },
         { $sort: { totalVolume: -1 } }
@@ -450,6 +474,8 @@ router.get('/by-chain', async (req, res) => {
             chainName: chainConfig?.name || 'Unknown',
             orderCount: chain.orderCount,
             totalVolume: chain.totalVolume,
+            totalVolumeUsd: chain.totalVolumeUsd,
+            totalVolumeNgn: chain.totalVolumeNgn,
             uniqueUsers: chain.uniqueUsers.length,
             uniqueTokens: chain.uniqueTokens.length,
             averageAmount: chain.avgAmount
@@ -471,7 +497,7 @@ router.get('/by-chain', async (req, res) => {
 router.get('/user/:userWallet', async (req, res) => {
   try {
     const { userWallet } = req.params;
-    const { range = '24h', chainId, tokenAddress } = req.query;
+    const { range = '24h', chainId, tokenAddress, status } = req.query;
     
     if (!isValidTimeRange(range)) {
       return res.status(400).json({ 
@@ -483,7 +509,8 @@ router.get('/user/:userWallet', async (req, res) => {
       range, 
       chainId, 
       tokenAddress, 
-      userWallet 
+      userWallet,
+      status
     });
     
     const [userStats, chainBreakdown, tokenBreakdown, recentOrders] = await Promise.all([
@@ -493,22 +520,12 @@ router.get('/user/:userWallet', async (req, res) => {
           $group: {
             _id: '$userWallet',
             orderCount: { $sum: 1 },
-            totalVolume: { 
-              $sum: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            },
+            totalVolume: { $sum: '$normalizedAmount' },
+            totalVolumeUsd: { $sum: '$usdValue' },
+            totalVolumeNgn: { $sum: '$ngnValue' },
             uniqueChains: { $addToSet: '$chainId' },
             uniqueTokens: { $addToSet: '$tokenAddress' },
-            avgAmount: { 
-              $avg: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            },
+            avgAmount: { $avg: '$normalizedAmount' },
             firstOrder: { $min: '$timestamp' },
             lastOrder: { $max: '$timestamp' }
           }
@@ -520,13 +537,9 @@ router.get('/user/:userWallet', async (req, res) => {
           $group: {
             _id: '$chainId',
             orderCount: { $sum: 1 },
-            totalVolume: { 
-              $sum: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            }
+            totalVolume: { $sum: '$normalizedAmount' },
+            totalVolumeUsd: { $sum: '$usdValue' },
+            totalVolumeNgn: { $sum: '$ngnValue' }
           }
         },
         { $sort: { totalVolume: -1 } }
@@ -537,13 +550,10 @@ router.get('/user/:userWallet', async (req, res) => {
           $group: {
             _id: '$tokenAddress',
             orderCount: { $sum: 1 },
-            totalVolume: { 
-              $sum: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            }
+            totalVolume: { $sum: '$normalizedAmount' },
+            totalVolumeUsd: { $sum: '$usdValue' },
+            totalVolumeNgn: { $sum: '$ngnValue' },
+            totalVolumeRaw: { $sum: '$amountRaw' }
           }
         },
         { $sort: { totalVolume: -1 } }
@@ -558,7 +568,7 @@ router.get('/user/:userWallet', async (req, res) => {
       return res.json({
         range,
         userWallet: userWallet.toLowerCase(),
-        filters: { chainId: chainId || 'all', tokenAddress: tokenAddress || 'all' },
+        filters: { chainId: chainId || 'all', tokenAddress: tokenAddress || 'all', status: status || 'all' },
         stats: null,
         message: 'No orders found for this user in the specified time range'
       });
@@ -569,10 +579,12 @@ router.get('/user/:userWallet', async (req, res) => {
     res.json({
       range,
       userWallet: userWallet.toLowerCase(),
-      filters: { chainId: chainId || 'all', tokenAddress: tokenAddress || 'all' },
+      filters: { chainId: chainId || 'all', tokenAddress: tokenAddress || 'all', status: status || 'all' },
       stats: {
         orderCount: stats.orderCount,
         totalVolume: stats.totalVolume,
+        totalVolumeUsd: stats.totalVolumeUsd,
+        totalVolumeNgn: stats.totalVolumeNgn,
         uniqueChains: stats.uniqueChains.length,
         uniqueTokens: stats.uniqueTokens.length,
         averageAmount: stats.avgAmount,
@@ -585,20 +597,29 @@ router.get('/user/:userWallet', async (req, res) => {
           chainId: chain._id,
           chainName: chainConfig?.name || 'Unknown',
           orderCount: chain.orderCount,
-          totalVolume: chain.totalVolume
+          totalVolume: chain.totalVolume,
+          totalVolumeUsd: chain.totalVolumeUsd,
+          totalVolumeNgn: chain.totalVolumeNgn
         };
       }),
       tokenBreakdown: tokenBreakdown.map(token => ({
         tokenAddress: token._id,
         orderCount: token.orderCount,
-        totalVolume: token.totalVolume
+        totalVolume: token.totalVolume,
+        totalVolumeUsd: token.totalVolumeUsd,
+        totalVolumeNgn: token.totalVolumeNgn,
+        totalVolumeRaw: token.totalVolumeRaw
       })),
       recentOrders: recentOrders.map(order => ({
         orderId: order.orderId,
         chainId: order.chainId,
         tokenAddress: order.tokenAddress,
-        amount: convertAmount(order.amount),
+        amount: order.normalizedAmount,
+        amountRaw: order.amount,
+        usdValue: order.usdValue,
+        ngnValue: order.ngnValue,
         timestamp: order.timestamp,
+        status: order.status,
         transactionHash: order.transactionHash
       }))
     });
@@ -610,12 +631,78 @@ router.get('/user/:userWallet', async (req, res) => {
   }
 });
 
+// ==================== LATENCY ANALYTICS ====================
+
+// Get order fulfilment latency percentiles by chain, token and time bucket
+router.get('/latency', async (req, res) => {
+  try {
+    const { range = '24h', interval = 'day', chainId, tokenAddress, status } = req.query;
+    
+    if (!isValidTimeRange(range)) {
+      return res.status(400).json({ 
+        error: 'Invalid time range. Use: 12h, 24h, day, month, year or formats like 7d, 30d' 
+      });
+    }
+    
+    const bucketId = getIntervalGroupId(interval);
+    if (!bucketId) {
+      return res.status(400).json({ 
+        error: 'Invalid interval. Use: hour, day, or month' 
+      });
+    }
+    
+    const match = buildMatchQuery({ range, chainId, tokenAddress, status });
+    match.latencySeconds = { $ne: null };
+    
+    // Ranking a large range may exceed the in-memory sort limit
+    const [overall, byChain, byToken, timeline] = await Promise.all([
+      Order.aggregate(buildLatencyPipeline(match, null)).allowDiskUse(true),
+      Order.aggregate(buildLatencyPipeline(match, '$chainId')).allowDiskUse(true),
+      Order.aggregate(buildLatencyPipeline(match, { token: '$tokenAddress', chain: '$chainId' })).allowDiskUse(true),
+      Order.aggregate([
+        ...buildLatencyPipeline(match, bucketId),
+        { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1, '_id.hour': 1 } }
+      ]).allowDiskUse(true)
+    ]);
+    
+    res.json({
+      range,
+      interval,
+      unit: 'seconds',
+      filters: { chainId: chainId || 'all', tokenAddress: tokenAddress || 'all', status: status || 'all' },
+      overall: overall.length > 0 ? summarizeLatencies(overall[0]) : null,
+      byChain: byChain.map(chain => {
+        const chainConfig = Object.values(CONTRACTS).find(c => c.chainId === chain._id);
+        return {
+          chainId: chain._id,
+          chainName: chainConfig?.name || 'Unknown',
+          ...summarizeLatencies(chain)
+        };
+      }),
+      byToken: byToken.map(token => ({
+        tokenAddress: token._id.token,
+        chainId: token._id.chain,
+        ...summarizeLatencies(token)
+      })),
+      timeline: timeline.map(item => ({
+        timestamp: getBucketTimestamp(item._id, interval),
+        ...summarizeLatencies(item)
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error fetching latency analytics:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch latency analytics' 
+    });
+  }
+});
+
 // ==================== COMBINED ANALYTICS ====================
 
 // Get comprehensive summary across all dimensions
 router.get('/summary', async (req, res) => {
   try {
-    const { range = '24h', chainId, tokenAddress } = req.query;
+    const { range = '24h', chainId, tokenAddress, status } = req.query;
     
     if (!isValidTimeRange(range)) {
       return res.status(400).json({ 
@@ -623,7 +710,7 @@ router.get('/summary', async (req, res) => {
       });
     }
     
-    const match = buildMatchQuery({ range, chainId, tokenAddress });
+    const match = buildMatchQuery({ range, chainId, tokenAddress, status });
     
     const [overallStats, chainStats, tokenStats, topUsers] = await Promise.all([
       Order.aggregate([
@@ -632,23 +719,13 @@ router.get('/summary', async (req, res) => {
           $group: {
             _id: null,
             totalOrders: { $sum: 1 },
-            totalVolume: { 
-              $sum: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            },
+            totalVolume: { $sum: '$normalizedAmount' },
+            totalVolumeUsd: { $sum: '$usdValue' },
+            totalVolumeNgn: { $sum: '$ngnValue' },
             uniqueUsers: { $addToSet: '$userWallet' },
             uniqueTokens: { $addToSet: '$tokenAddress' },
             uniqueChains: { $addToSet: '$chainId' },
-            avgAmount: { 
-              $avg: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            }
+            avgAmount: { $avg: '$normalizedAmount' }
           }
         }
       ]),
@@ -658,13 +735,9 @@ router.get('/summary', async (req, res) => {
           $group: {
             _id: '$chainId',
             orderCount: { $sum: 1 },
-            totalVolume: { 
-              $sum: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            }
+            totalVolume: { $sum: '$normalizedAmount' },
+            totalVolumeUsd: { $sum: '$usdValue' },
+            totalVolumeNgn: { $sum: '$ngnValue' }
           }
         },
         { $sort: { totalVolume: -1 } }
@@ -675,13 +748,10 @@ router.get('/summary', async (req, res) => {
           $group: {
             _id: '$tokenAddress',
             orderCount: { $sum: 1 },
-            totalVolume: { 
-              $sum: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            }
+            totalVolume: { $sum: '$normalizedAmount' },
+            totalVolumeUsd: { $sum: '$usdValue' },
+            totalVolumeNgn: { $sum: '$ngnValue' },
+            totalVolumeRaw: { $sum: '$amountRaw' }
           }
         },
         { $sort: { totalVolume: -1 } },
@@ -693,13 +763,9 @@ router.get('/summary', async (req, res) => {
           $group: {
             _id: '$userWallet',
             orderCount: { $sum: 1 },
-            totalVolume: { 
-              $sum: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            }
+            totalVolume: { $sum: '$normalizedAmount' },
+            totalVolumeUsd: { $sum: '$usdValue' },
+            totalVolumeNgn: { $sum: '$ngnValue' }
           }
         },
         { $sort: { totalVolume: -1 } },
@@ -710,6 +776,8 @@ router.get('/summary', async (req, res) => {
     const stats = overallStats[0] || {
       totalOrders: 0,
       totalVolume: 0,
+      totalVolumeUsd: 0,
+      totalVolumeNgn: 0,
       uniqueUsers: [],
       uniqueTokens: [],
       uniqueChains: [],
@@ -718,10 +786,12 @@ router.get('/summary', async (req, res) => {
     
     res.json({
       range,
-      filters: { chainId: chainId || 'all', tokenAddress: tokenAddress || 'all' },
+      filters: { chainId: chainId || 'all', tokenAddress: tokenAddress || 'all', status: status || 'all' },
       summary: {
         totalOrders: stats.totalOrders,
         totalVolume: stats.totalVolume,
+        totalVolumeUsd: stats.totalVolumeUsd,
+        totalVolumeNgn: stats.totalVolumeNgn,
         uniqueUsers: stats.uniqueUsers.length,
         uniqueTokens: stats.uniqueTokens.length,
         uniqueChains: stats.uniqueChains.length,
@@ -734,20 +804,27 @@ router.get('/summary', async (req, res) => {
           chainName: chainConfig?.name || 'Unknown',
           orderCount: chain.orderCount,
           totalVolume: chain.totalVolume,
-          percentageOfTotal: stats.totalVolume > 0 ? (chain.totalVolume / stats.totalVolume * 100).toFixed(2) : 0
+          totalVolumeUsd: chain.totalVolumeUsd,
+          totalVolumeNgn: chain.totalVolumeNgn,
+          percentageOfTotal: getPercentageOfTotal(chain.totalVolume, stats.totalVolume)
         };
       }),
       topTokens: tokenStats.map(token => ({
         tokenAddress: token._id,
         orderCount: token.orderCount,
         totalVolume: token.totalVolume,
-        percentageOfTotal: stats.totalVolume > 0 ? (token.totalVolume / stats.totalVolume * 100).toFixed(2) : 0
+        totalVolumeUsd: token.totalVolumeUsd,
+        totalVolumeNgn: token.totalVolumeNgn,
+        totalVolumeRaw: token.totalVolumeRaw,
+        percentageOfTotal: getPercentageOfTotal(token.totalVolume, stats.totalVolume)
       })),
       topUsers: topUsers.map(user => ({
         userWallet: user._id,
         orderCount: user.orderCount,
         totalVolume: user.totalVolume,
-        percentageOfTotal: stats.totalVolume > 0 ? (user.totalVolume / stats.totalVolume * 100).toFixed(2) : 0
+        totalVolumeUsd: user.totalVolumeUsd,
+        totalVolumeNgn: user.totalVolumeNgn,
+        percentageOfTotal: getPercentageOfTotal(user.totalVolume, stats.totalVolume)
       }))
     });
   } catch (error) {
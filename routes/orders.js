@@ -1,7 +1,17 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
+const { authMiddleware } = require('../middleware/auth');
 const { getStartTime, isValidTimeRange } = require('../utils/timeUtils');
+const { amountJsonReplacer } = require('../utils/amountUtils');
+
+// Order stream: how often each connection checks for new orders, and the keep-alive interval
+const STREAM_POLL_INTERVAL_MS = (parseInt(process.env.ORDER_STREAM_POLL_SECONDS) || 2) * 1000;
+const STREAM_HEARTBEAT_MS = 15 * 1000;
+const STREAM_BATCH_SIZE = 100;
+
+const MIN_OBJECT_ID = new mongoose.Types.ObjectId('000000000000000000000000');
 
 // IMPORTANT: Specific routes MUST come before parameterized routes like /:orderId
 // Otherwise Express will match /:orderId first and treat 'user', 'token', 'analytics', 'recent' as order IDs
@@ -14,6 +24,7 @@ router.get('/', async (req, res) => {
       user, 
       token,
       chainId,
+      status,
       page = 1, 
       limit = 50,
       sortBy = 'timestamp',
@@ -50,6 +61,17 @@ router.get('/', async (req, res) => {
       query.tokenAddress = token.toLowerCase();
     }
     
+    // Add status filter
+    if (status) {
+      if (!Order.isValidStatus(status)) {
+        return res.status(400).json({ 
+          error: 'Invalid status. Use: pending, successful, or failed' 
+        });
+      }
+      
+      query.status = status;
+    }
+    
     // Pagination
     const pageNum = Math.max(1, parseInt(page));
     const limitNum = Math.min(100, Math.max(1, parseInt(limit))); // Max 100 per page
@@ -86,7 +108,8 @@ router.get('/', async (req, res) => {
         chainId: chainId ? parseInt(chainId) : null,
         range: range || null,
         user: user || null,
-        token: token || null
+        token: token || null,
+        status: status || null
       },
       sort: {
         field: sortField,
@@ -193,22 +216,10 @@ router.get('/analytics/summary', async (req, res) => {
           $group: {
             _id: null,
             totalOrders: { $sum: 1 },
-            totalVolume: { 
-              $sum: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            },
+            totalVolume: { $sum: '$normalizedAmount' },
             uniqueUsers: { $addToSet: '$userWallet' },
             uniqueTokens: { $addToSet: '$tokenAddress' },
-            avgAmount: { 
-              $avg: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            }
+            avgAmount: { $avg: '$normalizedAmount' }
           }
         }
       ]),
@@ -220,13 +231,8 @@ router.get('/analytics/summary', async (req, res) => {
           $group: {
             _id: '$tokenAddress',
             count: { $sum: 1 },
-            volume: { 
-              $sum: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            }
+            volume: { $sum: '$normalizedAmount' },
+            volumeRaw: { $sum: '$amountRaw' }
           }
         },
         { $sort: { volume: -1 } },
@@ -240,13 +246,7 @@ router.get('/analytics/summary', async (req, res) => {
           $group: {
             _id: '$userWallet',
             count: { $sum: 1 },
-            volume: { 
-              $sum: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            }
+            volume: { $sum: '$normalizedAmount' }
           }
         },
         { $sort: { volume: -1 } },
@@ -265,13 +265,7 @@ router.get('/analytics/summary', async (req, res) => {
               hour: { $hour: '$timestamp' }
             },
             orders: { $sum: 1 },
-            volume: { 
-              $sum: { 
-                $toDouble: { 
-                  $divide: [{ $toLong: "$amount" }, 1000000000000000000] 
-                } 
-              } 
-            }
+            volume: { $sum: '$normalizedAmount' }
           }
         },
         { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1, '_id.hour': 1 } }
@@ -298,7 +292,8 @@ router.get('/analytics/summary', async (req, res) => {
       topTokens: topTokens.map(token => ({
         address: token._id,
         orders: token.count,
-        volume: token.volume
+        volume: token.volume,
+        volumeRaw: token.volumeRaw
       })),
       topUsers: topUsers.map(user => ({
         address: user._id,
@@ -319,6 +314,154 @@ router.get('/analytics/summary', async (req, res) => {
   }
 });
 
+// Helper to encode the order stream cursors as an SSE event id:
+// "<createdAt ms>-<_id>.<statusUpdatedAt ms>-<_id>" (order cursor, then status cursor)
+function encodeStreamCursors(orderCursor, statusCursor) {
+  return `${orderCursor.time.getTime()}-${orderCursor.id}.${statusCursor.time.getTime()}-${statusCursor.id}`;
+}
+
+// Helper to parse a Last-Event-ID back into { orderCursor, statusCursor }, null if it is malformed.
+// Ids from before status events had ids only hold the order cursor; the status cursor is then
+// rebuilt from it, replaying every change since that order was indexed.
+function decodeStreamCursors(eventId) {
+  const match = /^(\d+)-([0-9a-f]{24})(?:\.(\d+)-([0-9a-f]{24}))?$/i.exec(String(eventId).trim());
+  if (!match) return null;
+
+  const orderCursor = { time: new Date(parseInt(match[1])), id: new mongoose.Types.ObjectId(match[2]) };
+  const statusCursor = match[3]
+    ? { time: new Date(parseInt(match[3])), id: new mongoose.Types.ObjectId(match[4]) }
+    : { time: orderCursor.time, id: MIN_OBJECT_ID };
+  return { orderCursor, statusCursor };
+}
+
+// Helper to write one SSE event
+function writeStreamEvent(res, event, data, id = null) {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data, amountJsonReplacer)}\n\n`);
+}
+
+// Stream newly indexed orders and status changes as server-sent events (MUST be before /:orderId)
+router.get('/stream', authMiddleware, async (req, res) => {
+  const { chainId, token, user } = req.query;
+  const query = {};
+  
+  if (chainId) {
+    const parsedChainId = parseInt(chainId);
+    if (isNaN(parsedChainId)) {
+      return res.status(400).json({ error: 'Invalid chainId' });
+    }
+    query.chainId = parsedChainId;
+  }
+  
+  if (token) {
+    if (typeof token !== 'string') {
+      return res.status(400).json({ error: 'Invalid token' });
+    }
+    query.tokenAddress = token.toLowerCase();
+  }
+  
+  if (user) {
+    if (typeof user !== 'string') {
+      return res.status(400).json({ error: 'Invalid user' });
+    }
+    query.userWallet = user.toLowerCase();
+  }
+  
+  // Browsers resend the id of the last event they saw when they reconnect
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  let orderCursor = null;
+  let statusCursor = null;
+  
+  if (lastEventId) {
+    const cursors = decodeStreamCursors(lastEventId);
+    if (!cursors) {
+      return res.status(400).json({ error: 'Invalid Last-Event-ID' });
+    }
+    ({ orderCursor, statusCursor } = cursors);
+  }
+  
+  try {
+    // A fresh connection starts after the newest stored order and status change
+    if (!orderCursor) {
+      const [latestOrder, latestChange] = await Promise.all([
+        Order.findOne(query).sort({ createdAt: -1, _id: -1 }).select('createdAt').lean(),
+        Order.findOne({ ...query, statusUpdatedAt: { $ne: null } }).sort({ statusUpdatedAt: -1, _id: -1 }).select('statusUpdatedAt').lean()
+      ]);
+      orderCursor = latestOrder
+        ? { time: latestOrder.createdAt, id: latestOrder._id }
+        : { time: new Date(0), id: MIN_OBJECT_ID };
+      statusCursor = latestChange
+        ? { time: latestChange.statusUpdatedAt, id: latestChange._id }
+        : { time: new Date(0), id: MIN_OBJECT_ID };
+    }
+  } catch (error) {
+    console.error('❌ Error opening order stream:', error);
+    return res.status(500).json({ 
+      error: 'Failed to open order stream' 
+    });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_POLL_INTERVAL_MS * 2}\n\n`);
+  
+  console.log(`📡 Order stream opened by ${req.admin.email}`);
+  
+  let closed = false;
+  let pollTimer = null;
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  
+  const poll = async () => {
+    let fullBatch = false;
+    
+    try {
+      const orders = await Order.findAfterCursor('createdAt', orderCursor, query, STREAM_BATCH_SIZE);
+      for (const order of orders) {
+        orderCursor = { time: order.createdAt, id: order._id };
+        writeStreamEvent(res, 'order', order, encodeStreamCursors(orderCursor, statusCursor));
+      }
+      
+      const changes = await Order.findAfterCursor('statusUpdatedAt', statusCursor, query, STREAM_BATCH_SIZE);
+      for (const order of changes) {
+        statusCursor = { time: order.statusUpdatedAt, id: order._id };
+        writeStreamEvent(res, 'status', {
+          chainId: order.chainId,
+          orderId: order.orderId,
+          status: order.status,
+          processedAt: order.processedAt,
+          processedTxnHash: order.processedTxnHash,
+          latencySeconds: order.latencySeconds,
+          statusUpdatedAt: order.statusUpdatedAt
+        }, encodeStreamCursors(orderCursor, statusCursor));
+      }
+      
+      fullBatch = orders.length === STREAM_BATCH_SIZE || changes.length === STREAM_BATCH_SIZE;
+    } catch (error) {
+      console.error('❌ Error polling order stream:', error);
+    }
+    
+    // Keep draining without waiting while a backlog is being replayed
+    if (!closed) {
+      pollTimer = setTimeout(poll, fullBatch ? 0 : STREAM_POLL_INTERVAL_MS);
+    }
+  };
+  
+  req.on('close', () => {
+    closed = true;
+    clearTimeout(pollTimer);
+    clearInterval(heartbeat);
+    console.log(`📡 Order stream closed by ${req.admin.email}`);
+  });
+  
+  poll();
+});
+
 // Get recent orders (MUST be before /:orderId)
 router.get('/recent/:count?', async (req, res) => {
   try {
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
+const { ethers } = require('ethers');
 const contractService = require('../services/contractService');
+const { getRpcErrorResponse } = require('../services/rpcErrors');
 const ContractMetrics = require('../models/ContractMetrics');
 const { getStartTime, isValidTimeRange } = require('../utils/timeUtils');
 
@@ -86,6 +88,10 @@ router.get('/', async (req, res) => {
     }
   } catch (error) {
     console.error('❌ Error fetching stats:', error);
+    const rpcError = getRpcErrorResponse(error);
+    if (rpcError) {
+      return res.status(rpcError.statusCode).json(rpcError.body);
+    }
     res.status(500).json({ 
       error: 'Failed to fetch contract stats',
       message: error.message
@@ -93,8 +99,8 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get stats for a specific chain by chainId
-router.get('/:chainId', async (req, res) => {
+// Get stats for a specific chain by chainId (numeric only, so /latest, /summary etc. still match below)
+router.get('/:chainId(\\d+)', async (req, res) => {
   try {
     const chainId = parseInt(req.params.chainId);
     
@@ -109,6 +115,10 @@ router.get('/:chainId', async (req, res) => {
     res.json(stats);
   } catch (error) {
     console.error(`❌ Error fetching stats for chain ${req.params.chainId}:`, error);
+    const rpcError = getRpcErrorResponse(error);
+    if (rpcError) {
+      return res.status(rpcError.statusCode).json(rpcError.body);
+    }
     res.status(500).json({ 
       error: 'Failed to fetch contract stats for chain',
       message: error.message,
@@ -117,6 +127,75 @@ router.get('/:chainId', async (req, res) => {
   }
 });
 
+// Get supported tokens with their on-chain details for a chain
+router.get('/:chainId(\\d+)/tokens', async (req, res) => {
+  try {
+    const chainId = parseInt(req.params.chainId);
+    
+    if (!contractService.isInitialized()) {
+      return res.status(503).json({ 
+        error: 'Contract service not initialized' 
+      });
+    }
+    
+    const tokens = await contractService.getAllTokensWithDetails(chainId);
+    res.json({
+      chainId,
+      tokens,
+      count: tokens.length
+    });
+  } catch (error) {
+    console.error(`❌ Error fetching tokens for chain ${req.params.chainId}:`, error);
+    const rpcError = getRpcErrorResponse(error);
+    if (rpcError) {
+      return res.status(rpcError.statusCode).json(rpcError.body);
+    }
+    res.status(500).json({ 
+      error: 'Failed to fetch tokens for chain',
+      message: error.message,
+      chainId: req.params.chainId
+    });
+  }
+});
+
+// Get on-chain details for a single token
+router.get('/:chainId(\\d+)/tokens/:tokenAddress', async (req, res) => {
+  try {
+    const chainId = parseInt(req.params.chainId);
+    const { tokenAddress } = req.params;
+    
+    if (!ethers.isAddress(tokenAddress)) {
+      return res.status(400).json({ 
+        error: 'Invalid token address',
+        tokenAddress
+      });
+    }
+    
+    if (!contractService.isInitialized()) {
+      return res.status(503).json({ 
+        error: 'Contract service not initialized' 
+      });
+    }
+    
+    const details = await contractService.getTokenDetails(chainId, tokenAddress);
+    res.json({
+      chainId,
+      ...details
+    });
+  } catch (error) {
+    console.error(`❌ Error fetching token ${req.params.tokenAddress} on chain ${req.params.chainId}:`, error);
+    const rpcError = getRpcErrorResponse(error);
+    if (rpcError) {
+      return res.status(rpcError.statusCode).json(rpcError.body);
+    }
+    res.status(500).json({ 
+      error: 'Failed to fetch token details',
+      message: error.message,
+      chainId: req.params.chainId
+    });
+  }
+});
+
 // Get latest stored metrics
 router.get('/latest', async (req, res) => {
   try {
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const contractService = require('../services/contractService');
 const priceService = require('../services/priceService');
+const tokenRegistryService = require('../services/tokenRegistryService');
 const TotalVolume = require('../models/TotalVolume');
 
 /**
@@ -20,21 +21,20 @@ async function calculateTotalVolume() {
 
     console.log(`📊 Found ${allTokens.length} tokens across all chains`);
 
-    // Get unique token names/symbols for price fetching
-    const tokenNames = allTokens
-      .filter(token => token.isActive && token.totalVolume !== '0')
-      .map(token => token.name);
-
-    // Get CoinGecko IDs for all tokens
-    const coinGeckoIds = tokenNames
-      .map(name => {
-        const symbol = priceService.getTokenSymbol(name);
-        return symbol ? priceService.getCoinGeckoId(symbol) : null;
-      })
-      .filter(id => id !== null);
+    // Get price source ids for all tokens from the token registry
+    const priceSourceIds = [];
+    for (const token of allTokens) {
+      if (!token.isActive || token.totalVolume === '0') {
+        continue;
+      }
+      const registered = await tokenRegistryService.getToken(token.chainId, token.tokenAddress);
+      if (registered?.priceSourceId) {
+        priceSourceIds.push(registered.priceSourceId);
+      }
+    }
 
     // Fetch all prices at once
-    const prices = await priceService.fetchPrices(coinGeckoIds);
+    const prices = await priceService.fetchPrices(priceSourceIds);
     
     // Calculate volume for each token
     let totalUSD = 0;
@@ -46,12 +46,11 @@ async function calculateTotalVolume() {
         continue;
       }
 
-      const symbol = priceService.getTokenSymbol(token.name);
-      const coinGeckoId = symbol ? priceService.getCoinGeckoId(symbol) : null;
-      const priceData = coinGeckoId ? prices[coinGeckoId] : null;
+      const registered = await tokenRegistryService.getToken(token.chainId, token.tokenAddress);
+      const priceData = registered?.priceSourceId ? prices[registered.priceSourceId] : null;
 
       if (!priceData) {
-        console.warn(`⚠️  No price data for token: ${token.name} (${token.tokenAddress})`);
+        console.warn(`⚠️  No price data for token: ${token.name} (${token.tokenAddress})${registered ? '' : ', not in the token registry'}`);
         continue;
       }
 
@@ -70,12 +69,15 @@ async function calculateTotalVolume() {
           chainId: token.chainId,
           tokenAddress: token.tokenAddress.toLowerCase(),
           tokenName: token.name,
-          tokenSymbol: symbol || 'UNKNOWN',
+          tokenSymbol: registered.symbol || 'UNKNOWN',
           totalVolume: token.totalVolume,
           volumeUSD: converted.usd,
           volumeNGN: converted.ngn,
           priceUSD: priceData.usd,
-          priceNGN: priceData.ngn
+          priceNGN: priceData.ngn,
+          priceProvider: priceData.provider,
+          priceUpdatedAt: priceData.updatedAt,
+          priceAgeSeconds: priceData.ageSeconds
         });
       }
     }
@@ -106,11 +108,8 @@ router.get('/total', async (req, res) => {
       });
     }
 
+    // Historical snapshots are recorded by the worker's volume sync
     const volumeData = await calculateTotalVolume();
-    
-    // Save to database for historical tracking
-    const totalVolume = new TotalVolume(volumeData);
-    await totalVolume.save();
 
     res.json({
       success: true,
@@ -159,10 +158,8 @@ router.get('/chart', async (req, res) => {
     const volumeHistory = await TotalVolume.getHistory(startTime);
 
     if (volumeHistory.length === 0) {
-      // No historical data, calculate current
+      // No historical data yet, calculate current
       const currentVolume = await calculateTotalVolume();
-      const totalVolume = new TotalVolume(currentVolume);
-      await totalVolume.save();
       
       return res.json({
         success: true,
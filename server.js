@@ -3,7 +3,6 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const cron = require('node-cron');
 require('dotenv').config();
 
 // Import routes
@@ -15,12 +14,15 @@ const orderAnalyticsRoutes = require('./routes/orderAnalytics');
 
 // Import services
 const contractService = require('./services/contractService');
-const { syncContractMetrics, syncOrderHistory, syncTotalVolume } = require('./jobs/cronJobs');
-const runMigration = require('./migrations/fix-syncstatus-index');
-const ensureChainId = require('./migrations/ensure-chainid');
+const { interactiveRpcPriority } = require('./middleware/rpcPriority');
+const { connectDatabase } = require('./config/database');
+const { amountJsonReplacer } = require('./utils/amountUtils');
 
 const app = express();
 
+// Decimal128 amounts go out as display numbers, "...Raw" amounts as exact integer strings
+app.set('json replacer', amountJsonReplacer);
+
 // Trust proxy for Render deployment
 if (process.env.RENDER) {
   app.set('trust proxy', 1);
@@ -60,7 +62,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID']
 };
 
 app.use(cors(corsOptions));
@@ -159,34 +161,13 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// Connect to MongoDB with auto-reconnect
-console.log('🔗 Connecting to MongoDB...');
-mongoose.connect(process.env.MONGODB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-  serverSelectionTimeoutMS: 5000,
-  socketTimeoutMS: 45000,
-  maxPoolSize: 10,
-  minPoolSize: 2
-})
-  .then(async () => {
+// Connect to MongoDB with auto-reconnect. Syncs, migrations and cron jobs run in the
+// worker process (worker.js); the API only reads and queues jobs for the worker.
+connectDatabase()
+  .then(() => {
     console.log('✅ MongoDB connected successfully');
     
-    // Run database migrations on startup (safe to run multiple times)
-    console.log('🔧 Running database migrations...');
-    try {
-      await runMigration(mongoose.connection); // Pass existing connection
-      console.log('✅ SyncStatus index migration completed');
-      
-      // Ensure all orders have chainId (pass existing connection)
-      await ensureChainId(mongoose.connection);
-      console.log('✅ ChainId migration completed');
-    } catch (error) {
-      console.warn('⚠️  Migration warning:', error.message);
-      console.log('📝 Continuing with startup - migration will retry on next restart');
-    }
-    
-    // Initialize contract service after DB connection and migration
+    // Contract reads for the stats routes
     contractService.initialize();
   })
   .catch(err => {
@@ -194,19 +175,6 @@ mongoose.connect(process.env.MONGODB_URI, {
     process.exit(1);
   });
 
-// MongoDB connection event handlers
-mongoose.connection.on('connected', () => {
-  console.log('✅ Mongoose connected to MongoDB');
-});
-
-mongoose.connection.on('error', (err) => {
-  console.error('❌ Mongoose connection error:', err);
-});
-
-mongoose.connection.on('disconnected', () => {
-  console.warn('⚠️  Mongoose disconnected from MongoDB');
-});
-
 // Graceful shutdown
 process.on('SIGINT', async () => {
   await mongoose.connection.close();
@@ -215,10 +183,10 @@ process.on('SIGINT', async () => {
 });
 
 // Routes
-app.use('/api/stats', statsRoutes);
+app.use('/api/stats', interactiveRpcPriority, statsRoutes);
 app.use('/api/orders', ordersRoutes);
 app.use('/api/admin', adminRoutes);
-app.use('/api/volume', volumeRoutes);
+app.use('/api/volume', interactiveRpcPriority, volumeRoutes);
 app.use('/api/order-analytics', orderAnalyticsRoutes);
 
 // Root endpoint
@@ -254,76 +222,6 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-// Helper to check if MongoDB is connected
-const isMongoConnected = () => {
-  return mongoose.connection.readyState === 1;
-};
-
-// Start cron jobs only in production or when explicitly enabled
-if (process.env.NODE_ENV === 'production' || process.env.ENABLE_CRON === 'true') {
-  console.log('🕐 Setting up cron jobs...');
-
-  // Every 30 minutes: sync contract metrics
-  cron.schedule('*/30 * * * *', () => {
-    if (!isMongoConnected()) {
-      console.warn('⚠️  Skipping metrics sync - MongoDB not connected');
-      return;
-    }
-    console.log('⏰ Running 30-minute metrics sync...');
-    syncContractMetrics().catch(error => {
-      console.error('❌ Cron metrics sync error:', error);
-    });
-  });
-
-  // Every 30 minutes: sync order history
-  cron.schedule('*/30 * * * *', () => {
-    if (!isMongoConnected()) {
-      console.warn('⚠️  Skipping order history sync - MongoDB not connected');
-      return;
-    }
-    console.log('⏰ Running 30-minute order history sync...');
-    syncOrderHistory().catch(error => {
-      console.error('❌ Cron order sync error:', error);
-    });
-  });
-
-  // Every 3 hours: sync total volume
-  cron.schedule('0 */3 * * *', () => {
-    if (!isMongoConnected()) {
-      console.warn('⚠️  Skipping volume sync - MongoDB not connected');
-      return;
-    }
-    console.log('⏰ Running 3-hour total volume sync...');
-    syncTotalVolume().catch(error => {
-      console.error('❌ Cron volume sync error:', error);
-    });
-  });
-
-  // Run initial sync after 2 minutes (only in production) - wait for connection to stabilize
-  if (process.env.NODE_ENV === 'production') {
-    setTimeout(() => {
-      if (!isMongoConnected()) {
-        console.warn('⚠️  Skipping initial sync - MongoDB not connected yet');
-        return;
-      }
-      console.log('🚀 Running initial sync...');
-      syncContractMetrics().catch(console.error);
-      setTimeout(() => {
-        if (isMongoConnected()) {
-          syncOrderHistory().catch(console.error);
-        }
-      }, 5000); // Stagger the syncs
-      setTimeout(() => {
-        if (isMongoConnected()) {
-          syncTotalVolume().catch(console.error);
-        }
-      }, 10000); // Stagger more
-    }, 120000); // Increased to 2 minutes for connection stability
-  }
-} else {
-  console.log('⚠️  Cron jobs disabled (development mode)');
-}
-
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Server running on port ${PORT}`);
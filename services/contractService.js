@@ -1,14 +1,26 @@
 const { ethers } = require('ethers');
-const { CONTRACT_ABI, CONTRACTS, getEnabledChains, getContractByChainId } = require('../config/contract');
+const { CONTRACTS, CONTRACT_ABI, ERC20_ABI, ORDER_STATUS_ENUM, getEnabledChains, getContractByChainId } = require('../config/contract');
+const BlockHeader = require('../models/BlockHeader');
+const RpcEndpointPool = require('./rpcEndpointPool');
+const { RpcScheduler } = require('./rpcRateLimiter');
+const { BatchNotSupportedError, ChainNotSupportedError, classifyRpcError } = require('./rpcErrors');
+const { recordRpcAttempt, recordRpcError } = require('./rpcUsage');
+
+const BLOCK_BATCH_SIZE = 50; // Blocks per JSON-RPC batch request
+
+// Live mode: head poll interval when no WebSocket endpoint is configured, and how far back a poll looks
+const LIVE_POLL_INTERVAL_MS = (parseInt(process.env.LIVE_POLL_INTERVAL_SECONDS) || 4) * 1000;
+const LIVE_MAX_BLOCK_RANGE = 500;
+
+const contractInterface = new ethers.Interface(CONTRACT_ABI);
+const LIVE_EVENT_TOPICS = ['OrderCreated', 'OrderSuccessful', 'OrderFailed']
+  .map(name => contractInterface.getEvent(name).topicHash);
 
 class ContractService {
   constructor() {
-    this.chains = new Map(); // Map of chainId -> { provider, contract, config }
+    this.chains = new Map(); // Map of chainId -> { pool, scheduler, config, batchSupported }
+    this.liveSubscriptions = new Map(); // Map of chainId -> live mode state
     this.initialized = false;
-    this.lastRpcCall = 0;
-    this.minTimeBetweenRpcCalls = 2000; // 2 seconds between RPC calls for Alchemy free tier
-    this.rpcCallQueue = []; // Queue to enforce sequential RPC calls
-    this.isProcessingQueue = false;
   }
 
   initialize() {
@@ -18,7 +30,7 @@ class ContractService {
       const enabledChains = getEnabledChains();
       
       if (enabledChains.length === 0) {
-        throw new Error('No RPC URLs configured. Please set at least one of: BASE_RPC_URL, LISK_RPC_URL, CELO_RPC_URL');
+        throw new Error('No RPC URLs configured. Please set at least one of: BASE_RPC_URL(S), LISK_RPC_URL(S), CELO_RPC_URL(S)');
       }
 
       // Initialize each enabled chain
@@ -26,18 +38,21 @@ class ContractService {
         try {
           console.log(`🔗 Initializing ${chain.name} (chainId: ${chain.chainId})...`);
           
-          const provider = new ethers.JsonRpcProvider(chain.rpcUrl);
-          const contract = new ethers.Contract(chain.address, CONTRACT_ABI, provider);
+          const pool = new RpcEndpointPool(chain);
+          const scheduler = new RpcScheduler({ rps: chain.rpcRequestsPerSecond, burst: chain.rpcBurst });
           
           this.chains.set(chain.chainId, {
-            provider,
-            contract,
-            config: chain
+            pool,
+            scheduler,
+            config: chain,
+            batchSupported: true // Flipped off the first time an endpoint rejects a batch request
           });
           
           console.log(`✅ ${chain.name} initialized successfully`);
           console.log(`   Contract: ${chain.address}`);
           console.log(`   Explorer: ${chain.explorer}`);
+          console.log(`   RPC endpoints: ${pool.endpoints.map(endpoint => `${endpoint.label} (weight ${endpoint.weight})`).join(', ')}`);
+          console.log(`   RPC rate limit: ${chain.rpcRequestsPerSecond} req/s, burst ${chain.rpcBurst}`);
         } catch (error) {
           console.error(`❌ Failed to initialize ${chain.name}:`, error.message);
           // Continue with other chains
@@ -59,13 +74,15 @@ class ContractService {
   getChain(chainId) {
     const chain = this.chains.get(chainId);
     if (!chain) {
-      throw new Error(`Chain ${chainId} not initialized or not supported`);
+      throw new ChainNotSupportedError(chainId);
     }
     return chain;
   }
 
-  getEnabledChainIds() {
-    return Array.from(this.chains.keys());
+  // Enabled chains, optionally limited to `scope` (a list of chainIds; empty means all)
+  getEnabledChainIds(scope = null) {
+    const chainIds = Array.from(this.chains.keys());
+    return scope && scope.length > 0 ? chainIds.filter(chainId => scope.includes(chainId)) : chainIds;
   }
 
   getAllChains() {
@@ -78,42 +95,106 @@ class ContractService {
   }
 
   /**
-   * Apply rate limiting to prevent RPC call throttling
-   * Much more aggressive to avoid "over rate limit" errors on Alchemy free tier
+   * Execute RPC call against the chain's endpoint pool. `fn` receives the
+   * selected endpoint ({ provider, contract }); the call waits for a token
+   * from the chain and endpoint rate limiters, fails over to the next
+   * endpoint on transient errors, and once every endpoint has failed it is
+   * retried with backoff. Errors are thrown as typed errors from rpcErrors;
+   * contract reverts are thrown immediately without retrying.
    */
-  async applyRpcRateLimit() {
-    const now = Date.now();
-    const timeSinceLastCall = now - this.lastRpcCall;
+  async executeRpcCall(chainId, fn, retryCount = 0, maxRetries = 3) {
+    const { pool, scheduler, config } = this.getChain(chainId);
+    const tried = new Set();
+    let lastError;
     
-    if (timeSinceLastCall < this.minTimeBetweenRpcCalls) {
-      const waitTime = this.minTimeBetweenRpcCalls - timeSinceLastCall;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+    while (tried.size < pool.size) {
+      const endpoint = pool.select(tried);
+      tried.add(endpoint);
+      
+      await scheduler.acquire(endpoint.bucket);
+      recordRpcAttempt(retryCount > 0 || tried.size > 1);
+      const startedAt = Date.now();
+      
+      try {
+        const result = await fn(endpoint);
+        pool.recordSuccess(endpoint, Date.now() - startedAt);
+        return result;
+      } catch (error) {
+        const rpcError = classifyRpcError(error, chainId);
+        recordRpcError();
+        
+        // A revert or bad argument is the same on every endpoint and says nothing about its health
+        if (!rpcError.retryable) {
+          pool.recordSuccess(endpoint, Date.now() - startedAt);
+          throw rpcError;
+        }
+        
+        pool.recordFailure(endpoint, error, Date.now() - startedAt);
+        lastError = rpcError;
+        
+        if (tried.size < pool.size) {
+          console.warn(`🔀 ${config.name} RPC ${endpoint.label} failed (${rpcError.message}), failing over...`);
+        }
+      }
     }
     
-    this.lastRpcCall = Date.now();
+    if (retryCount < maxRetries) {
+      const backoffMs = 3000 * Math.pow(2, retryCount); // 3s, 6s, 12s
+      const reason = lastError.code === 'RPC_RATE_LIMITED' ? 'Rate limit hit' : 'RPC unavailable';
+      console.log(`⏳ ${reason}, retrying in ${backoffMs}ms (attempt ${retryCount + 1}/${maxRetries})...`);
+      await new Promise(resolve => setTimeout(resolve, backoffMs));
+      return this.executeRpcCall(chainId, fn, retryCount + 1, maxRetries);
+    }
+    throw lastError;
   }
 
   /**
-   * Execute RPC call with retry logic for rate limit errors
+   * Probe every endpoint's head block to refresh latency, error rate and block lag
    */
-  async executeRpcCall(fn, retryCount = 0, maxRetries = 3) {
-    try {
-      await this.applyRpcRateLimit();
-      return await fn();
-    } catch (error) {
-      // Check if this is a rate limit error
-      const isRateLimit = error.message?.includes('over rate limit') || 
-                          error.code === 'CALL_EXCEPTION' ||
-                          error.reason?.includes('rate');
-      
-      if (isRateLimit && retryCount < maxRetries) {
-        const backoffMs = 3000 * Math.pow(2, retryCount); // 3s, 6s, 12s
-        console.log(`⏳ Rate limit hit, retrying in ${backoffMs}ms (attempt ${retryCount + 1}/${maxRetries})...`);
-        await new Promise(resolve => setTimeout(resolve, backoffMs));
-        return this.executeRpcCall(fn, retryCount + 1, maxRetries);
+  async checkRpcHealth(chainId = null) {
+    if (!this.initialized) {
+      throw new Error('Contract service not initialized');
+    }
+
+    const chainIds = chainId ? [chainId] : this.getEnabledChainIds();
+
+    for (const id of chainIds) {
+      const { pool, scheduler, config } = this.getChain(id);
+
+      for (const endpoint of pool.endpoints) {
+        await scheduler.acquire(endpoint.bucket);
+        const startedAt = Date.now();
+
+        try {
+          const blockNumber = await endpoint.provider.getBlockNumber();
+          pool.recordSuccess(endpoint, Date.now() - startedAt);
+          pool.recordBlock(endpoint, blockNumber);
+        } catch (error) {
+          pool.recordFailure(endpoint, error, Date.now() - startedAt);
+          console.warn(`⚠️  ${config.name} RPC ${endpoint.label} health probe failed:`, error.shortMessage || error.message);
+        }
       }
-      throw error;
     }
+
+    return this.getRpcStats(chainId);
+  }
+
+  /**
+   * Per-endpoint health stats and rate limiter queue metrics for each chain
+   */
+  getRpcStats(chainId = null) {
+    const chainIds = chainId ? [chainId] : this.getEnabledChainIds();
+
+    return chainIds.map(id => {
+      const { pool, scheduler, config } = this.getChain(id);
+      return {
+        chainId: id,
+        chainName: config.name,
+        bestBlock: pool.getBestBlock() || null,
+        rateLimit: scheduler.getStats(),
+        endpoints: pool.getStats()
+      };
+    });
   }
 
   async getContractMetrics(chainId) {
@@ -121,16 +202,16 @@ class ContractService {
       throw new Error('Contract service not initialized');
     }
 
-    const { contract, config } = this.getChain(chainId);
+    const { config } = this.getChain(chainId);
 
     try {
       console.log(`📊 Fetching contract metrics for ${config.name} (chainId: ${chainId})...`);
       
       // Make RPC calls sequentially instead of parallel to avoid rate limiting
-      const orderCount = await this.executeRpcCall(() => contract.getOrderCounter());
-      const totalVolume = await this.executeRpcCall(() => contract.getTotalVolume());
-      const successfulOrders = await this.executeRpcCall(() => contract.getTotalSuccessfulOrders());
-      const failedOrders = await this.executeRpcCall(() => contract.getTotalFailedOrders());
+      const orderCount = await this.executeRpcCall(chainId, ({ contract }) => contract.getOrderCounter());
+      const totalVolume = await this.executeRpcCall(chainId, ({ contract }) => contract.getTotalVolume());
+      const successfulOrders = await this.executeRpcCall(chainId, ({ contract }) => contract.getTotalSuccessfulOrders());
+      const failedOrders = await this.executeRpcCall(chainId, ({ contract }) => contract.getTotalFailedOrders());
 
       const metrics = {
         chainId,
@@ -176,12 +257,209 @@ class ContractService {
     return allMetrics;
   }
 
+  /**
+   * Query a contract event over a block range, in batches to ensure complete
+   * results on slower RPC providers (especially Celo)
+   */
+  async queryEventsInBatches(chainId, eventName, fromBlock, toBlock) {
+    const { config } = this.getChain(chainId);
+
+    const events = [];
+    const batchSize = 5000; // Reduced from potential larger ranges for reliability
+    const rangeSize = toBlock - fromBlock;
+
+    if (rangeSize > batchSize) {
+      console.log(`📦 Large block range (${rangeSize} blocks), fetching ${eventName} in batches of ${batchSize}...`);
+
+      for (let start = fromBlock; start <= toBlock; start += batchSize) {
+        const end = Math.min(start + batchSize - 1, toBlock);
+
+        try {
+          const batchEvents = await this.executeRpcCall(
+            chainId,
+            ({ contract }) => contract.queryFilter(eventName, start, end)
+          );
+
+          console.log(`📦 Batch [${start}-${end}]: Found ${batchEvents.length} ${eventName} events`);
+          events.push(...batchEvents);
+
+          // Additional delay between batches for Celo (slower RPC)
+          if (config.chainId === 42220) { // Celo
+            await new Promise(resolve => setTimeout(resolve, 200));
+          }
+        } catch (error) {
+          console.error(`⚠️  Error fetching batch [${start}-${end}]:`, error.message);
+          // Fail the whole range so the caller can queue it for retry instead of losing events
+          throw error;
+        }
+      }
+    } else {
+      // For small ranges, fetch all at once
+      const result = await this.executeRpcCall(
+        chainId,
+        ({ contract }) => contract.queryFilter(eventName, fromBlock, toBlock)
+      );
+      events.push(...result);
+      console.log(`📦 Found ${events.length} ${eventName} events in single query`);
+    }
+
+    return events;
+  }
+
+  /**
+   * Resolve block timestamps for a list of events from the block header cache.
+   * Throws if any block cannot be fetched so no event is silently dropped.
+   */
+  async getEventTimestamps(chainId, events) {
+    const expectedHashes = new Map(events.map(event => [event.blockNumber, event.blockHash.toLowerCase()]));
+    const headers = await this.getBlockHeaders(chainId, [...expectedHashes.keys()], { expectedHashes });
+    const blockTimestamps = new Map();
+
+    for (const [blockNumber, header] of headers) {
+      if (!header) {
+        throw new Error(`Block ${blockNumber} not available on chainId ${chainId}`);
+      }
+      blockTimestamps.set(blockNumber, header.timestamp);
+    }
+
+    return blockTimestamps;
+  }
+
+  /**
+   * Get block headers ({ number, hash, timestamp }) as a Map of block number -> header.
+   * Served from the Mongo cache where possible; `fresh` skips the cache (reorg checks),
+   * and cached entries that don't match `expectedHashes` are refetched. Fetched headers
+   * are written back to the cache. Blocks the chain doesn't have map to null.
+   */
+  async getBlockHeaders(chainId, blockNumbers, { fresh = false, expectedHashes = null } = {}) {
+    const numbers = [...new Set(blockNumbers)];
+    let cached = new Map();
+
+    if (!fresh && numbers.length > 0) {
+      try {
+        cached = await BlockHeader.findMany(chainId, numbers);
+      } catch (error) {
+        console.warn(`⚠️  Block header cache unavailable for chainId ${chainId}:`, error.message);
+      }
+    }
+
+    // A cached hash that differs from the event's block hash is from a reorged block
+    const missing = numbers.filter(number => {
+      const header = cached.get(number);
+      return !header || (expectedHashes?.has(number) && expectedHashes.get(number) !== header.hash);
+    });
+
+    const fetched = await this.fetchBlockHeaders(chainId, missing);
+    const found = fetched.filter(Boolean);
+
+    if (found.length > 0) {
+      await BlockHeader.upsertMany(chainId, found).catch(error => {
+        console.warn(`⚠️  Failed to cache ${found.length} block header(s) for chainId ${chainId}:`, error.message);
+      });
+    }
+
+    const headers = new Map();
+    for (const number of numbers) {
+      headers.set(number, cached.get(number) || null);
+    }
+    missing.forEach((number, index) => headers.set(number, fetched[index]));
+
+    return headers;
+  }
+
+  /**
+   * Fetch block headers from the chain, BLOCK_BATCH_SIZE per JSON-RPC batch request.
+   * Falls back to one request per block if the provider rejects batches.
+   * Returns headers in the order of `blockNumbers`, null for unavailable blocks.
+   */
+  async fetchBlockHeaders(chainId, blockNumbers) {
+    const chain = this.getChain(chainId);
+    const headers = [];
+
+    const toHeader = block => block ? {
+      number: Number(block.number),
+      hash: block.hash.toLowerCase(),
+      timestamp: new Date(Number(block.timestamp) * 1000)
+    } : null;
+
+    for (let i = 0; i < blockNumbers.length; i += BLOCK_BATCH_SIZE) {
+      const chunk = blockNumbers.slice(i, i + BLOCK_BATCH_SIZE);
+
+      if (chain.batchSupported && chunk.length > 1) {
+        try {
+          const blocks = await this.executeRpcCall(chainId, ({ request }) => this.sendBlockBatch(request, chunk));
+          headers.push(...blocks.map(toHeader));
+          continue;
+        } catch (error) {
+          if (!(error instanceof BatchNotSupportedError) && !error.message?.includes('batch')) {
+            throw error;
+          }
+          chain.batchSupported = false;
+          console.warn(`⚠️  ${chain.config.name} RPC does not support batch requests, fetching blocks one by one`);
+        }
+      }
+
+      for (const number of chunk) {
+        const block = await this.executeRpcCall(chainId, ({ provider }) => provider.getBlock(number));
+        headers.push(toHeader(block));
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * Send one JSON-RPC batch of eth_getBlockByNumber requests over a copy of an
+   * endpoint's FetchRequest, results in request order
+   */
+  async sendBlockBatch(request, blockNumbers) {
+    const payloads = blockNumbers.map((number, index) => ({
+      jsonrpc: '2.0',
+      id: index + 1,
+      method: 'eth_getBlockByNumber',
+      params: [ethers.toQuantity(number), false]
+    }));
+
+    const batchRequest = request.clone();
+    batchRequest.body = JSON.stringify(payloads);
+    batchRequest.setHeader('content-type', 'application/json');
+
+    const response = await batchRequest.send();
+
+    // Endpoints without batch support reject the request (4xx other than rate limits) or answer with a single object
+    if (response.statusCode >= 400 && response.statusCode < 500 && response.statusCode !== 429) {
+      throw new BatchNotSupportedError({ cause: new Error(`HTTP ${response.statusCode} ${response.statusMessage}`) });
+    }
+    response.assertOk();
+
+    const responses = response.hasBody() ? response.bodyJson : null;
+    if (!Array.isArray(responses)) {
+      throw new BatchNotSupportedError();
+    }
+    const byId = new Map(responses.map(item => [item.id, item]));
+
+    return payloads.map(payload => {
+      const item = byId.get(payload.id);
+      if (!item) {
+        throw new BatchNotSupportedError();
+      }
+      if (item.error) {
+        // Shaped like an ethers error so rate limits and outages are classified as usual
+        const error = new Error(item.error.message || 'Block request failed');
+        error.code = 'SERVER_ERROR';
+        error.info = { error: item.error };
+        throw error;
+      }
+      return item.result;
+    });
+  }
+
   async getOrderCreatedEvents(chainId, fromBlock = 0, toBlock = 'latest') {
     if (!this.initialized) {
       throw new Error('Contract service not initialized');
     }
 
-    const { contract, provider, config } = this.getChain(chainId);
+    const { config } = this.getChain(chainId);
 
     try {
       console.log(`🔍 Fetching OrderCreated events for ${config.name} from block ${fromBlock} to ${toBlock}...`);
@@ -189,83 +467,13 @@ class ContractService {
       // Get actual block number if using 'latest'
       let actualToBlock = toBlock;
       if (toBlock === 'latest') {
-        actualToBlock = await this.executeRpcCall(() => provider.getBlockNumber());
+        actualToBlock = await this.getCurrentBlockNumber(chainId);
       }
       
-      // Fetch events in smaller batches to ensure complete results (especially on Celo)
-      const events = [];
-      const batchSize = 5000; // Reduced from potential larger ranges for reliability
-      const rangeSize = actualToBlock - fromBlock;
-      
-      if (rangeSize > batchSize) {
-        console.log(`📦 Large block range (${rangeSize} blocks), fetching in batches of ${batchSize}...`);
-        
-        for (let start = fromBlock; start <= actualToBlock; start += batchSize) {
-          const end = Math.min(start + batchSize - 1, actualToBlock);
-          
-          try {
-            const filter = contract.filters.OrderCreated();
-            const batchEvents = await this.executeRpcCall(
-              () => contract.queryFilter(filter, start, end)
-            );
-            
-            console.log(`📦 Batch [${start}-${end}]: Found ${batchEvents.length} events`);
-            events.push(...batchEvents);
-            
-            // Additional delay between batches for Celo (slower RPC)
-            if (config.chainId === 42220) { // Celo
-              await new Promise(resolve => setTimeout(resolve, 200));
-            }
-          } catch (error) {
-            console.error(`⚠️  Error fetching batch [${start}-${end}]:`, error.message);
-            // Continue with next batch instead of throwing
-          }
-        }
-      } else {
-        // For small ranges, fetch all at once
-        const filter = contract.filters.OrderCreated();
-        const result = await this.executeRpcCall(
-          () => contract.queryFilter(filter, fromBlock, actualToBlock)
-        );
-        events.push(...result);
-        console.log(`📦 Found ${events.length} OrderCreated events in single query`);
-      }
+      const events = await this.queryEventsInBatches(chainId, 'OrderCreated', fromBlock, actualToBlock);
+      const blockTimestamps = await this.getEventTimestamps(chainId, events);
       
-      // Create a cache of block timestamps to avoid fetching each block
-      const blockTimestampCache = new Map();
-      
-      const orders = [];
-      for (const event of events) {
-        try {
-          const blockNum = event.blockNumber;
-          let timestamp;
-          
-          // Check cache first
-          if (blockTimestampCache.has(blockNum)) {
-            timestamp = blockTimestampCache.get(blockNum);
-          } else {
-            // Fetch block timestamp with retry logic
-            const block = await this.executeRpcCall(() => event.getBlock());
-            timestamp = new Date(block.timestamp * 1000);
-            blockTimestampCache.set(blockNum, timestamp);
-          }
-          
-          orders.push({
-            chainId,
-            orderId: event.args.orderId.toString(),
-            requestId: event.args.requestId,
-            userWallet: event.args.user.toLowerCase(),
-            tokenAddress: event.args.tokenAddress.toLowerCase(),
-            amount: event.args.amount.toString(),
-            txnHash: event.transactionHash,
-            blockNumber: event.blockNumber,
-            timestamp: timestamp
-          });
-        } catch (error) {
-          console.error(`❌ Error processing event ${event.transactionHash}:`, error);
-          // Continue with next event
-        }
-      }
+      const orders = events.map(event => this.toOrderData(chainId, event, blockTimestamps.get(event.blockNumber)));
 
       console.log(`✅ Successfully processed ${orders.length} orders for ${config.name} (fetched ${events.length} events)`);
 
@@ -276,15 +484,306 @@ class ContractService {
     }
   }
 
+  /**
+   * Fetch OrderSuccessful and OrderFailed events and map them to status updates
+   */
+  async getOrderStatusEvents(chainId, fromBlock = 0, toBlock = 'latest') {
+    if (!this.initialized) {
+      throw new Error('Contract service not initialized');
+    }
+
+    const { config } = this.getChain(chainId);
+
+    try {
+      console.log(`🔍 Fetching order outcome events for ${config.name} from block ${fromBlock} to ${toBlock}...`);
+
+      let actualToBlock = toBlock;
+      if (toBlock === 'latest') {
+        actualToBlock = await this.getCurrentBlockNumber(chainId);
+      }
+
+      const successfulEvents = await this.queryEventsInBatches(chainId, 'OrderSuccessful', fromBlock, actualToBlock);
+      const failedEvents = await this.queryEventsInBatches(chainId, 'OrderFailed', fromBlock, actualToBlock);
+      const blockTimestamps = await this.getEventTimestamps(chainId, [...successfulEvents, ...failedEvents]);
+
+      const toStatusUpdate = (event, status) => this.toStatusUpdate(chainId, event, status, blockTimestamps.get(event.blockNumber));
+
+      const updates = [
+        ...successfulEvents.map(event => toStatusUpdate(event, 'successful')),
+        ...failedEvents.map(event => toStatusUpdate(event, 'failed'))
+      ].sort((a, b) => a.processedBlockNumber - b.processedBlockNumber);
+
+      console.log(`✅ Found ${successfulEvents.length} successful and ${failedEvents.length} failed orders for ${config.name}`);
+
+      return updates;
+    } catch (error) {
+      console.error(`❌ Error fetching order outcome events for ${config.name}:`, error);
+      throw error;
+    }
+  }
+
+  // Helper to map an OrderCreated event to the fields stored on an order
+  toOrderData(chainId, event, timestamp) {
+    return {
+      chainId,
+      orderId: event.args.orderId.toString(),
+      requestId: event.args.requestId,
+      userWallet: event.args.user.toLowerCase(),
+      tokenAddress: event.args.tokenAddress.toLowerCase(),
+      amount: event.args.amount.toString(),
+      txnHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      blockHash: event.blockHash,
+      timestamp
+    };
+  }
+
+  // Helper to map an OrderSuccessful / OrderFailed event to a status update
+  toStatusUpdate(chainId, event, status, timestamp) {
+    return {
+      chainId,
+      orderId: event.args.orderId.toString(),
+      status,
+      processedBlockNumber: event.blockNumber,
+      processedTxnHash: event.transactionHash,
+      processedBlockHash: event.blockHash,
+      processedAt: timestamp || null
+    };
+  }
+
+  /**
+   * Start live mode for a chain: OrderCreated, OrderSuccessful and OrderFailed logs
+   * are passed to `onEvents({ orders, statusUpdates })` as soon as they appear at the
+   * head. Logs come from an eth_subscribe over the chain's WebSocket endpoint when one
+   * is configured, otherwise from polling eth_getLogs; a dropped socket falls back to
+   * polling. Nothing is confirmed, so callers must treat the events as provisional.
+   */
+  startLiveMode(chainId, onEvents) {
+    if (!this.initialized) {
+      throw new Error('Contract service not initialized');
+    }
+
+    if (this.liveSubscriptions.has(chainId)) {
+      return;
+    }
+
+    const { config } = this.getChain(chainId);
+    const live = {
+      onEvents,
+      lastBlock: null, // Highest block whose logs have been handed over
+      queue: Promise.resolve(),
+      wsProvider: null,
+      wsOpened: false,
+      pollTimer: null,
+      stopped: false
+    };
+    this.liveSubscriptions.set(chainId, live);
+
+    if (config.wsUrl) {
+      try {
+        this.subscribeLiveLogs(chainId, live);
+        return;
+      } catch (error) {
+        console.warn(`⚠️  ${config.name} live WebSocket could not be opened (${error.message}), polling the head instead`);
+      }
+    }
+
+    this.startLivePolling(chainId, live);
+  }
+
+  stopLiveMode(chainId = null) {
+    const chainIds = chainId ? [chainId] : Array.from(this.liveSubscriptions.keys());
+
+    for (const id of chainIds) {
+      const live = this.liveSubscriptions.get(id);
+      if (!live) continue;
+
+      live.stopped = true;
+      clearTimeout(live.pollTimer);
+      if (live.wsProvider && live.wsOpened) {
+        live.wsProvider.destroy().catch(() => {});
+      }
+      live.wsProvider = null;
+      this.liveSubscriptions.delete(id);
+    }
+  }
+
+  // Helper to subscribe to the order logs over the chain's WebSocket endpoint
+  subscribeLiveLogs(chainId, live) {
+    const { config } = this.getChain(chainId);
+    const network = ethers.Network.from(config.chainId);
+    const wsProvider = new ethers.WebSocketProvider(config.wsUrl, network, { staticNetwork: network });
+    live.wsProvider = wsProvider;
+    live.wsOpened = false;
+
+    // ethers does not reconnect a dropped socket, so keep going by polling the head
+    const fallBack = (reason) => {
+      if (live.stopped || live.wsProvider !== wsProvider) return;
+      console.warn(`⚠️  ${config.name} live WebSocket ${reason}, falling back to head polling`);
+      live.wsProvider = null;
+      // Destroying a provider that never connected rejects its queued eth_subscribe unhandled
+      if (live.wsOpened) {
+        wsProvider.destroy().catch(() => {});
+      }
+      this.startLivePolling(chainId, live);
+    };
+
+    wsProvider.websocket.addEventListener('open', () => { live.wsOpened = true; });
+    wsProvider.websocket.addEventListener('close', () => fallBack('closed'));
+    wsProvider.websocket.addEventListener('error', () => fallBack('failed'));
+
+    wsProvider.on({ address: config.address, topics: [LIVE_EVENT_TOPICS] }, (log) => {
+      live.lastBlock = Math.max(live.lastBlock || 0, log.blockNumber);
+      this.enqueueLiveLogs(chainId, live, [log]);
+    }).catch(error => fallBack(`subscription failed (${error.message})`));
+
+    console.log(`📡 ${config.name} live mode subscribed to order logs over WebSocket`);
+  }
+
+  // Helper to poll eth_getLogs against the head on a timer
+  startLivePolling(chainId, live) {
+    const { config } = this.getChain(chainId);
+
+    const poll = async () => {
+      try {
+        await this.pollLiveLogs(chainId, live);
+      } catch (error) {
+        console.warn(`⚠️  ${config.name} live poll failed:`, error.message);
+      }
+      if (!live.stopped) {
+        live.pollTimer = setTimeout(poll, LIVE_POLL_INTERVAL_MS);
+      }
+    };
+
+    console.log(`📡 ${config.name} live mode polling the head every ${LIVE_POLL_INTERVAL_MS / 1000}s`);
+    poll();
+  }
+
+  /**
+   * Fetch order logs from the block after the last one handed over up to the head.
+   * Never looks back more than LIVE_MAX_BLOCK_RANGE blocks; older blocks are left to the batch sync.
+   */
+  async pollLiveLogs(chainId, live) {
+    const { pool, config } = this.getChain(chainId);
+
+    const head = await this.executeRpcCall(chainId, async (endpoint) => {
+      const blockNumber = await endpoint.provider.getBlockNumber();
+      pool.recordBlock(endpoint, blockNumber);
+      return blockNumber;
+    });
+
+    const fromBlock = live.lastBlock === null
+      ? head
+      : Math.max(live.lastBlock + 1, head - LIVE_MAX_BLOCK_RANGE + 1);
+
+    if (fromBlock > head) {
+      return;
+    }
+
+    const logs = await this.executeRpcCall(chainId, ({ provider }) => provider.getLogs({
+      address: config.address,
+      topics: [LIVE_EVENT_TOPICS],
+      fromBlock,
+      toBlock: head
+    }));
+
+    live.lastBlock = head;
+    await this.enqueueLiveLogs(chainId, live, logs);
+  }
+
+  // Helper to hand logs over one batch at a time, so an outcome is never written before its order
+  enqueueLiveLogs(chainId, live, logs) {
+    live.queue = live.queue
+      .then(() => this.dispatchLiveLogs(chainId, live, logs))
+      .catch(error => {
+        console.error(`❌ Live mode failed to process logs on chainId ${chainId}:`, error.message);
+      });
+    return live.queue;
+  }
+
+  async dispatchLiveLogs(chainId, live, logs) {
+    const events = [];
+
+    for (const log of logs) {
+      // Logs dropped by a reorg are re-sent with removed = true
+      if (log.removed) continue;
+
+      const parsed = contractInterface.parseLog(log);
+      if (!parsed) continue;
+
+      events.push({
+        name: parsed.name,
+        args: parsed.args,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash
+      });
+    }
+
+    if (events.length === 0 || live.stopped) {
+      return;
+    }
+
+    const blockTimestamps = await this.getEventTimestamps(chainId, events);
+    const orders = [];
+    const statusUpdates = [];
+
+    for (const event of events) {
+      const timestamp = blockTimestamps.get(event.blockNumber);
+      if (event.name === 'OrderCreated') {
+        orders.push(this.toOrderData(chainId, event, timestamp));
+      } else {
+        statusUpdates.push(this.toStatusUpdate(chainId, event, event.name === 'OrderSuccessful' ? 'successful' : 'failed', timestamp));
+      }
+    }
+
+    await live.onEvents({ orders, statusUpdates });
+  }
+
+  /**
+   * Read a single order struct directly from the contract
+   */
+  async getOrder(chainId, orderId) {
+    if (!this.initialized) {
+      throw new Error('Contract service not initialized');
+    }
+
+    const { config } = this.getChain(chainId);
+
+    try {
+      const order = await this.executeRpcCall(chainId, ({ contract }) => contract.getOrder(orderId));
+      const processedTimestamp = Number(order.processedTimestamp);
+
+      return {
+        chainId,
+        orderId: order.orderId.toString(),
+        requestId: order.requestId,
+        userWallet: order.user.toLowerCase(),
+        tokenAddress: order.tokenAddress.toLowerCase(),
+        amount: order.amount.toString(),
+        timestamp: new Date(Number(order.timestamp) * 1000),
+        processedTimestamp: processedTimestamp > 0 ? new Date(processedTimestamp * 1000) : null,
+        status: ORDER_STATUS_ENUM[Number(order.status)] || 'pending'
+      };
+    } catch (error) {
+      console.error(`❌ Error fetching order ${orderId} on ${config.name}:`, error);
+      throw error;
+    }
+  }
+
   async getCurrentBlockNumber(chainId) {
     if (!this.initialized) {
       throw new Error('Contract service not initialized');
     }
 
-    const { provider, config } = this.getChain(chainId);
+    const { pool, config } = this.getChain(chainId);
     
     try {
-      const blockNumber = await this.executeRpcCall(() => provider.getBlockNumber());
+      const blockNumber = await this.executeRpcCall(chainId, async (endpoint) => {
+        const head = await endpoint.provider.getBlockNumber();
+        pool.recordBlock(endpoint, head);
+        return head;
+      });
       console.log(`📊 Current block number for ${config.name}: ${blockNumber}`);
       return blockNumber;
     } catch (error) {
@@ -293,16 +792,39 @@ class ContractService {
     }
   }
 
+  /**
+   * Fetch the canonical hash for each block number, null if the block is not available.
+   * Always reads the chain (never the cache) and refreshes the cache with the result.
+   */
+  async getBlockHashes(chainId, blockNumbers) {
+    if (!this.initialized) {
+      throw new Error('Contract service not initialized');
+    }
+
+    const headers = await this.getBlockHeaders(chainId, blockNumbers, { fresh: true });
+    const hashes = new Map();
+
+    for (const [blockNumber, header] of headers) {
+      hashes.set(blockNumber, header ? header.hash : null);
+    }
+
+    return hashes;
+  }
+
   async getBlockTimestamp(chainId, blockNumber) {
     if (!this.initialized) {
       throw new Error('Contract service not initialized');
     }
 
-    const { provider, config } = this.getChain(chainId);
+    const { config } = this.getChain(chainId);
     
     try {
-      const block = await provider.getBlock(blockNumber);
-      return new Date(block.timestamp * 1000);
+      const headers = await this.getBlockHeaders(chainId, [blockNumber]);
+      const header = headers.get(blockNumber);
+      if (!header) {
+        throw new Error(`Block ${blockNumber} not available`);
+      }
+      return header.timestamp;
     } catch (error) {
       console.error(`❌ Error fetching block ${blockNumber} timestamp for ${config.name}:`, error);
       throw error;
@@ -314,12 +836,12 @@ class ContractService {
       throw new Error('Contract service not initialized');
     }
 
-    const { contract, config } = this.getChain(chainId);
+    const { config } = this.getChain(chainId);
 
     try {
       console.log(`🪙 Fetching supported tokens for ${config.name}...`);
       
-      const tokenAddresses = await this.executeRpcCall(() => contract.getSupportedTokens());
+      const tokenAddresses = await this.executeRpcCall(chainId, ({ contract }) => contract.getSupportedTokens());
       console.log(`✅ Found ${tokenAddresses.length} supported tokens on ${config.name}`);
       return tokenAddresses;
     } catch (error) {
@@ -333,10 +855,10 @@ class ContractService {
       throw new Error('Contract service not initialized');
     }
 
-    const { contract, config } = this.getChain(chainId);
+    const { config } = this.getChain(chainId);
 
     try {
-      const details = await this.executeRpcCall(() => contract.getTokenDetails(tokenAddress));
+      const details = await this.executeRpcCall(chainId, ({ contract }) => contract.getTokenDetails(tokenAddress));
       
       return {
         tokenAddress: details.tokenAddress,
@@ -354,6 +876,30 @@ class ContractService {
     }
   }
 
+  /**
+   * Read decimals() and symbol() from the token's own ERC-20 contract.
+   * symbol() is optional in ERC-20, so it comes back null when the token has none.
+   */
+  async getErc20Metadata(chainId, tokenAddress) {
+    if (!this.initialized) {
+      throw new Error('Contract service not initialized');
+    }
+
+    const { config } = this.getChain(chainId);
+
+    try {
+      return await this.executeRpcCall(chainId, async ({ provider }) => {
+        const token = new ethers.Contract(tokenAddress, ERC20_ABI, provider);
+        const decimals = await token.decimals();
+        const symbol = await token.symbol().catch(() => null);
+        return { decimals: Number(decimals), symbol };
+      });
+    } catch (error) {
+      console.error(`❌ Error fetching ERC-20 metadata for token ${tokenAddress} on ${config.name}:`, error);
+      throw error;
+    }
+  }
+
   async getAllTokensWithDetails(chainId) {
     if (!this.initialized) {
       throw new Error('Contract service not initialized');
@@ -0,0 +1,103 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/JobLock');
+
+const LEASE_TTL_MS = (parseInt(process.env.JOB_LOCK_TTL_SECONDS) || 120) * 1000;
+const HEARTBEAT_INTERVAL_MS = LEASE_TTL_MS / 3; // Renew well before the lease runs out
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// The lease expired and was taken over while the job was still running
+class JobLockLostError extends Error {
+  constructor(name) {
+    super(`Lost job lock ${name}, stopping before writing progress another instance may own`);
+    this.name = this.constructor.name;
+    this.lockName = name;
+  }
+}
+
+/**
+ * A held job lease. The heartbeat keeps renewing it for as long as the job
+ * runs; if the process dies the lease simply expires after LEASE_TTL_MS.
+ */
+class JobLease {
+  constructor(name, owner) {
+    this.name = name;
+    this.owner = owner;
+    this.lost = false;
+    this.heartbeat = setInterval(() => this.renew(), HEARTBEAT_INTERVAL_MS);
+    // Never keep the process alive just to renew a lease
+    this.heartbeat.unref();
+  }
+
+  async renew() {
+    try {
+      const renewed = await JobLock.renew(this.name, this.owner, LEASE_TTL_MS);
+      if (!renewed) {
+        this.lost = true;
+        clearInterval(this.heartbeat);
+        console.warn(`⚠️  Lost job lock ${this.name}, another instance may now be running it`);
+      }
+    } catch (error) {
+      // Try again on the next beat; the lease is still valid until it expires
+      console.error(`❌ Failed to renew job lock ${this.name}:`, error.message);
+    }
+  }
+
+  /**
+   * Renew the lease now and throw a JobLockLostError if another instance owns it,
+   * so a job can stop before writing cursors or checkpoints
+   */
+  async ensureHeld() {
+    if (!this.lost) {
+      await this.renew();
+    }
+    if (this.lost) {
+      throw new JobLockLostError(this.name);
+    }
+  }
+
+  async release() {
+    clearInterval(this.heartbeat);
+
+    try {
+      await JobLock.release(this.name, this.owner);
+    } catch (error) {
+      // The lease expires on its own
+      console.error(`❌ Failed to release job lock ${this.name}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Take the named lease, or resolve null if another run holds it
+ */
+async function acquireJobLock(name) {
+  const owner = `${INSTANCE_ID}:${crypto.randomBytes(4).toString('hex')}`;
+  const lock = await JobLock.acquire(name, owner, LEASE_TTL_MS);
+  return lock ? new JobLease(name, owner) : null;
+}
+
+function isJobLockHeld(name) {
+  return JobLock.isHeld(name);
+}
+
+// Leases currently held, for the admin status page
+async function getActiveJobLocks() {
+  const locks = await JobLock.find({ expiresAt: { $gt: new Date() } }).sort({ name: 1 });
+
+  return locks.map(lock => ({
+    name: lock.name,
+    owner: lock.owner,
+    acquiredAt: lock.acquiredAt,
+    heartbeatAt: lock.heartbeatAt,
+    expiresAt: lock.expiresAt
+  }));
+}
+
+module.exports = {
+  JobLockLostError,
+  acquireJobLock,
+  isJobLockHeld,
+  getActiveJobLocks
+};
@@ -0,0 +1,248 @@
+const priceService = require('./priceService');
+const { createPriceHistoryProvider } = require('./priceProviders');
+const tokenRegistryService = require('./tokenRegistryService');
+const PriceSnapshot = require('../models/PriceSnapshot');
+const Order = require('../models/Order');
+const { toDisplayAmount } = require('../utils/amountUtils');
+
+// Orders valued per bulkWrite when backfilling
+const BACKFILL_BATCH_SIZE = 200;
+
+// Span of order history fetched per historical price request
+const HISTORY_CHUNK_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Price history for valuing orders at order time. Snapshots of the USD/NGN
+ * prices from fetchPrices are stored on a schedule, and each order is priced
+ * from the snapshot captured closest to its timestamp, if one is close enough.
+ * Orders placed before the first snapshot are covered by snapshots backfilled
+ * from historical prices.
+ */
+class PriceHistoryService {
+  constructor() {
+    this.historyProvider = createPriceHistoryProvider();
+  }
+
+  /**
+   * Store a snapshot of the current prices of every tracked token.
+   * Returns the number of new snapshots.
+   */
+  async captureSnapshot() {
+    const priceSourceIds = await tokenRegistryService.getPriceSourceIds();
+    if (priceSourceIds.length === 0) {
+      console.log('⚠️  No registered token has a price source id, no snapshot stored');
+      return 0;
+    }
+
+    const prices = await priceService.fetchPrices(priceSourceIds);
+
+    // Stamp with the capture time: static and fixture prices keep the same updatedAt for the life of the process
+    const capturedAt = new Date();
+    const operations = [];
+    for (const [priceSourceId, priceData] of Object.entries(prices)) {
+      if (typeof priceData?.usd !== 'number' || typeof priceData?.ngn !== 'number') {
+        continue;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { priceSourceId, capturedAt },
+          update: { $setOnInsert: { usd: priceData.usd, ngn: priceData.ngn, provider: priceData.provider, priceUpdatedAt: priceData.updatedAt } },
+          upsert: true
+        }
+      });
+    }
+
+    if (operations.length === 0) {
+      console.log('⚠️  No prices returned for tracked tokens, no snapshot stored');
+      return 0;
+    }
+
+    const result = await PriceSnapshot.bulkWrite(operations, { ordered: false });
+    console.log(`📸 Stored ${result.upsertedCount} price snapshot(s) for ${operations.length} token(s)`);
+    return result.upsertedCount;
+  }
+
+  /**
+   * Store snapshots from historical prices for the periods that have orders
+   * with a normalized amount but no fiat value, one registered price source id
+   * at a time. Periods with no unpriced orders are not fetched. Returns the
+   * number of new snapshots.
+   */
+  async backfillHistoricalPrices() {
+    const tokens = [...(await tokenRegistryService.getTokens()).values()].filter(token => token.priceSourceId);
+    const earliestAvailable = this.historyProvider.getEarliestAvailable().getTime();
+    let stored = 0;
+
+    for (const priceSourceId of new Set(tokens.map(token => token.priceSourceId))) {
+      const unpricedQuery = {
+        usdValue: null,
+        normalizedAmount: { $ne: null },
+        $or: tokens
+          .filter(token => token.priceSourceId === priceSourceId)
+          .map(token => ({ chainId: token.chainId, tokenAddress: token.address }))
+      };
+
+      const [oldest, newest] = await Promise.all([
+        Order.findOne(unpricedQuery).sort({ timestamp: 1 }).select('timestamp').lean(),
+        Order.findOne(unpricedQuery).sort({ timestamp: -1 }).select('timestamp').lean()
+      ]);
+      if (!oldest) continue;
+
+      const start = Math.max(oldest.timestamp.getTime(), earliestAvailable);
+      const end = Math.min(newest.timestamp.getTime() + HISTORY_CHUNK_MS, Date.now());
+      if (oldest.timestamp.getTime() < earliestAvailable) {
+        console.log(`⚠️  Historical prices for ${priceSourceId} only go back to ${new Date(earliestAvailable).toISOString()}, older orders stay unpriced`);
+      }
+
+      for (let chunkStart = start; chunkStart < end; chunkStart += HISTORY_CHUNK_MS) {
+        const chunkEnd = Math.min(chunkStart + HISTORY_CHUNK_MS, end);
+        const hasOrders = await Order.exists({
+          ...unpricedQuery,
+          timestamp: { $gte: new Date(chunkStart), $lt: new Date(chunkEnd) }
+        });
+        if (!hasOrders) continue;
+
+        try {
+          const points = await this.historyProvider.fetchHistory(priceSourceId, chunkStart, chunkEnd);
+          if (points.length === 0) continue;
+
+          const result = await PriceSnapshot.bulkWrite(points.map(point => ({
+            updateOne: {
+              filter: { priceSourceId, capturedAt: point.capturedAt },
+              update: { $setOnInsert: { usd: point.usd, ngn: point.ngn, provider: this.historyProvider.name } },
+              upsert: true
+            }
+          })), { ordered: false });
+          stored += result.upsertedCount;
+        } catch (error) {
+          // Left for the next run; the orders stay unpriced until then
+          console.warn(`⚠️  Could not fetch historical prices for ${priceSourceId} from ${new Date(chunkStart).toISOString()}:`, error.message);
+        }
+      }
+    }
+
+    if (stored > 0) {
+      console.log(`📸 Stored ${stored} historical price snapshot(s)`);
+    }
+    return stored;
+  }
+
+  /**
+   * Return the orders with usdValue, ngnValue and fiatPricedAt set from the price
+   * snapshot closest to each order's timestamp. Orders without a normalized amount,
+   * a registered token with a price source id, or a snapshot within
+   * PRICE_SNAPSHOT_MAX_DISTANCE_MINUTES of their timestamp are returned unchanged.
+   */
+  async addFiatValues(orders) {
+    const valued = [];
+
+    for (const order of orders) {
+      if (order.normalizedAmount === null || order.normalizedAmount === undefined) {
+        valued.push(order);
+        continue;
+      }
+
+      try {
+        const token = await tokenRegistryService.getToken(order.chainId, order.tokenAddress);
+        const snapshot = token?.priceSourceId ? await PriceSnapshot.findClosest(token.priceSourceId, order.timestamp) : null;
+
+        if (!snapshot) {
+          valued.push(order);
+          continue;
+        }
+
+        const amount = toDisplayAmount(order.normalizedAmount);
+        valued.push({
+          ...order,
+          usdValue: amount * snapshot.usd,
+          ngnValue: amount * snapshot.ngn,
+          fiatPricedAt: snapshot.capturedAt
+        });
+      } catch (error) {
+        console.warn(`⚠️  Could not price order ${order.orderId} on chainId ${order.chainId}:`, error.message);
+        valued.push(order);
+      }
+    }
+
+    return valued;
+  }
+
+  /**
+   * Value stored orders that have a normalized amount but no fiat value yet,
+   * optionally only those placed since a given time or of one token.
+   * Returns { scanned, updated }.
+   */
+  async backfillFiatValues({ since = null, chainId = null, tokenAddress = null } = {}) {
+    const query = { usdValue: null, normalizedAmount: { $ne: null } };
+    if (since) {
+      query.timestamp = { $gte: since };
+    }
+    if (chainId !== null && tokenAddress) {
+      query.chainId = chainId;
+      query.tokenAddress = tokenAddress.toLowerCase();
+    }
+
+    const cursor = Order.find(query)
+      .select('chainId orderId tokenAddress timestamp normalizedAmount')
+      .sort({ _id: 1 })
+      .lean()
+      .cursor();
+
+    let scanned = 0;
+    let updated = 0;
+    let batch = [];
+
+    const flush = async () => {
+      const valued = await this.addFiatValues(batch);
+      const operations = valued
+        .filter(order => typeof order.usdValue === 'number')
+        .map(order => ({
+          updateOne: {
+            filter: { _id: order._id },
+            update: { $set: { usdValue: order.usdValue, ngnValue: order.ngnValue, fiatPricedAt: order.fiatPricedAt } }
+          }
+        }));
+
+      if (operations.length > 0) {
+        const result = await Order.bulkWrite(operations, { ordered: false });
+        updated += result.modifiedCount;
+      }
+      batch = [];
+    };
+
+    for await (const order of cursor) {
+      scanned++;
+      batch.push(order);
+      if (batch.length >= BACKFILL_BATCH_SIZE) {
+        await flush();
+      }
+    }
+    if (batch.length > 0) {
+      await flush();
+    }
+
+    return { scanned, updated };
+  }
+
+  /**
+   * Drop the fiat values of every order of a token and value them again from the
+   * token's current price source id (backfilling historical prices as needed).
+   * Returns { snapshots, scanned, updated }.
+   */
+  async repriceTokenOrders(chainId, tokenAddress) {
+    await Order.updateMany(
+      { chainId, tokenAddress: tokenAddress.toLowerCase() },
+      { $set: { usdValue: null, ngnValue: null, fiatPricedAt: null } }
+    );
+
+    const snapshots = await this.backfillHistoricalPrices();
+    const { scanned, updated } = await this.backfillFiatValues({ chainId, tokenAddress });
+
+    console.log(`💵 Re-priced ${updated}/${scanned} order(s) of ${tokenAddress} on chainId ${chainId}`);
+    return { snapshots, scanned, updated };
+  }
+}
+
+// Export singleton instance
+module.exports = new PriceHistoryService();
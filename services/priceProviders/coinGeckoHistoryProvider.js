@@ -0,0 +1,107 @@
+const axios = require('axios');
+
+// Longest range per request that CoinGecko still answers with hourly prices (longer ranges are daily)
+const MAX_RANGE_MS = 90 * 24 * 60 * 60 * 1000;
+
+// How far back the free API serves history
+const MAX_HISTORY_MS = 365 * 24 * 60 * 60 * 1000;
+
+// USD and NGN points further apart than this are not paired into one price
+const MAX_PAIR_DISTANCE_MS = 30 * 60 * 1000;
+
+/**
+ * Historical USD/NGN prices from CoinGecko's /coins/{id}/market_chart/range,
+ * for pricing orders placed before the prices job stored any snapshot. The
+ * range is fetched in chunks of up to 90 days so prices stay hourly. Calls are
+ * spaced by minIntervalMs and rate limit responses are retried with
+ * exponential backoff.
+ */
+class CoinGeckoHistoryProvider {
+  constructor({ name = 'coingecko', url, headers = {}, minIntervalMs = 2500, maxRetries = 3, retryDelay = 10000 }) {
+    this.name = name;
+    this.url = url;
+    this.headers = headers;
+    this.minIntervalMs = minIntervalMs;
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay; // Initial retry delay, doubled on each rate limited attempt
+    this.lastCall = 0;
+  }
+
+  // Earliest time the API has prices for
+  getEarliestAvailable() {
+    return new Date(Date.now() - MAX_HISTORY_MS);
+  }
+
+  /**
+   * Fetch the prices of one id between two times as [{ usd, ngn, capturedAt }],
+   * oldest first. The part of the range older than the API serves is skipped.
+   */
+  async fetchHistory(id, from, to = new Date()) {
+    const start = Math.max(new Date(from).getTime(), this.getEarliestAvailable().getTime());
+    const end = new Date(to).getTime();
+    const points = [];
+
+    for (let chunkStart = start; chunkStart < end; chunkStart += MAX_RANGE_MS) {
+      const chunkEnd = Math.min(chunkStart + MAX_RANGE_MS, end);
+      const usd = await this.fetchRange(id, 'usd', chunkStart, chunkEnd);
+      const ngn = await this.fetchRange(id, 'ngn', chunkStart, chunkEnd);
+      points.push(...pairPrices(usd, ngn));
+    }
+
+    return points;
+  }
+
+  // Helper to fetch one currency's [[ms, price], ...] series for a range
+  async fetchRange(id, currency, fromMs, toMs, attempt = 1) {
+    const waitTime = this.lastCall + this.minIntervalMs - Date.now();
+    if (waitTime > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+
+    try {
+      this.lastCall = Date.now();
+      const response = await axios.get(`${this.url}/coins/${encodeURIComponent(id)}/market_chart/range`, {
+        params: {
+          vs_currency: currency,
+          from: Math.floor(fromMs / 1000),
+          to: Math.ceil(toMs / 1000)
+        },
+        headers: this.headers,
+        timeout: 15000
+      });
+
+      return (response.data?.prices || []).filter(point => Array.isArray(point) && typeof point[1] === 'number');
+    } catch (error) {
+      const isRateLimitError = error.response?.status === 429 || error.message.includes('429');
+
+      if (isRateLimitError && attempt < this.maxRetries) {
+        const backoffDelay = this.retryDelay * Math.pow(2, attempt - 1);
+        console.log(`⏳ ${this.name} history rate limited! Retrying in ${backoffDelay}ms with exponential backoff...`);
+        await new Promise(resolve => setTimeout(resolve, backoffDelay));
+        return this.fetchRange(id, currency, fromMs, toMs, attempt + 1);
+      }
+
+      throw error;
+    }
+  }
+}
+
+// Helper to pair each USD point with the closest NGN point, both sorted by time
+function pairPrices(usdPoints, ngnPoints) {
+  const pairs = [];
+  let j = 0;
+
+  for (const [time, usd] of usdPoints) {
+    while (j + 1 < ngnPoints.length && Math.abs(ngnPoints[j + 1][0] - time) <= Math.abs(ngnPoints[j][0] - time)) {
+      j++;
+    }
+    if (j < ngnPoints.length && Math.abs(ngnPoints[j][0] - time) <= MAX_PAIR_DISTANCE_MS) {
+      pairs.push({ usd, ngn: ngnPoints[j][1], capturedAt: new Date(time) });
+    }
+  }
+
+  return pairs;
+}
+
+module.exports = CoinGeckoHistoryProvider;
+module.exports.pairPrices = pairPrices;
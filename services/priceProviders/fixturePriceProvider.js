@@ -0,0 +1,28 @@
+const fs = require('fs/promises');
+const { pickPrices } = require('./staticPriceProvider');
+
+/**
+ * Price provider reading a local JSON file of { [id]: { usd, ngn, updatedAt? } },
+ * for tests and local development without network access. The file is read on
+ * every call, so it can be edited while the process runs; prices without an
+ * updatedAt are as old as the file.
+ */
+class FixturePriceProvider {
+  constructor({ name = 'fixture', path }) {
+    this.name = name;
+    this.path = path;
+  }
+
+  /**
+   * Return the fixture's prices for the given ids as { [id]: { usd, ngn, updatedAt } }
+   */
+  async fetchPrices(ids) {
+    const [contents, stats] = await Promise.all([
+      fs.readFile(this.path, 'utf8'),
+      fs.stat(this.path)
+    ]);
+    return pickPrices(JSON.parse(contents), ids, stats.mtime);
+  }
+}
+
+module.exports = FixturePriceProvider;
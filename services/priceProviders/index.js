@@ -0,0 +1,88 @@
+const path = require('path');
+const SimplePriceApiProvider = require('./simplePriceApiProvider');
+const StaticPriceProvider = require('./staticPriceProvider');
+const FixturePriceProvider = require('./fixturePriceProvider');
+const CoinGeckoHistoryProvider = require('./coinGeckoHistoryProvider');
+
+const PRICE_API_URL = process.env.PRICE_API_URL || 'https://paycrypt-margin-price.onrender.com';
+const COINGECKO_API_URL = process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3';
+
+/**
+ * Price providers by name. Every provider has a `name` and an async
+ * fetchPrices(ids) returning { [id]: { usd, ngn, updatedAt } } for the ids it
+ * knows, where ids are token price source ids (CoinGecko ids) and updatedAt is
+ * when the price was set. Ids it does not know are left out; a failed call throws.
+ */
+const PROVIDER_FACTORIES = {
+  margin: () => new SimplePriceApiProvider({
+    name: 'margin',
+    url: `${PRICE_API_URL}/api/v3/simple/price`
+  }),
+  coingecko: () => new SimplePriceApiProvider({
+    name: 'coingecko',
+    url: `${COINGECKO_API_URL}/simple/price`,
+    headers: coinGeckoHeaders(),
+    minIntervalMs: 120000 // 2 minutes between calls on the free tier
+  }),
+  static: () => new StaticPriceProvider({ prices: parseStaticPrices(process.env.STATIC_PRICES) }),
+  fixture: () => new FixturePriceProvider({
+    path: path.resolve(process.env.PRICE_FIXTURE_PATH || 'fixtures/prices.json')
+  })
+};
+
+// Helper to build the CoinGecko API key header, if a key is configured
+function coinGeckoHeaders() {
+  return process.env.COINGECKO_API_KEY ? { 'x-cg-demo-api-key': process.env.COINGECKO_API_KEY } : {};
+}
+
+// Helper to parse the STATIC_PRICES table, e.g. {"celo-dollar":{"usd":1,"ngn":1550}}
+function parseStaticPrices(value) {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.warn('⚠️  STATIC_PRICES is not valid JSON, static price table is empty:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Build the providers to ask, in order, from a comma-separated list of names
+ * (PRICE_PROVIDERS, default "margin"). Unknown names are skipped.
+ */
+function createPriceProviders(names = process.env.PRICE_PROVIDERS || 'margin') {
+  const providers = [];
+
+  for (const name of names.split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean)) {
+    if (!PROVIDER_FACTORIES[name]) {
+      console.warn(`⚠️  Unknown price provider "${name}", available: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+      continue;
+    }
+    providers.push(PROVIDER_FACTORIES[name]());
+  }
+
+  if (providers.length === 0) {
+    console.warn('⚠️  No valid price providers configured, using margin');
+    providers.push(PROVIDER_FACTORIES.margin());
+  }
+
+  return providers;
+}
+
+/**
+ * Build the provider for historical prices (CoinGecko market_chart/range), used
+ * to price orders placed before the first stored snapshot
+ */
+function createPriceHistoryProvider() {
+  return new CoinGeckoHistoryProvider({
+    url: COINGECKO_API_URL,
+    headers: coinGeckoHeaders()
+  });
+}
+
+module.exports = {
+  createPriceProviders,
+  createPriceHistoryProvider,
+  PRICE_PROVIDER_NAMES: Object.keys(PROVIDER_FACTORIES)
+};
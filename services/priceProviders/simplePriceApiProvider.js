@@ -0,0 +1,75 @@
+const axios = require('axios');
+
+/**
+ * Price provider for CoinGecko-style /simple/price APIs, used for both the
+ * Paycrypt margin price API and CoinGecko itself. Rate limit responses are
+ * retried with exponential backoff; calls made sooner than minIntervalMs after
+ * the last one fail at once so the chain can fall through to the next provider.
+ */
+class SimplePriceApiProvider {
+  constructor({ name, url, headers = {}, minIntervalMs = 2000, maxRetries = 3, retryDelay = 5000 }) {
+    this.name = name;
+    this.url = url;
+    this.headers = headers;
+    this.minIntervalMs = minIntervalMs;
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay; // Initial retry delay, doubled on each rate limited attempt
+    this.lastCall = 0;
+  }
+
+  /**
+   * Fetch USD/NGN prices for the given ids as { [id]: { usd, ngn, updatedAt } }
+   */
+  async fetchPrices(ids, attempt = 1) {
+    const waitTime = this.lastCall + this.minIntervalMs - Date.now();
+    if (waitTime > 0) {
+      // Short waits are worth it; long ones (CoinGecko's free tier) are left to the next provider
+      if (waitTime > 5000) {
+        throw new Error(`${this.name} called again within ${Math.round(this.minIntervalMs / 1000)}s`);
+      }
+      console.log(`⏳ Rate limiting: waiting ${waitTime}ms before ${this.name} call (attempt ${attempt}/${this.maxRetries})`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+
+    try {
+      this.lastCall = Date.now();
+      const response = await axios.get(this.url, {
+        params: {
+          ids: ids.join(','),
+          vs_currencies: 'usd,ngn',
+          include_last_updated_at: true
+        },
+        headers: this.headers,
+        timeout: 10000
+      });
+
+      const fetchedAt = new Date();
+      const prices = {};
+      for (const [id, data] of Object.entries(response.data || {})) {
+        if (typeof data?.usd !== 'number' || typeof data?.ngn !== 'number') {
+          continue;
+        }
+        prices[id] = {
+          usd: data.usd,
+          ngn: data.ngn,
+          // Unix seconds when the API last updated the price, if it says
+          updatedAt: data.last_updated_at ? new Date(data.last_updated_at * 1000) : fetchedAt
+        };
+      }
+      return prices;
+    } catch (error) {
+      const isRateLimitError = error.response?.status === 429 || error.message.includes('429');
+
+      if (isRateLimitError && attempt < this.maxRetries) {
+        const backoffDelay = this.retryDelay * Math.pow(2, attempt - 1);
+        console.log(`⏳ ${this.name} rate limited! Retrying in ${backoffDelay}ms with exponential backoff...`);
+        await new Promise(resolve => setTimeout(resolve, backoffDelay));
+        return this.fetchPrices(ids, attempt + 1);
+      }
+
+      throw error;
+    }
+  }
+}
+
+module.exports = SimplePriceApiProvider;
@@ -0,0 +1,39 @@
+/**
+ * Price provider for a manual price table, e.g. for pegged tokens no API lists.
+ * Entries are { usd, ngn, updatedAt? }; without an updatedAt, a price is as
+ * old as the table, which is loaded once at startup.
+ */
+class StaticPriceProvider {
+  constructor({ name = 'static', prices = {} } = {}) {
+    this.name = name;
+    this.loadedAt = new Date();
+    this.prices = prices;
+  }
+
+  /**
+   * Return the table's prices for the given ids as { [id]: { usd, ngn, updatedAt } }
+   */
+  async fetchPrices(ids) {
+    return pickPrices(this.prices, ids, this.loadedAt);
+  }
+}
+
+// Helper to read the listed ids from a price table, skipping incomplete entries
+function pickPrices(table, ids, defaultUpdatedAt) {
+  const prices = {};
+  for (const id of ids) {
+    const entry = table[id];
+    if (typeof entry?.usd !== 'number' || typeof entry?.ngn !== 'number') {
+      continue;
+    }
+    prices[id] = {
+      usd: entry.usd,
+      ngn: entry.ngn,
+      updatedAt: entry.updatedAt ? new Date(entry.updatedAt) : defaultUpdatedAt
+    };
+  }
+  return prices;
+}
+
+module.exports = StaticPriceProvider;
+module.exports.pickPrices = pickPrices;
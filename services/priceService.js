@@ -1,187 +1,93 @@
-const axios = require('axios');
-
-const PRICE_API_URL = process.env.PRICE_API_URL || 'https://paycrypt-margin-price.onrender.com';
-const COINGECKO_API_URL = 'https://api.coingecko.com/api/v3';
-const NGN_USD_RATE = 1500; // Fallback NGN rate if API fails
-
-// Token address to CoinGecko ID mapping
-const TOKEN_ID_MAP = {
-  // Add your token addresses and their CoinGecko IDs
-  // These will need to be configured based on your actual token addresses
-  'usdt': 'tether',
-  'usdc': 'usd-coin',
-  'send': 'send-token-2',
-  'cusd': 'celo-dollar',
-  'celo': 'celo',
-  'btc': 'bitcoin',
-  'eth': 'ethereum',
-  'bnb': 'binancecoin',
-  'ada': 'cardano',
-  'sol': 'solana',
-  'matic': 'polygon',
-  'link': 'chainlink'
-};
+const { createPriceProviders } = require('./priceProviders');
 
 class PriceService {
   constructor() {
-    this.priceCache = new Map();
+    this.priceCache = new Map(); // Map of price source id -> { price, fetchedAt }
     this.cacheExpiry = 600000; // 10 minute cache to avoid rate limiting
-    this.lastApiCall = 0;
-    this.minTimeBetweenCalls = 2000; // Minimum 2 seconds between API calls
-    this.lastCoinGeckoCall = 0;
-    this.coinGeckoMinDelay = 120000; // 2 minutes between CoinGecko calls
-    this.retryCount = 0;
-    this.maxRetries = 3;
-    this.retryDelay = 5000; // Initial retry delay: 5 seconds
+    this.providers = createPriceProviders();
   }
 
   /**
-   * Get token symbol from name (simple heuristic)
+   * Get the names of the configured price providers, in the order they are asked
    */
-  getTokenSymbol(tokenName) {
-    const name = tokenName.toLowerCase();
-    
-    if (name.includes('usdt') || name.includes('tether')) return 'usdt';
-    if (name.includes('usdc') || name.includes('usd coin')) return 'usdc';
-    if (name.includes('send')) return 'send';
-    if (name.includes('cusd') || name.includes('celo dollar')) return 'cusd';
-    if (name.includes('celo') && !name.includes('dollar')) return 'celo';
-    if (name.includes('bitcoin') || name.includes('btc')) return 'btc';
-    if (name.includes('ethereum') || name.includes('eth')) return 'eth';
-    
-    return null;
+  getProviderNames() {
+    return this.providers.map(provider => provider.name);
   }
 
   /**
-   * Get CoinGecko ID from token symbol
+   * Fetch USD/NGN prices for multiple tokens by price source id. Each provider is
+   * asked in turn for the ids the ones before it could not price; ids no provider
+   * prices fall back to the last cached price. Every price says which provider
+   * supplied it and how old it is: { usd, ngn, provider, updatedAt, ageSeconds }.
    */
-  getCoinGeckoId(tokenSymbol) {
-    if (!tokenSymbol) return null;
-    return TOKEN_ID_MAP[tokenSymbol.toLowerCase()] || null;
-  }
-
-  /**
-   * Fetch prices for multiple tokens from the price API with retry logic
-   */
-  async fetchPrices(coinGeckoIds, attempt = 1) {
-    if (!coinGeckoIds || coinGeckoIds.length === 0) {
+  async fetchPrices(priceSourceIds) {
+    if (!priceSourceIds || priceSourceIds.length === 0) {
       return {};
     }
 
-    const uniqueIds = [...new Set(coinGeckoIds)];
-    
-    // Check cache first for all IDs
+    const uniqueIds = [...new Set(priceSourceIds)];
+    const prices = {};
+
+    // Check cache first
     const now = Date.now();
-    const allCached = uniqueIds.every(id => {
+    for (const id of uniqueIds) {
       const cached = this.priceCache.get(id);
-      return cached && (now - cached.timestamp) < this.cacheExpiry;
-    });
-    
-    if (allCached) {
-      console.log('💰 Using cached prices (cache valid)');
-      const cachedPrices = {};
-      for (const id of uniqueIds) {
-        const cached = this.priceCache.get(id);
-        if (cached) {
-          cachedPrices[id] = cached.prices;
-        }
+      if (cached && (now - cached.fetchedAt) < this.cacheExpiry) {
+        prices[id] = cached.price;
       }
-      return cachedPrices;
     }
-    
-    // Rate limiting - wait if needed
-    const timeSinceLastCall = now - this.lastApiCall;
-    if (timeSinceLastCall < this.minTimeBetweenCalls) {
-      const waitTime = this.minTimeBetweenCalls - timeSinceLastCall;
-      console.log(`⏳ Rate limiting: waiting ${waitTime}ms before API call (attempt ${attempt}/${this.maxRetries})`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+
+    let missing = uniqueIds.filter(id => !prices[id]);
+    if (missing.length === 0) {
+      console.log('💰 Using cached prices (cache valid)');
+      return this.withAge(prices);
     }
-    
-    const ids = uniqueIds.join(',');
-    
-    try {
-      this.lastApiCall = Date.now();
-      const response = await axios.get(`${PRICE_API_URL}/api/v3/simple/price`, {
-        params: {
-          ids,
-          vs_currencies: 'usd,ngn'
-        },
-        timeout: 10000
-      });
-
-      // Cache the results
-      const timestamp = Date.now();
-      for (const [id, prices] of Object.entries(response.data)) {
-        this.priceCache.set(id, { prices, timestamp });
-      }
 
-      // Reset retry count on success
-      this.retryCount = 0;
-      return response.data;
-    } catch (error) {
-      console.error(`❌ Error fetching prices from primary API (attempt ${attempt}/${this.maxRetries}):`, error.message);
-      
-      // Check if it's a rate limit error (429) and we haven't exhausted retries
-      const isRateLimitError = error.response?.status === 429 || error.message.includes('429');
-      
-      if (isRateLimitError && attempt < this.maxRetries) {
-        const backoffDelay = this.retryDelay * Math.pow(2, attempt - 1); // Exponential backoff
-        console.log(`⏳ Rate limited! Retrying in ${backoffDelay}ms with exponential backoff...`);
-        await new Promise(resolve => setTimeout(resolve, backoffDelay));
-        return this.fetchPrices(coinGeckoIds, attempt + 1);
-      }
-      
-      // Try cached prices first
-      const cachedPrices = {};
-      for (const id of uniqueIds) {
-        const cached = this.priceCache.get(id);
-        if (cached) {
-          cachedPrices[id] = cached.prices;
+    let failures = 0;
+    for (const provider of this.providers) {
+      if (missing.length === 0) break;
+
+      try {
+        const fetched = await provider.fetchPrices(missing);
+        const fetchedAt = Date.now();
+        for (const [id, price] of Object.entries(fetched)) {
+          prices[id] = { ...price, provider: provider.name };
+          this.priceCache.set(id, { price: prices[id], fetchedAt });
         }
+        missing = missing.filter(id => !prices[id]);
+      } catch (error) {
+        failures++;
+        console.error(`❌ Error fetching prices from ${provider.name}:`, error.message);
       }
-      
-      if (Object.keys(cachedPrices).length > 0) {
-        console.log('⚠️  Using cached prices due to API error');
-        return cachedPrices;
-      }
-      
-      throw new Error(`Price API failed after ${attempt} attempts and no cache available`);
     }
-  }
 
-  /**
-   * Fetch prices from CoinGecko directly (fallback) - DEPRECATED
-   * Now using only primary price API
-   */
-  async fetchFromCoinGecko(coinGeckoIds) {
-    throw new Error('CoinGecko fallback disabled. Using primary price API only.');
-  }
-
-  /**
-   * Get price for a single token
-   */
-  async getTokenPrice(tokenName) {
-    const symbol = this.getTokenSymbol(tokenName);
-    if (!symbol) {
-      console.warn(`⚠️  Unknown token: ${tokenName}`);
-      return null;
+    // Fall back to stale cached prices; their age shows how stale
+    const stale = missing.filter(id => this.priceCache.has(id));
+    if (stale.length > 0) {
+      console.log(`⚠️  Using cached prices for ${stale.length} token(s) no provider returned`);
+      for (const id of stale) {
+        prices[id] = this.priceCache.get(id).price;
+      }
     }
 
-    const coinGeckoId = this.getCoinGeckoId(symbol);
-    if (!coinGeckoId) {
-      console.warn(`⚠️  No CoinGecko ID for symbol: ${symbol}`);
-      return null;
+    if (Object.keys(prices).length === 0 && failures === this.providers.length) {
+      throw new Error(`All price providers failed (${this.getProviderNames().join(', ')}) and no cache available`);
     }
 
-    // Check cache first
-    const cached = this.priceCache.get(coinGeckoId);
-    if (cached && (Date.now() - cached.timestamp) < this.cacheExpiry) {
-      return cached.prices;
-    }
+    return this.withAge(prices);
+  }
 
-    // Fetch fresh price
-    const prices = await this.fetchPrices([coinGeckoId]);
-    return prices[coinGeckoId] || null;
+  // Helper to add each price's age in seconds at the time it is returned
+  withAge(prices) {
+    const now = Date.now();
+    const aged = {};
+    for (const [id, price] of Object.entries(prices)) {
+      aged[id] = {
+        ...price,
+        ageSeconds: Math.max(0, Math.round((now - price.updatedAt.getTime()) / 1000))
+      };
+    }
+    return aged;
   }
 
   /**
@@ -0,0 +1,192 @@
+const { ethers } = require('ethers');
+const { CONTRACT_ABI } = require('../config/contract');
+const { TokenBucket } = require('./rpcRateLimiter');
+
+const RPC_TIMEOUT_MS = 30 * 1000;
+const HEALTH_WINDOW = 50; // Recent calls used for the error rate
+const LATENCY_SMOOTHING = 0.2; // Weight of the newest sample in the latency moving average
+const MAX_CONSECUTIVE_FAILURES = 3; // Failures in a row before an endpoint is benched
+const BASE_COOLDOWN_MS = 30 * 1000;
+const MAX_COOLDOWN_MS = 10 * 60 * 1000;
+const LAG_TOLERANCE_BLOCKS = 5; // Each multiple of this behind the best head halves the score
+
+// Host only, so API keys embedded in RPC paths never reach logs or API responses
+function getEndpointLabel(url, index) {
+  try {
+    return `${new URL(url).host}#${index + 1}`;
+  } catch (error) {
+    return `endpoint#${index + 1}`;
+  }
+}
+
+/**
+ * Weighted set of RPC endpoints for one chain with health tracking.
+ * Endpoints are scored from their configured weight, latency, recent
+ * error rate and how far their head lags the best known block.
+ */
+class RpcEndpointPool {
+  constructor(chain) {
+    const network = ethers.Network.from(chain.chainId);
+
+    this.chainId = chain.chainId;
+    this.endpoints = chain.rpcUrls.map(({ url, weight, requestsPerSecond }, index) => {
+      const request = new ethers.FetchRequest(url);
+      request.timeout = RPC_TIMEOUT_MS;
+
+      const provider = new ethers.JsonRpcProvider(request, network, { staticNetwork: network });
+
+      return {
+        label: getEndpointLabel(url, index),
+        weight,
+        // Endpoints without their own limit share the chain's rate
+        bucket: new TokenBucket({
+          rps: requestsPerSecond || chain.rpcRequestsPerSecond,
+          burst: chain.rpcBurst
+        }),
+        // Connection settings for JSON-RPC batches sent without the provider
+        request,
+        provider,
+        contract: new ethers.Contract(chain.address, CONTRACT_ABI, provider),
+        stats: {
+          calls: 0,
+          errors: 0,
+          recentOutcomes: [],
+          latencyMs: null,
+          consecutiveFailures: 0,
+          cooldownUntil: null,
+          blockNumber: null,
+          blockNumberAt: null,
+          lastUsedAt: null,
+          lastError: null,
+          lastErrorAt: null
+        }
+      };
+    });
+  }
+
+  get size() {
+    return this.endpoints.length;
+  }
+
+  // Highest block reported by any endpoint
+  getBestBlock() {
+    return this.endpoints.reduce((best, endpoint) => Math.max(best, endpoint.stats.blockNumber || 0), 0);
+  }
+
+  getErrorRate(endpoint) {
+    const outcomes = endpoint.stats.recentOutcomes;
+    if (outcomes.length === 0) return 0;
+    return outcomes.filter(ok => !ok).length / outcomes.length;
+  }
+
+  getBlockLag(endpoint) {
+    if (endpoint.stats.blockNumber === null) return 0;
+    return Math.max(0, this.getBestBlock() - endpoint.stats.blockNumber);
+  }
+
+  isCoolingDown(endpoint) {
+    return endpoint.stats.cooldownUntil !== null && endpoint.stats.cooldownUntil > Date.now();
+  }
+
+  getScore(endpoint) {
+    const latencyFactor = endpoint.stats.latencyMs === null ? 1 : 1000 / (1000 + endpoint.stats.latencyMs);
+    const lagFactor = 1 / (1 + this.getBlockLag(endpoint) / LAG_TOLERANCE_BLOCKS);
+    return endpoint.weight * (1 - this.getErrorRate(endpoint)) * latencyFactor * lagFactor;
+  }
+
+  /**
+   * Pick an endpoint not in `exclude`, at random in proportion to score.
+   * Benched endpoints are only used when every remaining one is benched.
+   */
+  select(exclude = new Set()) {
+    const candidates = this.endpoints.filter(endpoint => !exclude.has(endpoint));
+    if (candidates.length === 0) return null;
+
+    const available = candidates.filter(endpoint => !this.isCoolingDown(endpoint));
+    if (available.length === 0) {
+      return candidates.reduce((soonest, endpoint) =>
+        endpoint.stats.cooldownUntil < soonest.stats.cooldownUntil ? endpoint : soonest
+      );
+    }
+
+    const scored = available.map(endpoint => ({ endpoint, score: this.getScore(endpoint) }));
+    const totalScore = scored.reduce((sum, item) => sum + item.score, 0);
+
+    // Every endpoint is failing every call: fall back to the configured weights
+    if (totalScore === 0) {
+      return available.reduce((best, endpoint) => endpoint.weight > best.weight ? endpoint : best);
+    }
+
+    let pick = Math.random() * totalScore;
+    for (const item of scored) {
+      pick -= item.score;
+      if (pick <= 0) return item.endpoint;
+    }
+    return scored[scored.length - 1].endpoint;
+  }
+
+  recordOutcome(endpoint, ok, latencyMs) {
+    const { stats } = endpoint;
+    stats.calls++;
+    stats.lastUsedAt = new Date();
+    stats.recentOutcomes.push(ok);
+    if (stats.recentOutcomes.length > HEALTH_WINDOW) {
+      stats.recentOutcomes.shift();
+    }
+    stats.latencyMs = stats.latencyMs === null
+      ? latencyMs
+      : Math.round(LATENCY_SMOOTHING * latencyMs + (1 - LATENCY_SMOOTHING) * stats.latencyMs);
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    this.recordOutcome(endpoint, true, latencyMs);
+    endpoint.stats.consecutiveFailures = 0;
+    endpoint.stats.cooldownUntil = null;
+  }
+
+  recordFailure(endpoint, error, latencyMs) {
+    const { stats } = endpoint;
+    this.recordOutcome(endpoint, false, latencyMs);
+    stats.errors++;
+    stats.consecutiveFailures++;
+    stats.lastError = error.shortMessage || error.message;
+    stats.lastErrorAt = new Date();
+
+    // Bench the endpoint with exponential backoff while it keeps failing
+    if (stats.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+      const backoff = BASE_COOLDOWN_MS * Math.pow(2, stats.consecutiveFailures - MAX_CONSECUTIVE_FAILURES);
+      stats.cooldownUntil = Date.now() + Math.min(backoff, MAX_COOLDOWN_MS);
+    }
+  }
+
+  recordBlock(endpoint, blockNumber) {
+    endpoint.stats.blockNumber = blockNumber;
+    endpoint.stats.blockNumberAt = new Date();
+  }
+
+  getStats() {
+    const bestBlock = this.getBestBlock();
+
+    return this.endpoints.map(endpoint => ({
+      label: endpoint.label,
+      weight: endpoint.weight,
+      rateLimit: endpoint.bucket.getStats(),
+      healthy: !this.isCoolingDown(endpoint),
+      score: Number(this.getScore(endpoint).toFixed(4)),
+      latencyMs: endpoint.stats.latencyMs,
+      errorRate: Number(this.getErrorRate(endpoint).toFixed(4)),
+      calls: endpoint.stats.calls,
+      errors: endpoint.stats.errors,
+      consecutiveFailures: endpoint.stats.consecutiveFailures,
+      cooldownUntil: this.isCoolingDown(endpoint) ? new Date(endpoint.stats.cooldownUntil) : null,
+      blockNumber: endpoint.stats.blockNumber,
+      blockLag: endpoint.stats.blockNumber === null ? null : bestBlock - endpoint.stats.blockNumber,
+      blockNumberAt: endpoint.stats.blockNumberAt,
+      lastUsedAt: endpoint.stats.lastUsedAt,
+      lastError: endpoint.stats.lastError,
+      lastErrorAt: endpoint.stats.lastErrorAt
+    }));
+  }
+}
+
+module.exports = RpcEndpointPool;
@@ -0,0 +1,171 @@
+const { ethers } = require('ethers');
+const { CONTRACT_ABI } = require('../config/contract');
+
+const contractInterface = new ethers.Interface(CONTRACT_ABI);
+
+// HTTP status to report for each contract custom error; anything else is 422
+const REVERT_STATUS_CODES = {
+  UnsupportedToken: 404,
+  OrderNotFound: 404,
+  InvalidOrderId: 404,
+  ZeroAddress: 400,
+  ZeroAmount: 400
+};
+
+// Client-facing descriptions of the contract custom errors
+const REVERT_MESSAGES = {
+  UnsupportedToken: 'Token is not supported on this chain',
+  OrderNotFound: 'Order not found',
+  InvalidOrderId: 'Invalid order id',
+  ZeroAddress: 'Address must not be the zero address',
+  ZeroAmount: 'Amount must be greater than zero'
+};
+
+const RATE_LIMIT_PATTERN = /rate limit|too many requests|exceeded .*(capacity|limit)|\b429\b/i;
+const TRANSPORT_CODES = ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT', 'UNKNOWN_ERROR', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+/**
+ * Base class for classified RPC failures. `retryable` errors are transient
+ * (transport problems, rate limits) and worth failing over or retrying;
+ * everything else is deterministic and is passed straight to the caller.
+ */
+class RpcError extends Error {
+  constructor(message, { code = 'RPC_ERROR', statusCode = 502, retryable = false, chainId = null, cause = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+    this.chainId = chainId;
+    this.cause = cause;
+  }
+}
+
+// Provider asked us to slow down (HTTP 429, "over rate limit", compute units exceeded)
+class RpcRateLimitError extends RpcError {
+  constructor(message, options = {}) {
+    super(message, { code: 'RPC_RATE_LIMITED', statusCode: 503, retryable: true, ...options });
+  }
+}
+
+// Network failure, timeout or 5xx from the endpoint
+class RpcTransportError extends RpcError {
+  constructor(message, options = {}) {
+    super(message, { code: 'RPC_UNAVAILABLE', statusCode: 502, retryable: true, ...options });
+  }
+}
+
+// The contract reverted; retrying will return the same result
+class ContractRevertError extends RpcError {
+  constructor(errorName, options = {}) {
+    super(errorName ? `Contract reverted with ${errorName}` : 'Contract call reverted', {
+      code: 'CONTRACT_REVERT',
+      statusCode: REVERT_STATUS_CODES[errorName] || 422,
+      ...options
+    });
+    this.errorName = errorName || null;
+  }
+}
+
+// The endpoint rejected a JSON-RPC batch (4xx or a non-batch reply); send the requests one by one instead
+class BatchNotSupportedError extends RpcError {
+  constructor(options = {}) {
+    super('JSON-RPC batch requests not supported by this endpoint', { code: 'BATCH_NOT_SUPPORTED', ...options });
+  }
+}
+
+// Requested chain is not configured in this deployment
+class ChainNotSupportedError extends RpcError {
+  constructor(chainId) {
+    super(`Chain ${chainId} not initialized or not supported`, { code: 'CHAIN_NOT_SUPPORTED', statusCode: 400, chainId });
+  }
+}
+
+// Name of the contract custom error carried by a CALL_EXCEPTION, decoded through the ABI
+function decodeRevertName(error) {
+  if (error.revert?.name) {
+    return error.revert.name;
+  }
+
+  if (error.data && error.data !== '0x') {
+    try {
+      return contractInterface.parseError(error.data)?.name || null;
+    } catch (parseError) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+function isRateLimit(error) {
+  const nested = error.info?.error;
+  return error.info?.responseStatus?.startsWith('429') ||
+         nested?.code === 429 ||
+         nested?.code === -32005 ||
+         RATE_LIMIT_PATTERN.test(error.message || '') ||
+         RATE_LIMIT_PATTERN.test(nested?.message || '');
+}
+
+/**
+ * Turn a raw ethers/Node error into one of the typed errors above
+ */
+function classifyRpcError(error, chainId = null) {
+  if (error instanceof RpcError) {
+    return error;
+  }
+
+  const message = error.shortMessage || error.message;
+  const options = { chainId, cause: error };
+
+  if (isRateLimit(error)) {
+    return new RpcRateLimitError(message, options);
+  }
+
+  if (error.code === 'CALL_EXCEPTION') {
+    // Real reverts carry data; "missing revert data" means the node failed the eth_call itself
+    if (error.revert?.name || (error.data && error.data !== '0x')) {
+      return new ContractRevertError(decodeRevertName(error), options);
+    }
+    return new RpcTransportError(message, options);
+  }
+
+  if (TRANSPORT_CODES.includes(error.code)) {
+    return new RpcTransportError(message, options);
+  }
+
+  // Bad arguments, undecodable responses and the like are not fixed by retrying
+  const statusCode = error.code === 'INVALID_ARGUMENT' ? 400 : 502;
+  return new RpcError(message, { code: error.code || 'RPC_ERROR', statusCode, ...options });
+}
+
+/**
+ * HTTP status and JSON body for a typed RPC error, null for anything else
+ */
+function getRpcErrorResponse(error) {
+  if (!(error instanceof RpcError)) {
+    return null;
+  }
+
+  const body = {
+    error: error instanceof ContractRevertError
+      ? REVERT_MESSAGES[error.errorName] || error.message
+      : error.message,
+    code: error.code
+  };
+  if (error.errorName) body.reason = error.errorName;
+  if (error.chainId) body.chainId = error.chainId;
+
+  return { statusCode: error.statusCode, body };
+}
+
+module.exports = {
+  RpcError,
+  RpcRateLimitError,
+  RpcTransportError,
+  ContractRevertError,
+  BatchNotSupportedError,
+  ChainNotSupportedError,
+  classifyRpcError,
+  getRpcErrorResponse
+};
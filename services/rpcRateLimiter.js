@@ -0,0 +1,154 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const PRIORITIES = ['interactive', 'background'];
+
+// Interactive calls go first, but background work still gets one slot after this many in a row
+const MAX_CONSECUTIVE_INTERACTIVE = 4;
+
+// Carries the RPC priority of the current request or job through async calls
+const priorityContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with every RPC call it makes scheduled at the given priority.
+ * Anything outside such a context (cron jobs, background syncs) is 'background'.
+ */
+function runWithPriority(priority, fn) {
+  return priorityContext.run({ priority }, fn);
+}
+
+function getCurrentPriority() {
+  return priorityContext.getStore()?.priority || 'background';
+}
+
+/**
+ * Classic token bucket: refills at `rps` tokens per second up to `burst`.
+ */
+class TokenBucket {
+  constructor({ rps, burst }) {
+    this.rps = rps;
+    this.burst = Math.max(1, burst);
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) / 1000 * this.rps);
+    this.lastRefill = now;
+  }
+
+  // Milliseconds until a token is available, 0 if one is available now
+  msUntilToken() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.rps * 1000);
+  }
+
+  take() {
+    this.refill();
+    this.tokens -= 1;
+  }
+
+  getStats() {
+    this.refill();
+    return {
+      requestsPerSecond: this.rps,
+      burst: this.burst,
+      tokensAvailable: Number(this.tokens.toFixed(2))
+    };
+  }
+}
+
+/**
+ * Per-chain RPC scheduler. Each call needs a token from the chain bucket and
+ * from the bucket of the endpoint it will use. Waiting calls are queued by
+ * priority so API requests are not stuck behind a long sync.
+ */
+class RpcScheduler {
+  constructor({ rps, burst }) {
+    this.bucket = new TokenBucket({ rps, burst });
+    this.queues = { interactive: [], background: [] };
+    this.consecutiveInteractive = 0;
+    this.timer = null;
+    this.metrics = {
+      interactive: { dispatched: 0, totalWaitMs: 0, maxWaitMs: 0 },
+      background: { dispatched: 0, totalWaitMs: 0, maxWaitMs: 0 }
+    };
+  }
+
+  /**
+   * Resolve once a token is available on both the chain and `endpointBucket`
+   */
+  acquire(endpointBucket, priority = getCurrentPriority()) {
+    const queue = this.queues[PRIORITIES.includes(priority) ? priority : 'background'];
+
+    return new Promise(resolve => {
+      queue.push({ resolve, endpointBucket, priority, queuedAt: Date.now() });
+      this.pump();
+    });
+  }
+
+  // Pick the next waiting call, preferring interactive without starving background
+  peekNext() {
+    const { interactive, background } = this.queues;
+    if (interactive.length === 0) return background[0] || null;
+    if (background.length > 0 && this.consecutiveInteractive >= MAX_CONSECUTIVE_INTERACTIVE) {
+      return background[0];
+    }
+    return interactive[0];
+  }
+
+  pump() {
+    if (this.timer) return;
+
+    let next;
+    while ((next = this.peekNext())) {
+      const waitMs = Math.max(this.bucket.msUntilToken(), next.endpointBucket.msUntilToken());
+      if (waitMs > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.pump();
+        }, waitMs);
+        return;
+      }
+
+      this.queues[next.priority].shift();
+      this.bucket.take();
+      next.endpointBucket.take();
+      this.consecutiveInteractive = next.priority === 'interactive' ? this.consecutiveInteractive + 1 : 0;
+
+      const waitedMs = Date.now() - next.queuedAt;
+      const metrics = this.metrics[next.priority];
+      metrics.dispatched++;
+      metrics.totalWaitMs += waitedMs;
+      metrics.maxWaitMs = Math.max(metrics.maxWaitMs, waitedMs);
+
+      next.resolve();
+    }
+  }
+
+  getStats() {
+    const byPriority = {};
+    for (const priority of PRIORITIES) {
+      const metrics = this.metrics[priority];
+      byPriority[priority] = {
+        queueDepth: this.queues[priority].length,
+        dispatched: metrics.dispatched,
+        avgWaitMs: metrics.dispatched > 0 ? Math.round(metrics.totalWaitMs / metrics.dispatched) : 0,
+        maxWaitMs: metrics.maxWaitMs
+      };
+    }
+
+    return {
+      ...this.bucket.getStats(),
+      queueDepth: this.queues.interactive.length + this.queues.background.length,
+      byPriority
+    };
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  RpcScheduler,
+  runWithPriority,
+  getCurrentPriority
+};
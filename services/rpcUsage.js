@@ -0,0 +1,38 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Carries the RPC call counters of the current job run through async calls
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with every RPC call it makes counted in a fresh set of counters.
+ * Calls made outside such a context are not counted.
+ */
+function trackRpcUsage(fn) {
+  return usageContext.run({ calls: 0, retries: 0, errors: 0 }, fn);
+}
+
+// Counters of the current context, null outside trackRpcUsage
+function getRpcUsage() {
+  const usage = usageContext.getStore();
+  return usage ? { ...usage } : null;
+}
+
+// Count one RPC attempt; anything after the first attempt of a call is a retry
+function recordRpcAttempt(isRetry) {
+  const usage = usageContext.getStore();
+  if (!usage) return;
+  usage.calls++;
+  if (isRetry) usage.retries++;
+}
+
+function recordRpcError() {
+  const usage = usageContext.getStore();
+  if (usage) usage.errors++;
+}
+
+module.exports = {
+  trackRpcUsage,
+  getRpcUsage,
+  recordRpcAttempt,
+  recordRpcError
+};
@@ -0,0 +1,123 @@
+const { ethers } = require('ethers');
+const mongoose = require('mongoose');
+const contractService = require('./contractService');
+const tokenRegistryService = require('./tokenRegistryService');
+const Order = require('../models/Order');
+
+/**
+ * Token decimals per chain, used to turn raw on-chain amounts into token units.
+ * The token registry is asked first, through its one-minute cache, so admin
+ * edits reach ingestion within a minute. Tokens it does not list fall back to
+ * the Paycrypt contract's getTokenDetails, then the token's own ERC-20
+ * decimals(); those on-chain values never change, so each is read once per process.
+ */
+class TokenMetadataService {
+  constructor() {
+    this.decimalsCache = new Map(); // Map of "chainId:tokenAddress" -> decimals read from the chain
+    this.pendingLookups = new Map(); // Map of "chainId:tokenAddress" -> in-flight on-chain lookup
+  }
+
+  async getDecimals(chainId, tokenAddress) {
+    const registered = await tokenRegistryService.getToken(chainId, tokenAddress);
+    if (registered) {
+      return registered.decimals;
+    }
+
+    const key = `${chainId}:${tokenAddress.toLowerCase()}`;
+
+    if (this.decimalsCache.has(key)) {
+      return this.decimalsCache.get(key);
+    }
+
+    // Orders for the same token arrive together, so share one lookup between them
+    if (!this.pendingLookups.has(key)) {
+      const lookup = this.fetchDecimals(chainId, tokenAddress)
+        .then(decimals => {
+          this.decimalsCache.set(key, decimals);
+          return decimals;
+        })
+        .finally(() => this.pendingLookups.delete(key));
+      this.pendingLookups.set(key, lookup);
+    }
+
+    return this.pendingLookups.get(key);
+  }
+
+  // Helper to read decimals of an unregistered token from getTokenDetails, falling back to ERC-20 decimals()
+  async fetchDecimals(chainId, tokenAddress) {
+    try {
+      const details = await contractService.getTokenDetails(chainId, tokenAddress);
+      // Tokens the contract has never supported come back as an empty struct
+      if (details.tokenAddress !== ethers.ZeroAddress) {
+        return Number(details.decimals);
+      }
+    } catch (error) {
+      console.warn(`⚠️  getTokenDetails failed for ${tokenAddress} on chainId ${chainId}, trying ERC-20 decimals():`, error.message);
+    }
+
+    const { decimals } = await contractService.getErc20Metadata(chainId, tokenAddress);
+    return decimals;
+  }
+
+  /**
+   * Convert a raw integer amount (string) to an exact decimal string in token units,
+   * e.g. "1500000" with 6 decimals -> "1.5"
+   */
+  normalizeAmount(amount, decimals) {
+    return ethers.formatUnits(amount, decimals);
+  }
+
+  /**
+   * Return the orders with amountRaw, tokenDecimals and normalizedAmount set, as
+   * strings for the Decimal128 fields. Orders whose token decimals cannot be read
+   * get no normalized amount; the normalize-order-amounts migration fills it in later.
+   */
+  async addNormalizedAmounts(orders) {
+    const normalized = [];
+
+    for (const order of orders) {
+      const withRaw = { ...order, amountRaw: order.amount };
+      try {
+        const decimals = await this.getDecimals(order.chainId, order.tokenAddress);
+        normalized.push({
+          ...withRaw,
+          tokenDecimals: decimals,
+          normalizedAmount: this.normalizeAmount(order.amount, decimals)
+        });
+      } catch (error) {
+        console.warn(`⚠️  No decimals for token ${order.tokenAddress} on chainId ${order.chainId}, order ${order.orderId} stored without a normalized amount`);
+        normalized.push(withRaw);
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Recompute normalizedAmount and tokenDecimals on every stored order of a token
+   * from its current decimals, e.g. after an admin corrected them in the registry.
+   * Returns the number of orders changed.
+   */
+  async renormalizeTokenOrders(chainId, tokenAddress) {
+    const decimals = await this.getDecimals(chainId, tokenAddress);
+
+    // Convert and divide server-side in Decimal128, dividing by a power of ten is exact
+    const divisor = mongoose.Types.Decimal128.fromString(`1${'0'.repeat(decimals)}`);
+    const result = await Order.updateMany(
+      { chainId, tokenAddress: tokenAddress.toLowerCase() },
+      [{
+        $set: {
+          amountRaw: { $toDecimal: '$amount' },
+          tokenDecimals: decimals,
+          normalizedAmount: { $divide: [{ $toDecimal: '$amount' }, divisor] }
+        }
+      }]
+    );
+
+    console.log(`🔢 Re-normalized ${result.modifiedCount} order(s) of ${tokenAddress} on chainId ${chainId} with ${decimals} decimals`);
+    return result.modifiedCount;
+  }
+}
+
+// Export singleton instance
+module.exports = new TokenMetadataService();
@@ -0,0 +1,150 @@
+const contractService = require('./contractService');
+const Token = require('../models/Token');
+
+// Defaults for tokens seeded from the contract, matched on their exact ERC-20 symbol.
+// Only used when a token is first added; admins edit the stored entry after that.
+const SEED_DEFAULTS = {
+  'usdt': { priceSourceId: 'tether', pegType: 'usd' },
+  'usd₮': { priceSourceId: 'tether', pegType: 'usd' },
+  'usdc': { priceSourceId: 'usd-coin', pegType: 'usd' },
+  'send': { priceSourceId: 'send-token-2', pegType: 'none' },
+  'cusd': { priceSourceId: 'celo-dollar', pegType: 'usd' },
+  'celo': { priceSourceId: 'celo', pegType: 'none' },
+  'btc': { priceSourceId: 'bitcoin', pegType: 'none' },
+  'eth': { priceSourceId: 'ethereum', pegType: 'none' },
+  'weth': { priceSourceId: 'weth', pegType: 'none' },
+  'bnb': { priceSourceId: 'binancecoin', pegType: 'none' },
+  'ada': { priceSourceId: 'cardano', pegType: 'none' },
+  'sol': { priceSourceId: 'solana', pegType: 'none' },
+  'matic': { priceSourceId: 'polygon', pegType: 'none' },
+  'link': { priceSourceId: 'chainlink', pegType: 'none' }
+};
+
+/**
+ * Token registry lookups for pricing and volume. Entries live in the tokens
+ * collection, keyed by (chainId, address), and are cached briefly so admin
+ * edits reach the worker within a minute.
+ */
+class TokenRegistryService {
+  constructor() {
+    this.tokenCache = null; // Map of "chainId:address" -> token
+    this.cacheTimestamp = 0;
+    this.cacheExpiry = 60000; // 1 minute
+  }
+
+  // Helper to build the cache key for a token
+  getTokenKey(chainId, address) {
+    return `${chainId}:${address.toLowerCase()}`;
+  }
+
+  /**
+   * Get every registered token as a Map of "chainId:address" -> token
+   */
+  async getTokens() {
+    if (this.tokenCache && (Date.now() - this.cacheTimestamp) < this.cacheExpiry) {
+      return this.tokenCache;
+    }
+
+    const tokens = await Token.find({}).lean();
+    this.tokenCache = new Map(tokens.map(token => [this.getTokenKey(token.chainId, token.address), token]));
+    this.cacheTimestamp = Date.now();
+    return this.tokenCache;
+  }
+
+  /**
+   * Get one registered token (null if the token is not in the registry)
+   */
+  async getToken(chainId, address) {
+    const tokens = await this.getTokens();
+    return tokens.get(this.getTokenKey(chainId, address)) || null;
+  }
+
+  /**
+   * Get the distinct price source ids of all registered tokens
+   */
+  async getPriceSourceIds() {
+    const tokens = await this.getTokens();
+    return [...new Set([...tokens.values()].map(token => token.priceSourceId).filter(Boolean))];
+  }
+
+  /**
+   * Add tokens from getAllTokensAcrossChains that are not registered yet and refresh
+   * isActive on the rest. Fields admins may have edited are never overwritten.
+   */
+  async seedTokens(contractTokens) {
+    const existing = await this.getTokens();
+    const operations = [];
+
+    for (const token of contractTokens) {
+      const address = token.tokenAddress.toLowerCase();
+
+      if (existing.has(this.getTokenKey(token.chainId, address))) {
+        operations.push({
+          updateOne: {
+            filter: { chainId: token.chainId, address },
+            update: { $set: { isActive: token.isActive } }
+          }
+        });
+        continue;
+      }
+
+      // getTokenDetails only has the name, the symbol comes from the token itself
+      let symbol = null;
+      try {
+        ({ symbol } = await contractService.getErc20Metadata(token.chainId, address));
+      } catch (error) {
+        console.warn(`⚠️  Could not read symbol for token ${address} on chainId ${token.chainId}:`, error.message);
+      }
+
+      const defaults = (symbol && SEED_DEFAULTS[symbol.toLowerCase()]) || { priceSourceId: null, pegType: 'none' };
+      operations.push({
+        updateOne: {
+          filter: { chainId: token.chainId, address },
+          update: {
+            $setOnInsert: {
+              symbol,
+              name: token.name,
+              decimals: Number(token.decimals),
+              ...defaults,
+              isActive: token.isActive,
+              source: 'contract'
+            }
+          },
+          upsert: true
+        }
+      });
+    }
+
+    if (operations.length === 0) {
+      return { created: 0, refreshed: 0 };
+    }
+
+    const result = await Token.bulkWrite(operations, { ordered: false });
+    this.clearCache();
+
+    if (result.upsertedCount > 0) {
+      console.log(`🪙 Added ${result.upsertedCount} token(s) to the registry`);
+    }
+
+    return { created: result.upsertedCount, refreshed: operations.length - result.upsertedCount };
+  }
+
+  /**
+   * Seed the registry from every supported token on every enabled chain
+   */
+  async seedFromContract() {
+    const contractTokens = await contractService.getAllTokensAcrossChains();
+    return this.seedTokens(contractTokens);
+  }
+
+  /**
+   * Clear cache (after admin edits, and useful for testing)
+   */
+  clearCache() {
+    this.tokenCache = null;
+    this.cacheTimestamp = 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new TokenRegistryService();
@@ -0,0 +1,24 @@
+// Helpers for Decimal128 order amounts in API responses
+
+// Helper to read a Decimal128 (or a plain number) as a number for display and percentages
+function toDisplayAmount(value) {
+  if (value === null || value === undefined) return 0;
+  return parseFloat(value.toString());
+}
+
+/**
+ * JSON replacer for API responses. Decimal128 amounts (serialized by the driver
+ * as { $numberDecimal }) become display numbers, except fields ending in "Raw",
+ * which hold exact raw integer amounts and sums and stay strings.
+ */
+function amountJsonReplacer(key, value) {
+  if (value && typeof value === 'object' && typeof value.$numberDecimal === 'string') {
+    return key.endsWith('Raw') ? value.$numberDecimal : parseFloat(value.$numberDecimal);
+  }
+  return value;
+}
+
+module.exports = {
+  toDisplayAmount,
+  amountJsonReplacer
+};
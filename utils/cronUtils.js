@@ -0,0 +1,112 @@
+// Cron expression helpers for the job scheduler
+
+const cron = require('node-cron');
+
+// Upper bound on the search for the next run, enough for any yearly schedule
+const MAX_SEARCH_MS = 366 * 24 * 60 * 60 * 1000;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Allowed values per field, in node-cron's order: second minute hour day month weekday
+const FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: MONTH_NAMES, firstNameValue: 1 },
+  { min: 0, max: 7, names: WEEKDAY_NAMES, firstNameValue: 0 }
+];
+
+function isValidCronExpression(expression) {
+  return typeof expression === 'string' && cron.validate(expression);
+}
+
+// Helper to read one value of a field, a number or a month/weekday name (full or short)
+function parseFieldValue(value, field) {
+  if (field.names) {
+    const index = field.names.indexOf(value.slice(0, 3).toLowerCase());
+    if (index !== -1) return index + field.firstNameValue;
+  }
+  return parseInt(value, 10);
+}
+
+// Helper to expand one field (lists, ranges, steps, *) to the values it matches
+function expandField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [range, step] = part.split('/');
+    let start = field.min;
+    let end = field.max;
+
+    if (range !== '*') {
+      const [first, last] = range.split('-');
+      start = parseFieldValue(first, field);
+      // A single value with a step (5/15) runs from that value to the end of the field
+      end = last !== undefined ? parseFieldValue(last, field) : (step ? field.max : start);
+    }
+
+    for (let value = Math.min(start, end); value <= Math.max(start, end); value += step ? parseInt(step, 10) : 1) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Helper to expand an expression to the values of each field: second minute hour day month weekday
+function parseCronExpression(expression) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length === 5) {
+    parts.unshift('0');
+  }
+
+  const fields = parts.map((part, index) => expandField(part, FIELDS[index]));
+
+  // Both 0 and 7 are Sunday
+  if (fields[5].has(7)) {
+    fields[5].add(0);
+  }
+
+  return fields;
+}
+
+// Next time (server local time, like node-cron) the expression fires after `from`, null if none within a year
+function getNextRunAt(expression, from = new Date()) {
+  if (!isValidCronExpression(expression)) return null;
+
+  const [seconds, minutes, hours, days, months, weekDays] = parseCronExpression(expression);
+
+  const next = new Date(from.getTime());
+  next.setMilliseconds(0);
+  next.setSeconds(next.getSeconds() + 1);
+
+  const limit = from.getTime() + MAX_SEARCH_MS;
+
+  // Jump a month, day, hour or minute at a time past fields that cannot match
+  while (next.getTime() <= limit) {
+    if (!months.has(next.getMonth() + 1)) {
+      next.setMonth(next.getMonth() + 1, 1);
+      next.setHours(0, 0, 0);
+    } else if (!days.has(next.getDate()) || !weekDays.has(next.getDay())) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0, 0);
+    } else if (!hours.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0, 0);
+    } else if (!minutes.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1, 0);
+    } else if (!seconds.has(next.getSeconds())) {
+      next.setSeconds(next.getSeconds() + 1);
+    } else {
+      return next;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  isValidCronExpression,
+  getNextRunAt
+};
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import services
+const contractService = require('./services/contractService');
+const tokenRegistryService = require('./services/tokenRegistryService');
+const { connectDatabase, isMongoConnected } = require('./config/database');
+const { startBackfill, runReplay, forceSyncAll, ingestLiveEvents } = require('./jobs/cronJobs');
+const { runReconciliation } = require('./jobs/reconciliation');
+const { runGapFill } = require('./jobs/gapFill');
+const { runTokenReprice } = require('./jobs/priceHistory');
+const { isSkipped } = require('./jobs/jobOutcome');
+const { startJobConsumer, stopJobConsumer } = require('./jobs/jobQueue');
+const { startScheduler, stopScheduler, runDefinedJob, runJobIfEnabled } = require('./jobs/scheduler');
+const runMigration = require('./migrations/fix-syncstatus-index');
+const ensureChainId = require('./migrations/ensure-chainid');
+const orderSourceIndex = require('./migrations/order-source-index');
+const backfillOrderStatuses = require('./migrations/backfill-order-statuses');
+
+// Handlers for jobs queued by the API process, by job type
+const jobHandlers = {
+  sync: async () => {
+    await forceSyncAll();
+    return null;
+  },
+  backfill: async ({ chainId, fromBlock, restart, initiatedBy }) => {
+    const backfill = await startBackfill(chainId, { fromBlock, restart, initiatedBy });
+    if (!backfill) {
+      throw new Error('Backfill already running for this chain');
+    }
+    // The backfill keeps running in the background and reports progress on its own record
+    return backfill.getProgress();
+  },
+  replay: ({ replayJobId }) => runReplay(replayJobId),
+  reconciliation: async ({ chainId, queueGaps }) => {
+    const reports = await runReconciliation({ chainId, queueGaps });
+    if (isSkipped(reports)) {
+      return reports;
+    }
+    return reports.map(report => ({
+      chainId: report.chainId,
+      inSync: report.inSync,
+      missingCount: report.missingCount,
+      error: report.error
+    }));
+  },
+  'gap-fill': ({ chainId }) => runGapFill({ chainId }),
+  'token-seed': () => tokenRegistryService.seedFromContract(),
+  'token-reprice': ({ chainId, address }) => runTokenReprice({ chainId, address }),
+  // Run-now of a scheduled job definition, with its stored chain scope
+  'run-job': ({ name }) => runDefinedJob(name, 'manual')
+};
+
+// Run an initial sync shortly after startup, staggered so the chains are not all hit at once
+function scheduleInitialSync() {
+  setTimeout(() => {
+    if (!isMongoConnected()) {
+      console.warn('⚠️  Skipping initial sync - MongoDB not connected yet');
+      return;
+    }
+    console.log('🚀 Running initial sync...');
+    runJobIfEnabled('metrics', 'startup').catch(console.error);
+    // Snapshot prices before the order sync so new orders can be valued at ingest
+    runJobIfEnabled('prices', 'startup').catch(console.error);
+    setTimeout(() => {
+      if (isMongoConnected()) {
+        runJobIfEnabled('orders', 'startup').catch(console.error);
+      }
+    }, 5000); // Stagger the syncs
+    setTimeout(() => {
+      if (isMongoConnected()) {
+        runJobIfEnabled('volume', 'startup').catch(console.error);
+      }
+    }, 10000); // Stagger more
+  }, 30000); // Give the connection and RPC pools time to settle
+}
+
+connectDatabase()
+  .then(async () => {
+    console.log('✅ MongoDB connected successfully');
+
+    // Run database migrations on startup (safe to run multiple times)
+    console.log('🔧 Running database migrations...');
+    try {
+      await runMigration(mongoose.connection); // Pass existing connection
+      console.log('✅ SyncStatus index migration completed');
+
+      // Ensure all orders have chainId (pass existing connection)
+      await ensureChainId(mongoose.connection);
+      console.log('✅ ChainId migration completed');
+
+      // Allow contract-read orders without a txnHash (pass existing connection)
+      await orderSourceIndex(mongoose.connection);
+      console.log('✅ Order source migration completed');
+    } catch (error) {
+      console.warn('⚠️  Migration warning:', error.message);
+      console.log('📝 Continuing with startup - migration will retry on next restart');
+    }
+
+    contractService.initialize();
+
+    // Store statuses on older orders and scan their outcome events in the background; progress is checkpointed per chain
+    backfillOrderStatuses(mongoose.connection).then(success => {
+      if (success) console.log('✅ Order status migration completed');
+      else console.warn('⚠️  Order status migration incomplete, it resumes on next restart');
+    }).catch(error => {
+      console.warn('⚠️  Order status migration warning:', error.message);
+    });
+
+    await startScheduler();
+    startJobConsumer(jobHandlers);
+
+    // Normalize orders left without amounts when their token decimals could not be read; the 'normalize-amounts' job retries hourly
+    runJobIfEnabled('normalize-amounts', 'startup').catch(error => {
+      console.warn('⚠️  Order amount normalization warning:', error.message);
+    });
+
+    // Optional live mode: write orders as soon as their logs appear, the batch sync fills any gaps
+    if (process.env.LIVE_SYNC_ENABLED === 'true') {
+      for (const chainId of contractService.getEnabledChainIds()) {
+        contractService.startLiveMode(chainId, events => ingestLiveEvents(chainId, events));
+      }
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      scheduleInitialSync();
+    }
+
+    console.log(`🛠️  Worker running (${process.env.NODE_ENV || 'development'})`);
+  })
+  .catch(err => {
+    console.error('❌ MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+// Graceful shutdown: stop taking queued jobs; held leases expire if a sync is cut short
+async function shutdown(signal) {
+  console.log(`👋 Worker received ${signal}, shutting down...`);
+  stopJobConsumer();
+  stopScheduler();
+  contractService.stopLiveMode();
+  await mongoose.connection.close();
+  console.log('👋 MongoDB connection closed through worker termination');
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));